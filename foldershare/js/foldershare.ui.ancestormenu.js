@@ -6,6 +6,10 @@
  * lists ancestor folders for the current page's file or folder. Selecting
  * a folder from the menu loads that folder's page.
  *
+ * While rows from a folder table are dragged over the menu button, the
+ * menu opens so that its folders can be drop targets. The folder table
+ * menu UI handles drops onto those folders.
+ *
  * The UI is available on:
  * - Root folder groups page.
  * - Root folder group pages.
@@ -28,6 +32,50 @@
 
   Drupal.foldershare.ancestormenu = {
 
+    /**
+     * Shows the ancestor menu below the menu button.
+     *
+     * @param $menu
+     *   The menu.
+     * @param $menuButton
+     *   The menu button.
+     */
+    showMenu: function ($menu, $menuButton) {
+      $menu.show().position({
+        my:        "left top",
+        at:        "left bottom",
+        of:        $menuButton,
+        collision: "fit"
+      });
+
+      // Register a one-time handler to catch a off-menu click to hide it.
+      $(document).on('click.foldershare', function (ev) {
+        $menu.menu().hide();
+        $(document).off('click.foldershare');
+      } );
+    },
+
+    /**
+     * Returns true if a drag event is for rows dragged from a folder table.
+     *
+     * @param ev
+     *   The drag event.
+     *
+     * @return
+     *   Returns true for a row drag, and false otherwise.
+     */
+    isRowDrag: function (ev) {
+      var dataTransfer = ev.originalEvent.dataTransfer;
+      if (typeof dataTransfer === 'undefined' ||
+          dataTransfer === null ||
+          typeof dataTransfer.types === 'undefined') {
+        return false;
+      }
+
+      var types = Array.prototype.slice.call(dataTransfer.types);
+      return $.inArray('foldershare/local-entity-list', types) !== (-1);
+    },
+
     /**
      * Attaches the UI behaviors.
      *
@@ -43,6 +91,8 @@
      *   Always returns true.
      */
     attach: function (pageContext, settings = null) {
+      var thisScript = Drupal.foldershare.ancestormenu;
+
       //
       // Test and exit
       // -------------
@@ -89,23 +139,36 @@
         }
         else {
           // Show the menu.
-          $menu.show().position({
-            my:        "left top",
-            at:        "left bottom",
-            of:        ev.target,
-            collision: "fit"
-          });
-
-          // Register a one-time handler to catch a off-menu click to hide it.
-          $(document).on('click.foldershare', function (ev) {
-            $menu.menu().hide();
-            $(document).off('click.foldershare');
-          } );
+          thisScript.showMenu($menu, $menuButton);
         }
 
         return false;
       });
 
+      //
+      // Add menu button drag behavior
+      // -----------------------------
+      // When rows are dragged over the menu button, show the ancestor menu
+      // so that its folders may be drop targets. When the drag ends,
+      // hide the menu.
+      $menuButton.off('dragenter.foldershare');
+      $menuButton.on('dragenter.foldershare', function (ev) {
+        if (thisScript.isRowDrag(ev) === true &&
+            $menu.menu().is(":visible") === false) {
+          thisScript.showMenu($menu, $menuButton);
+        }
+
+        return true;
+      });
+
+      $(document).off('dragend.foldershareancestormenu');
+      $(document).on('dragend.foldershareancestormenu', function (ev) {
+        if ($menu.menu().is(":visible")) {
+          $menu.menu().hide();
+          $(document).off('click.foldershare');
+        }
+      });
+
       //
       // Add ancestor menu item behavior
       // -------------------------------
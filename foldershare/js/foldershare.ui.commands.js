@@ -0,0 +1,360 @@
+/**
+ * @file
+ * Implements the FolderShare client-side command registry.
+ *
+ * The registry lets other modules' scripts add commands to the folder
+ * table menus. Each registered command has a definition much like that of
+ * a server command plugin, plus a Javascript callback that executes the
+ * command in the browser instead of on the server.
+ *
+ * Commands must be registered when a script loads, before Drupal attaches
+ * behaviors. For example:
+ * @code
+ * Drupal.foldershare.commands.register('mymodule_checksum', {
+ *   label: 'Show checksum',
+ *   category: 'edit',
+ *   weight: 10,
+ *   selectionConstraints: {
+ *     types: ['one'],
+ *     kinds: ['file'],
+ *     access: 'view',
+ *   },
+ *   callback: function (context) {
+ *     ...
+ *   },
+ * });
+ * @endcode
+ *
+ * @ingroup foldershare
+ */
+(function($, Drupal, drupalSettings) {
+
+  'use strict';
+
+  // Check pre-requisits.
+  //
+  // Define Drupal.foldershare if it hasn't been defined yet.
+  if ('foldershare' in Drupal === false) {
+    Drupal.foldershare = {};
+  }
+
+  Drupal.foldershare.commands = {
+
+    /*--------------------------------------------------------------------
+     *
+     * Constants.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * The selection types a command may support.
+     */
+    selectionTypes: ['none', 'one', 'many', 'parent'],
+
+    /**
+     * The registered commands.
+     *
+     * The object has one property per command ID. The value is the
+     * command's normalized definition.
+     */
+    registered: Object.create(null),
+
+    /*--------------------------------------------------------------------
+     *
+     * Registry.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Registers a client-side command.
+     *
+     * The definition uses the same fields as a server command plugin
+     * definition, and missing fields get the same defaults:
+     * - label: (required) the command's name.
+     * - menuNameDefault: the menu name with no selection (default = label).
+     * - menuName: the menu name with a selection, using "@operand" for
+     *   the selected item's name (default = menuNameDefault).
+     * - category: (required) the menu category, such as 'edit'.
+     * - weight: an integer used to sort the category (default = 0).
+     * - parentConstraints: an object with 'kinds' and 'access'
+     *   (default = any kind with 'view' access).
+     * - selectionConstraints: an object with 'types', 'kinds', and 'access'
+     *   (default = no selection).
+     * - destinationConstraints: an object with 'kinds' and 'access'
+     *   (default = no destination).
+     * - specialHandling: an array of special handling, such as 'create'
+     *   (default = none).
+     * - callback: (required) the function that executes the command.
+     *
+     * The callback is passed a context object with these properties:
+     * - commandId: the command ID.
+     * - parentId: the entity ID of the page's folder, or -1 for a root list.
+     * - selectionIds: an array of selected entity IDs.
+     * - selection: an object with one property for each selected kind.
+     *   The value is an array of objects with 'id' and 'access' properties.
+     * - env: the folder table's environment object.
+     *
+     * A command with the same ID as a server command is ignored in favor
+     * of the server command.
+     *
+     * @param commandId
+     *   The unique command ID. A module's name is a good prefix.
+     * @param definition
+     *   The command definition.
+     *
+     * @return
+     *   Returns true if the command was registered, and false if the
+     *   definition is invalid. When false, a message is printed to the
+     *   console.
+     */
+    register: function (commandId, definition) {
+      var thisScript = Drupal.foldershare.commands;
+      var utility = Drupal.foldershare.utility;
+
+      if (typeof commandId !== 'string' || commandId.length === 0) {
+        utility.printMessage(
+          'Invalid command',
+          'A command ID must be a non-empty string.');
+        return false;
+      }
+
+      var def = thisScript.normalize(commandId, definition);
+      if (def === null) {
+        return false;
+      }
+
+      thisScript.registered[commandId] = def;
+      return true;
+    },
+
+    /**
+     * Returns true if a command has been registered.
+     *
+     * @param commandId
+     *   The command ID.
+     *
+     * @return
+     *   Returns true if the command is registered, and false otherwise.
+     */
+    isRegistered: function (commandId) {
+      return (commandId in Drupal.foldershare.commands.registered === true);
+    },
+
+    /**
+     * Adds registered commands to a command list.
+     *
+     * Commands already in the list are left alone, so that a server
+     * command always takes precedence over a registered command with
+     * the same ID.
+     *
+     * @param commands
+     *   The command list, with one property per command ID.
+     *
+     * @return
+     *   Returns the command list.
+     */
+    addTo: function (commands) {
+      var registered = Drupal.foldershare.commands.registered;
+
+      for (var commandId in registered) {
+        if (commandId in commands === false) {
+          commands[commandId] = registered[commandId];
+        }
+      }
+
+      return commands;
+    },
+
+    /**
+     * Executes a registered command's callback.
+     *
+     * Exceptions thrown by the callback are caught and printed to the
+     * console so that a faulty command does not break the user interface.
+     *
+     * @param commandId
+     *   The command ID.
+     * @param context
+     *   The context object passed to the callback.
+     */
+    run: function (commandId, context) {
+      var def = Drupal.foldershare.commands.registered[commandId];
+
+      try {
+        def.callback.call(def, context);
+      }
+      catch (e) {
+        Drupal.foldershare.utility.printMessage(
+          'Command failed',
+          'The "' + commandId + '" command threw an exception: ' + e);
+      }
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Validate.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Returns a normalized copy of a command definition.
+     *
+     * Required fields are checked and missing fields are given default
+     * values, just as the server does for command plugin definitions.
+     *
+     * @param commandId
+     *   The command ID.
+     * @param definition
+     *   The command definition.
+     *
+     * @return
+     *   Returns the normalized definition, or null if the definition is
+     *   invalid. When null, a message is printed to the console.
+     */
+    normalize: function (commandId, definition) {
+      var thisScript = Drupal.foldershare.commands;
+      var utility = Drupal.foldershare.utility;
+
+      var fail = function (body) {
+        utility.printMessage(
+          'Invalid command',
+          'Command ID "' + commandId + '": ' + body);
+        return null;
+      };
+
+      if (typeof definition !== 'object' || definition === null) {
+        return fail('the definition must be an object.');
+      }
+
+      //
+      // Validate label and menu names
+      // -----------------------------
+      // The label cannot be empty. Menu names default to the label.
+      if (typeof definition.label !== 'string' ||
+          definition.label.length === 0) {
+        return fail('a "label" value must be defined.');
+      }
+
+      var def = {
+        id: commandId,
+        label: definition.label,
+      };
+
+      def.menuNameDefault = definition.menuNameDefault || def.label;
+      def.menuName = definition.menuName || def.menuNameDefault;
+      def.tooltip = definition.tooltip || def.label;
+      def.description = definition.description || '';
+
+      //
+      // Validate category and weight
+      // ----------------------------
+      // The category cannot be empty and is mapped to lower case. The
+      // weight defaults to zero.
+      if (typeof definition.category !== 'string' ||
+          definition.category.length === 0) {
+        return fail('the "category" value must be defined.');
+      }
+
+      def.category = definition.category.toLowerCase();
+      def.weight = parseInt(definition.weight, 10);
+      if (isNaN(def.weight) === true) {
+        def.weight = 0;
+      }
+
+      //
+      // Validate constraints
+      // --------------------
+      // Missing constraints get the same defaults as on the server.
+      var parent = definition.parentConstraints || {};
+      def.parentConstraints = {
+        kinds: thisScript.normalizeList(parent.kinds, 'any'),
+        access: thisScript.normalizeAccess(parent.access, 'view'),
+      };
+
+      var selection = definition.selectionConstraints || {};
+      def.selectionConstraints = {
+        types: thisScript.normalizeList(selection.types, 'none'),
+        kinds: thisScript.normalizeList(selection.kinds, 'any'),
+        access: thisScript.normalizeAccess(selection.access, 'view'),
+      };
+
+      var types = def.selectionConstraints.types;
+      for (var i = 0; i < types.length; ++i) {
+        if (thisScript.selectionTypes.includes(types[i]) === false) {
+          return fail('unrecognized selection type "' + types[i] + '".');
+        }
+      }
+
+      var destination = definition.destinationConstraints || {};
+      var destinationKinds = thisScript.normalizeList(destination.kinds, 'none');
+      var onlyNone = (destinationKinds.length === 1 && destinationKinds[0] === 'none');
+      def.destinationConstraints = {
+        kinds: destinationKinds,
+        access: thisScript.normalizeAccess(
+          destination.access,
+          (onlyNone === true) ? 'none' : 'update'),
+      };
+
+      def.specialHandling = thisScript.normalizeList(
+        definition.specialHandling,
+        null);
+
+      //
+      // Validate callback
+      // -----------------
+      // The callback is required.
+      if (typeof definition.callback !== 'function') {
+        return fail('a "callback" function must be defined.');
+      }
+
+      def.callback = definition.callback;
+
+      return def;
+    },
+
+    /**
+     * Returns a lower-case array from a string, array, or nothing.
+     *
+     * @param value
+     *   The value to normalize.
+     * @param defaultValue
+     *   The single value used when the value is empty, or null for an
+     *   empty array.
+     *
+     * @return
+     *   Returns the array.
+     */
+    normalizeList: function (value, defaultValue) {
+      if (typeof value === 'string') {
+        value = [value];
+      }
+
+      if (Array.isArray(value) === false || value.length === 0) {
+        return (defaultValue === null) ? [] : [defaultValue];
+      }
+
+      return value.map(function (v) {
+        return String(v).toLowerCase();
+      });
+    },
+
+    /**
+     * Returns a lower-case access name, or a default.
+     *
+     * @param value
+     *   The value to normalize.
+     * @param defaultValue
+     *   The access name used when the value is empty.
+     *
+     * @return
+     *   Returns the access name.
+     */
+    normalizeAccess: function (value, defaultValue) {
+      if (typeof value !== 'string' || value.length === 0) {
+        return defaultValue;
+      }
+
+      return value.toLowerCase();
+    }
+  };
+
+})(jQuery, Drupal, drupalSettings);
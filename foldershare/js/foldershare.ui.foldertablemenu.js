@@ -75,6 +75,16 @@
      */
     moveCommand: 'foldersharecommand_move',
 
+    /**
+     * The name of the module's standard entity rename command.
+     */
+    renameCommand: 'foldersharecommand_rename',
+
+    /**
+     * The name of the module's standard new folder command.
+     */
+    newFolderCommand: 'foldersharecommand_new_folder',
+
     /**
      * The table attribute created to track the current drag operand.
      *
@@ -107,6 +117,394 @@
      */
     tableDragRowIndex: 'foldershare-drag-row-index',
 
+    /**
+     * The table attribute created to track the entities in a row drag.
+     *
+     * Expected values are a JSON-encoded array of entity IDs for the rows
+     * being dragged, or an empty array if there is no row drag in progress.
+     * Drag events other than "dragstart" and "drop" cannot read the drag's
+     * data, so this attribute is used to keep rows from being dropped
+     * onto themselves.
+     */
+    tableDragEntityList: 'foldershare-drag-entity-list',
+
+    /**
+     * The class added to a drop target that cannot accept the drag.
+     *
+     * The class is added to a row or ancestor menu folder under the cursor
+     * during a row drag when the copy and move commands' destination
+     * constraints are not met by the target.
+     */
+    dragForbiddenClass: 'foldershare-dragforbidden',
+
+    /**
+     * The class for the badge that follows the cursor during a row drag.
+     *
+     * The badge describes the effect of a drop, such as "Move 3 items".
+     */
+    dragBadgeClass: 'foldershare-drag-badge',
+
+    /**
+     * Whether rows may be dragged with the right mouse button.
+     *
+     * When true, a right-button drag of rows onto a folder shows a small
+     * menu to move or copy the rows there, or to cancel.
+     */
+    rightDragEnabled: true,
+
+    /**
+     * The distance, in pixels, the mouse must move to start a right drag.
+     *
+     * Shorter movements are treated as a right-click to show the context
+     * menu.
+     */
+    rightDragThreshold: 5,
+
+    /**
+     * The current right-button drag, if any.
+     *
+     * The value is null when there is no right drag in progress. Otherwise
+     * it is an object with the environment, the starting row and position,
+     * the dragged entity IDs, and the current drop row.
+     */
+    rightDrag: null,
+
+    /**
+     * The selector for table rows that respond to row behaviors.
+     *
+     * Row behaviors are delegated from the table body, so rows added to
+     * the table later respond too. Spacer and placeholder rows in a virtual
+     * list, and the temporary row of an inline new folder, do not.
+     */
+    tableRowSelector: 'tr:not(.foldershare-virtual-spacer, .foldershare-virtual-loading, .foldershare-newfolder-row)',
+
+    /**
+     * The table attribute created to track the keyboard focus row.
+     *
+     * Expected values are numeric row indexes (1 for the 1st row) or
+     * "NaN" if there is no focus row. The focus row is the row most
+     * recently moved to by the keyboard, or clicked on by the mouse.
+     */
+    tableFocusRowIndex: 'foldershare-focus-row-index',
+
+    /**
+     * The table attribute created to track the keyboard selection anchor.
+     *
+     * Expected values are numeric row indexes (1 for the 1st row) or
+     * "NaN" if there is no anchor. The anchor is the row from which a
+     * shift-arrow key selection is extended. It is set by any focus
+     * change that does not extend the selection.
+     */
+    tableAnchorRowIndex: 'foldershare-anchor-row-index',
+
+    /**
+     * The selection model.
+     *
+     * The selection is kept outside of the table so that it survives
+     * AJAX paging and behavior re-attachment, which replace the table.
+     * The value is null until the first table is attached. Otherwise it
+     * is an object with:
+     * - 'pageId': the entity ID of the page the selection belongs to.
+     * - 'items': an object with entity IDs as keys, and objects with 'id',
+     *   'kind', 'name', 'access', 'size', and 'here' properties as values.
+     *   The size is (-1) if it is not known. 'here' is true if the item is
+     *   on the current table page.
+     * - 'count', 'size', 'kinds', and 'here': the number of items, their
+     *   total known size, the number of each kind, and the number on the
+     *   current table page. These are kept up to date as items are added
+     *   and removed so that a selection change never scans the table.
+     * - 'first' and 'last': the row indexes (1 for the 1st row) of the
+     *   selection range used by shift-clicks, or NaN if there is none.
+     * - 'changed': true if items were added or removed since other scripts
+     *   were last told of a selection change.
+     *
+     * Rows on the current table page are marked with the 'selected' class
+     * to show the selection, but the model is the only record of it. Items
+     * on other table pages remain in the model until the selection is
+     * cleared.
+     */
+    selectionModel: null,
+
+    /**
+     * The class of the status bar below the table.
+     *
+     * The status bar summarizes the selection, or the folder's contents
+     * when there is no selection.
+     */
+    statusBarClass: 'foldershare-folder-table-status',
+
+    /**
+     * The class of the rectangle drawn during a marquee selection.
+     */
+    marqueeClass: 'foldershare-marquee',
+
+    /**
+     * The distance, in pixels, the mouse must move to start a marquee.
+     *
+     * Shorter movements are treated as a click.
+     */
+    marqueeThreshold: 4,
+
+    /**
+     * The current marquee selection, if any.
+     *
+     * The value is null when there is no marquee in progress. Otherwise
+     * it is an object with the environment, the starting position, the
+     * items selected before the marquee started, and the marquee element.
+     */
+    marquee: null,
+
+    /**
+     * The number of milliseconds after a second click on a selected row
+     * before its name is edited.
+     *
+     * A double-click within this time opens the row instead.
+     */
+    renameClickDelay: 500,
+
+    /**
+     * The timer for a pending slow second click, or null.
+     */
+    renameClickTimer: null,
+
+    /**
+     * The inline rename in progress, or null.
+     *
+     * The object holds the environment, the row and its name anchor, the
+     * input field, the original name, and the last name the server
+     * rejected.
+     */
+    rename: null,
+
+    /**
+     * The inline new folder in progress, or null.
+     *
+     * The object holds the environment, the temporary row, the input
+     * field, rows hidden while it is shown, the default name first shown
+     * in the field, and the last name the server rejected.
+     */
+    newFolder: null,
+
+    /**
+     * The keyboard shortcuts for commands.
+     *
+     * Each key is a shortcut name built by keyboardGetShortcut(), such as
+     * "F2" or "Alt+N". "Mod" is the platform's command modifier: the
+     * command key on a Mac, and the control key everywhere else. Each
+     * value is the ID of the command to run.
+     *
+     * Shortcuts for commands that are not available on the page, or that
+     * are not enabled for the current selection, are ignored.
+     */
+    keyboardShortcuts: {
+      'Delete':        'foldersharecommand_delete',
+      'Mod+Backspace': 'foldersharecommand_delete',
+      'F2':            'foldersharecommand_rename',
+      'Alt+N':         'foldersharecommand_new_folder',
+      'Alt+U':         'foldersharecommand_upload_files',
+      'Alt+D':         'foldersharecommand_download',
+      'Alt+E':         'foldersharecommand_edit',
+    },
+
+    /**
+     * The time, in milliseconds, after the last typed character before
+     * the type-ahead find buffer is cleared.
+     */
+    typeAheadDelay: 1000,
+
+    /**
+     * The type-ahead find state.
+     *
+     * The object holds the characters typed so far and the timer that
+     * clears them.
+     */
+    typeAhead: {
+      buffer: '',
+      timer:  null
+    },
+
+    /**
+     * The keyboard shortcut that opens the command palette.
+     *
+     * The shortcut name is built by keyboardGetShortcut(). The shortcut
+     * works anywhere on the page except within form fields.
+     */
+    paletteShortcut: 'Mod+K',
+
+    /**
+     * The class of the command palette dialog.
+     */
+    paletteClass: 'foldershare-command-palette',
+
+    /**
+     * The class of the preview pane.
+     */
+    previewClass: 'foldershare-preview',
+
+    /**
+     * The largest file, in bytes, that the preview pane loads.
+     */
+    previewMaxSize: 10485760,
+
+    /**
+     * The maximum number of characters of text shown in the preview pane.
+     */
+    previewMaxText: 100000,
+
+    /**
+     * The maximum number of CSV rows shown in the preview pane.
+     */
+    previewMaxRows: 200,
+
+    /**
+     * The file name extensions previewed, grouped by how they are shown.
+     */
+    previewTypes: {
+      'image': ['bmp', 'gif', 'jpeg', 'jpg', 'png', 'svg', 'webp'],
+      'text':  ['css', 'htm', 'html', 'js', 'json', 'log', 'md', 'txt', 'xml', 'yml'],
+      'csv':   ['csv', 'tsv'],
+      'pdf':   ['pdf']
+    },
+
+    /**
+     * The open preview pane, or null.
+     *
+     * The object holds the environment, the pane element, the entity ID
+     * shown, the pending file request, and the object URL for the loaded
+     * file, if any.
+     */
+    preview: null,
+
+    /**
+     * The class added to the table when it is shown as a grid.
+     */
+    viewGridClass: 'foldershare-grid-view',
+
+    /**
+     * The local storage key prefix for each folder's view mode.
+     *
+     * The folder's entity ID, or -1 for a root folder list, is appended.
+     * The saved value is 'list' or 'grid'.
+     */
+    viewStorageKey: 'foldershare.view.',
+
+    /**
+     * The class added to rows hidden by the quick filter.
+     */
+    tableFilteredClass: 'foldershare-filtered',
+
+    /**
+     * The columns sorted in the browser, and the sort key for each.
+     *
+     * Columns are found by their Views field class. The 'kind' key has
+     * no column and is sorted by a link in the name column's header.
+     */
+    sortColumns: {
+      'views-field-name':    'name',
+      'views-field-changed': 'changed',
+      'views-field-size':    'size'
+    },
+
+    /**
+     * The current client-side sort, or null.
+     *
+     * The object has the page's entity ID, the sort key, and true for a
+     * descending sort. The sort is kept when the table is refreshed.
+     */
+    sort: null,
+
+    /**
+     * The number of items in a folder at which the table becomes a
+     * virtual list.
+     *
+     * A virtual list shows the whole folder as one scrolling list instead
+     * of table pages. Only rows near those shown are fetched from the
+     * server and added to the table.
+     */
+    virtualThreshold: 1000,
+
+    /**
+     * The number of items fetched from the server at a time for a virtual
+     * list.
+     */
+    virtualWindow: 250,
+
+    /**
+     * The number of extra rows added above and below those shown in a
+     * virtual list, so that short scrolls don't show empty rows.
+     */
+    virtualOverscan: 20,
+
+    /**
+     * The row height, in pixels, used for a virtual list until a row is
+     * measured.
+     */
+    virtualRowHeight: 32,
+
+    /**
+     * The virtual list, or null if the table is not a virtual list.
+     *
+     * The object holds the environment, the page's entity ID, the number of
+     * items in the list, the items fetched so far by list index, pending
+     * and completed fetches by window, the current sort and filter, the
+     * latest range selection, the row height, the range of rows in the
+     * table, and the spacer rows that stand in for the rest.
+     */
+    virtual: null,
+
+    /**
+     * The current quick filter, or null.
+     *
+     * The object has the page's entity ID and the filter text. The filter
+     * is kept when the table is refreshed.
+     */
+    filter: null,
+
+    /**
+     * The class of the drop zone overlay shown during file drags.
+     */
+    dropZoneClass: 'foldershare-dropzone',
+
+    /**
+     * Whether files dropped anywhere on the page are uploaded.
+     *
+     * When true, dragging files anywhere over the page shows the drop zone,
+     * and files dropped outside of the folder table are uploaded into the
+     * page's folder. When false, only drops onto the toolbar and folder
+     * table are uploaded.
+     */
+    dropZonePageWide: true,
+
+    /**
+     * The number of milliseconds without a file "dragover" event before
+     * the drop zone is hidden.
+     *
+     * Browsers send "dragover" events continuously during a drag, even
+     * when the cursor is still. When they stop, the drag has left the
+     * page or been canceled.
+     */
+    dropZoneHideDelay: 250,
+
+    /**
+     * The session storage key for commands that no longer need confirmation.
+     *
+     * When the user checks "don't ask again this session" in a confirmation
+     * dialog, the command ID is added to a list saved under this key. The
+     * list lasts until the browser tab is closed.
+     */
+    confirmSkipKey: 'foldershare.confirm.skip',
+
+    /**
+     * The maximum number of items listed in a confirmation dialog.
+     */
+    confirmMaxItems: 20,
+
+    /**
+     * The commands that no longer need confirmation, when session storage
+     * is not available.
+     */
+    confirmSkip: Object.create(null),
+
     /**
      * The maximum number of menu items in a category before creating a
      * submenu.
@@ -300,6 +698,8 @@
      * - env.gather.$selectionIdInput = the selection <input>.
      * - env.gather.$parentIdInput = the parent ID <input>.
      * - env.gather.$destinationIdInput = the destination ID <input>.
+     * - env.gather.$configurationInput = the command parameters <input>.
+     * - env.gather.$responseInput = the response type <input>.
      * - env.gather.$commandSubmitButton = the button for submitting the form.
      * - env.gather.nameColumn = the table column name for the name & attrib.
      *
@@ -380,6 +780,8 @@
       // - A selection IDs <input>.
       // - A destination ID <input>.
       // - A parent ID <input>.
+      // - A command parameters <input>.
+      // - A response type <input>.
       //
       // The upload field's name uses special [] array syntax
       // imposed by the Drupal file module.
@@ -418,6 +820,20 @@
         return false;
       }
 
+      var $configurationInput = $('input[name="foldershare-folder-table-menu-configuration"]', $commandForm).eq(0);
+      if ($configurationInput.length === 0) {
+        utility.printMalformedError(
+          'The main UI configuration field is missing.');
+        return false;
+      }
+
+      var $responseInput = $('input[name="foldershare-folder-table-menu-response"]', $commandForm).eq(0);
+      if ($responseInput.length === 0) {
+        utility.printMalformedError(
+          'The main UI response field is missing.');
+        return false;
+      }
+
       //
       // Find table
       // ----------
@@ -446,6 +862,8 @@
         '$selectionIdInput':    $selectionIdInput,
         '$destinationIdInput':  $destinationIdInput,
         '$parentIdInput':       $parentIdInput,
+        '$configurationInput':  $configurationInput,
+        '$responseInput':       $responseInput,
         '$commandSubmitButton': $commandSubmitButton,
       };
 
@@ -570,6 +988,55 @@
       return env.dndUploadEnabled;
     },
 
+    /**
+     * Returns the file system entries for a file drag that includes folders.
+     *
+     * Browsers that support the DataTransferItem webkitGetAsEntry() API
+     * provide a file system entry for each dragged file or folder. Folder
+     * entries may be walked to find the files and subfolders within.
+     *
+     * Entries must be gotten while handling the drop event. They are not
+     * available afterwards.
+     *
+     * @param ev
+     *   The file drop event.
+     *
+     * @return
+     *   Returns an array of FileSystemEntry objects if the drag includes
+     *   at least one folder. Returns null if the drag only includes files,
+     *   or if the browser does not support file system entries.
+     */
+    getFileDragEntries: function (ev) {
+      var dataTransfer = ev.originalEvent.dataTransfer;
+      if (typeof dataTransfer === 'undefined' ||
+          typeof dataTransfer.items === 'undefined' ||
+          typeof DataTransferItem === 'undefined' ||
+          typeof DataTransferItem.prototype.webkitGetAsEntry !== 'function') {
+        return null;
+      }
+
+      var entries = [];
+      var hasFolder = false;
+      for (var i = 0; i < dataTransfer.items.length; ++i) {
+        var item = dataTransfer.items[i];
+        if (item.kind !== 'file') {
+          continue;
+        }
+
+        var entry = item.webkitGetAsEntry();
+        if (entry === null) {
+          continue;
+        }
+
+        if (entry.isDirectory === true) {
+          hasFolder = true;
+        }
+        entries.push(entry);
+      }
+
+      return (hasFolder === true) ? entries : null;
+    },
+
     /**
      * Determine if file drag to file upload is valid.
      *
@@ -743,6 +1210,11 @@
      *
      * Unknown categories are added to the end. Any category may be empty.
      *
+     * The server's commands, plus any commands registered by scripts, are
+     * saved to the environment as a copy, so that the page's shared
+     * settings keep only the server's commands:
+     * - env.commands = the list of all commands.
+     *
      * This function saves two command list objects to the environment.
      * Each object has one property for each supported command:
      * - env.mainCommands = the list of supported main menu commands.
@@ -788,7 +1260,14 @@
       var mainCommands    = Object.create(null);
       var contextCommands = Object.create(null);
 
-      var allCommands    = env.settings.foldershare.commands;
+      // Add commands registered by scripts to a copy of the server's
+      // commands. They are culled, categorized, and sorted the same way.
+      env.commands = $.extend({}, env.settings.foldershare.commands);
+      if ('commands' in Drupal.foldershare === true) {
+        Drupal.foldershare.commands.addTo(env.commands);
+      }
+
+      var allCommands    = env.commands;
       var pageEntityId   = env.settings.foldershare.page.id;
       var pageEntityKind = env.settings.foldershare.page.kind;
       var pageAccess     = env.settings.foldershare.user.pageAccess;
@@ -1253,6 +1732,7 @@
             of:        ev.target,
             collision: "fit"
           });
+          thisScript.eventTrigger(env, 'menuopen', { menu: 'main', $menu: $menu });
 
           // Register a handler to catch an off-menu click to hide it.
           $(document).on('click.foldershare', function (ev) {
@@ -1272,25 +1752,10 @@
         // Insure the menu is hidden.
         $menu.menu().hide();
 
-        // Fill the server form.
-        var command = $(ui.item).attr('data-foldershare-command');
-        thisScript.serverCommandSetup(
+        // Run the command.
+        thisScript.serverCommandRun(
           env,
-          command,
-          null,
-          null,
-          thisScript.tableGetSelectionIds(env),
-          null);
-
-        var specialHandling = env.mainCommands[command].specialHandling;
-        if ($.inArray('upload', specialHandling) !== (-1)) {
-          // Show file dialog.
-          env.gather.$uploadInput.click();
-        }
-        else {
-          // Submit form.
-          thisScript.serverCommandSubmit(env);
-        }
+          $(ui.item).attr('data-foldershare-command'));
 
         return true;
       });
@@ -1304,25 +1769,10 @@
         // Insure the menu is hidden.
         $contextMenu.menu().hide();
 
-        // Fill the server form.
-        var command = $(ui.item).attr('data-foldershare-command');
-        thisScript.serverCommandSetup(
+        // Run the command.
+        thisScript.serverCommandRun(
           env,
-          command,
-          null,
-          null,
-          thisScript.tableGetSelectionIds(env),
-          null);
-
-        var specialHandling = env.contextCommands[command].specialHandling;
-        if ($.inArray('upload', specialHandling) !== (-1)) {
-          // Show file dialog.
-          env.gather.$uploadInput.click();
-        }
-        else {
-          // Submit form.
-          thisScript.serverCommandSubmit(env);
-        }
+          $(ui.item).attr('data-foldershare-command'));
 
         return true;
       });
@@ -1339,7 +1789,22 @@
           // When called, the upload field's file list has already been
           // set via the browser's file dialog. The other fields of the
           // command form were set up when the menu command was selected.
-          thisScript.serverCommandSubmit(env);
+          if (this.files.length === 0) {
+            return;
+          }
+
+          // Without background uploads, submit the valid files as they are.
+          if (thisScript.serverUploadSupported(env) === false &&
+              thisScript.checkUploadFiles(env, this.files, false).rejected.length === 0) {
+            thisScript.serverCommandSubmit(env);
+            return;
+          }
+
+          // Copy the files. The upload field is reset before they are sent.
+          thisScript.serverUploadChecked(
+            env,
+            env.gather.$parentIdInput.val(),
+            Array.prototype.slice.call(this.files));
         });
 
       //
@@ -1516,7 +1981,7 @@
           return true;
         }
 
-        if (commandId in env.settings.foldershare.commands === false) {
+        if (commandId in env.commands === false) {
           // Fail. Unknown command. Mark it broken.
           $item.removeClass('ui-state-enabled');
           $item.addClass('ui-state-disabled');
@@ -1543,7 +2008,7 @@
 
           // Generic text is encoded as an attribute on the menu item.
           // Get it and replace the user-visible text with that generic text.
-          text = env.settings.foldershare.commands[commandId].menuNameDefault;
+          text = env.commands[commandId].menuNameDefault;
         }
         else {
           // The command is enabled in this context. The selection must
@@ -1560,7 +2025,7 @@
           // as an attribute on the men item. Get it, substitute '@operand'
           // with a suitable comment on the selection, then replace the
           // user-visible text of the menu item with the new text.
-          text = env.settings.foldershare.commands[commandId].menuName;
+          text = env.commands[commandId].menuName;
           text = text.replace('@operand', operand);
         }
 
@@ -1658,6 +2123,9 @@
     /**
      * Sets up a server command.
      *
+     * A 'foldershare:beforecommand' event is triggered first. Handlers may
+     * change the command's operands, or cancel the command.
+     *
      * @param env
      *   The environment object.
      * @param command
@@ -1674,6 +2142,10 @@
      * @param fileList
      *   (optional, default = null = none) The file list. If not given,
      *   the value is left empty.
+     *
+     * @return
+     *   Returns true if the command was set up, and false if it was
+     *   canceled by an event handler.
      */
     serverCommandSetup: function(
       env,
@@ -1683,36 +2155,54 @@
       selectionIdList = null,
       fileList = null) {
 
-      env.gather.$commandForm[0].reset();
-
-      env.gather.$commandInput.val(command);
-
       if (parentId === null) {
-        env.gather.$parentIdInput.val(env.settings.foldershare.page.id);
+        parentId = env.settings.foldershare.page.id;
       }
-      else {
-        env.gather.$parentIdInput.val(parentId);
+
+      var operands = {
+        command:       command,
+        parentId:      parentId,
+        destinationId: destinationId,
+        selectionIds:  selectionIdList,
+        files:         fileList
+      };
+
+      if (this.eventBeforeCommand(env, operands) === false) {
+        return false;
       }
 
-      if (destinationId !== null) {
-        env.gather.$destinationIdInput.val(destinationId);
+      // Save the operands for the 'foldershare:aftercommand' event.
+      env.commandOperands = operands;
+
+      env.gather.$commandForm[0].reset();
+
+      env.gather.$commandInput.val(operands.command);
+      env.gather.$parentIdInput.val(operands.parentId);
+
+      if (operands.destinationId !== null) {
+        env.gather.$destinationIdInput.val(operands.destinationId);
       }
 
-      if (selectionIdList !== null) {
-        env.gather.$selectionIdInput.val(JSON.stringify(selectionIdList));
+      if (operands.selectionIds !== null) {
+        env.gather.$selectionIdInput.val(JSON.stringify(operands.selectionIds));
       }
 
-      if (fileList !== null) {
+      if (operands.files !== null) {
         // Setting the file list triggers a behavior which does
         // a form submit.
-        env.gather.$uploadInput[0].files = fileList;
+        env.gather.$uploadInput[0].files = operands.files;
         this.serverCommandSubmit(env);
       }
+
+      return true;
     },
 
     /**
      * Submits a previously set up server command.
      *
+     * A 'foldershare:aftercommand' event is triggered once the form has
+     * been submitted.
+     *
      * @param env
      *   The environment object.
      */
@@ -1723,173 +2213,908 @@
       else {
         env.gather.$commandForm.submit();
       }
-    },
 
+      this.eventAfterCommand(env, env.commandOperands, null, null);
+    },
 
-    /*--------------------------------------------------------------------
+    /**
+     * Sets up and submits a command on the current selection.
      *
-     * Table.
+     * This is the common path for commands chosen from the main menu,
+     * the context menu, or a keyboard shortcut. The command's operands
+     * are the current page and the current selection. Commands that
+     * upload files show the browser's file dialog, and the upload
+     * field's change behavior submits the form when the dialog closes.
+     * Commands registered by scripts run their callback instead.
+     * Destructive commands are confirmed first, a selected row is renamed
+     * in place, and a new folder is named in a temporary row.
      *
-     * These functions manage the table of files and folders.
+     * @param env
+     *   The environment object.
+     * @param command
+     *   The id/name of the command.
+     */
+    serverCommandRun: function (env, command) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      // Rename a selected row on this page in place, and name a new
+      // folder in a temporary row.
+      if (command === thisScript.renameCommand &&
+          thisScript.renameStart(env) === true) {
+        return;
+      }
+
+      if (command === thisScript.newFolderCommand &&
+          thisScript.newFolderStart(env) === true) {
+        return;
+      }
+
+      if (typeof env.commands[command].callback === 'function') {
+        // Run a registered command in the browser.
+        var operands = {
+          command:       command,
+          parentId:      env.settings.foldershare.page.id,
+          destinationId: null,
+          selectionIds:  thisScript.tableGetSelectionIds(env),
+          files:         null
+        };
+
+        if (thisScript.eventBeforeCommand(env, operands) === false) {
+          return;
+        }
+
+        Drupal.foldershare.commands.run(command, {
+          commandId:    command,
+          parentId:     operands.parentId,
+          selectionIds: operands.selectionIds,
+          selection:    thisScript.tableGetSelectionIdsByKind(env),
+          env:          env,
+        });
+
+        thisScript.eventAfterCommand(env, operands, null, null);
+        return;
+      }
+
+      // Confirm destructive commands that need no destination. They
+      // run in the background instead of showing the server's form.
+      // Commands that need a destination are confirmed when one is
+      // chosen by a drop.
+      var def = env.commands[command];
+      var destinationKinds = def.destinationConstraints.kinds;
+      if (def.specialHandling.includes('destructive') === true &&
+          destinationKinds.length === 1 && destinationKinds[0] === 'none') {
+        thisScript.confirmRun(
+          env,
+          command,
+          null,
+          thisScript.tableGetSelectionIds(env));
+        return;
+      }
+
+      // Fill the server form.
+      var setup = thisScript.serverCommandSetup(
+        env,
+        command,
+        null,
+        null,
+        thisScript.tableGetSelectionIds(env),
+        null);
+      if (setup === false) {
+        return;
+      }
+
+      var specialHandling = env.commands[command].specialHandling;
+      if ($.inArray('upload', specialHandling) !== (-1)) {
+        // Show file dialog.
+        env.gather.$uploadInput.click();
+      }
+      else {
+        // Submit form.
+        thisScript.serverCommandSubmit(env);
+      }
+    },
+
+    /**
+     * Executes a server command in the background.
      *
-     * Table management adds a behavior to every row, and responds to that
-     * behavior to select or unselect rows based upon user mouse or touch
-     * events. A row is selected if it (1) has the 'selected' class and
-     * (2) has its hidden checkbox checked.
+     * The server form is filled in and posted without leaving the page.
+     * The server executes the command with the given parameters, without
+     * prompting the user, and returns a JSON response.
      *
-     *--------------------------------------------------------------------*/
+     * @param env
+     *   The environment object.
+     * @param command
+     *   The id/name of the command.
+     * @param parentId
+     *   (optional, default = null = current page) The parent entity ID.
+     * @param destinationId
+     *   (optional, default = null = none) The destination entity ID.
+     * @param selectionIdList
+     *   (optional, default = null = none) The list of selection IDs.
+     * @param configuration
+     *   (optional, default = null = none) An object with further named
+     *   command parameters, such as the 'name' for a new folder.
+     *
+     * @return
+     *   Returns a jQuery promise. On success, the promise is resolved with
+     *   the server's response, which includes 'messages', 'createdIds',
+     *   and 'redirect' properties. On failure, the promise is rejected
+     *   with an error message.
+     */
+    serverCommandJson: function (
+      env,
+      command,
+      parentId = null,
+      destinationId = null,
+      selectionIdList = null,
+      configuration = null) {
+
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var deferred = $.Deferred();
+
+      var setup = thisScript.serverCommandSetup(
+        env,
+        command,
+        parentId,
+        destinationId,
+        selectionIdList,
+        null);
+      if (setup === false) {
+        deferred.reject(Drupal.foldershare.utility.getTerm(
+          env.settings.foldershare.terminology,
+          'canceled'));
+        return deferred.promise();
+      }
+
+      var operands = env.commandOperands;
+
+      if (configuration !== null) {
+        env.gather.$configurationInput.val(JSON.stringify(configuration));
+      }
+      env.gather.$responseInput.val('json');
+
+      // Build the form data, including the submit button that Drupal
+      // uses to identify how the form was submitted.
+      var data = new FormData(env.gather.$commandForm[0]);
+      var $submit = env.gather.$commandSubmitButton;
+      data.append($submit.attr('name'), $submit.val());
+
+      // Reset the form so that a later regular submit is not affected.
+      env.gather.$commandForm[0].reset();
+
+      $.ajax({
+        url:         env.gather.$commandForm.attr('action'),
+        type:        'POST',
+        data:        data,
+        dataType:    'json',
+        processData: false,
+        contentType: false,
+      })
+        .done(function (response) {
+          thisScript.eventAfterCommand(env, operands, response, null);
+          deferred.resolve(response);
+        })
+        .fail(function (xhr) {
+          // Errors are reported in the JSON response, if there is one.
+          // Otherwise the form itself failed, such as when its token has
+          // expired, or Drupal returned its own JSON error without
+          // 'messages'.
+          var message = xhr.statusText;
+          var json = xhr.responseJSON;
+          if (typeof json === 'object' && json !== null &&
+              typeof json.messages === 'object' && json.messages !== null &&
+              Array.isArray(json.messages.error) === true &&
+              json.messages.error.length > 0) {
+            message = json.messages.error.join(' ');
+          }
+
+          thisScript.eventAfterCommand(env, operands, null, message);
+          deferred.reject(message);
+        });
+
+      return deferred.promise();
+    },
 
     /**
-     * Attaches behaviors to the table.
+     * Returns true if files can be uploaded in the background.
      *
-     * This method sets attaches row behaviors to support row selection
-     * using mouse and touch events, row drag-and-drop, and file drag-and-drop.
-     * Some or all of these features may be disabled based upon permissions
-     * on the current folder (if any), subfolders (if any), and for copy,
-     * move, and file uploads. Drag-and-drop features also may be disabled
-     * if copy, move, and file upload commands are not available.
+     * @param env
+     *   The environment object.
+     *
+     * @return
+     *   Returns true if background uploads are supported, and false if
+     *   uploads must submit the server form.
+     */
+    serverUploadSupported: function (env) {
+      return ('UIUpload' in Drupal.foldershare === true &&
+        Drupal.foldershare.UIUpload.isSupported(env) === true);
+    },
+
+    /**
+     * Uploads files into a folder.
+     *
+     * When the browser supports it, files are uploaded in the background
+     * with a progress panel, and the table is refreshed when done.
+     * Otherwise the files are uploaded by submitting the server form,
+     * which reloads the page.
      *
      * @param env
      *   The environment object.
+     * @param parentId
+     *   The entity ID of the folder to upload into.
+     * @param fileList
+     *   The FileList or array of File objects.
      */
-    tableAttachBehaviors: function (env) {
-      var $table     = env.gather.$table;
-      var $tbody     = env.gather.$tbody;
+    serverUpload: function (env, parentId, fileList) {
       var thisScript = Drupal.foldershare.UIFolderTableMenu;
 
-      //
-      // Context menu right-click
-      // ------------------------
-      // Attach a row behavior to present the context menu. Typically this
-      // event is generated by a right-click, but it also may be presented
-      // by a special context menu keyboard key.
-      var $contextMenu = $('.foldershare-folder-table-contextmenu', env.gather.$subform);
-      $('tr', $tbody).off('contextmenu.foldershare');
-      $('tr', $tbody).on(
-        'contextmenu.foldershare',
-        function (ev) {
-          if ($contextMenu.menu().is(":visible")) {
-            // When the menu is already visible, hide it.
-            $contextMenu.menu().hide();
+      if (thisScript.serverUploadSupported(env) === true) {
+        // Start the upload before clearing the upload field. The upload
+        // copies the file list, which is emptied when the field is reset.
+        thisScript.serverUploadBackground(env, parentId, fileList);
+        env.gather.$commandForm[0].reset();
+        return;
+      }
+
+      // The upload field only accepts a FileList. Build one from an array,
+      // if the browser supports it.
+      if (Array.isArray(fileList) === true) {
+        try {
+          var dataTransfer = new DataTransfer();
+          for (var i = 0; i < fileList.length; ++i) {
+            dataTransfer.items.add(fileList[i]);
+          }
+          fileList = dataTransfer.files;
+        }
+        catch (er) {
+          var text = '<div>';
+          var translated = env.settings.foldershare.terminology.text.upload_dnd_not_supported;
+          if (typeof translated === 'undefined') {
+            text += '<p><strong>Drag-and-drop file upload is not supported.</strong></p>';
+            text += '<p>This feature is not supported by this web browser.</p>';
           }
           else {
-            // If the current row is NOT selected, select it (clearing any
-            // prior selection). Otherwise get the current selection.
-            var $thisTr = $(this);
-            if ($thisTr.hasClass("selected") === false) {
-              // Not selected. Select it now.
-              thisScript.tableSelectRow($thisTr, env);
-            }
+            text += translated;
+          }
+          text += '</div>';
+          Drupal.dialog(text, {}).showModal();
+          return;
+        }
+      }
 
-            // Update the menu's text based on the selection.
-            thisScript.menuUpdate(env, $contextMenu);
+      // Fill the server form and submit.
+      thisScript.serverCommandSetup(
+        env,
+        thisScript.uploadCommand,
+        parentId,
+        null,
+        null,
+        fileList);
+    },
 
-            // Position the menu and show it.
-            $contextMenu.show().position({
-              my:        "left top",
-              at:        "left bottom",
-              of:        ev,
-              collision: "fit"
-            });
+    /**
+     * Uploads files or dropped folder trees in the background.
+     *
+     * A 'foldershare:beforecommand' event is triggered first. Handlers
+     * may cancel the upload, or change its parent ID or files. When the
+     * background upload is finished, a 'foldershare:aftercommand' event
+     * is triggered with the upload's counts of 'done', 'failed', and
+     * 'canceled' files as its response.
+     *
+     * @param env
+     *   The environment object.
+     * @param parentId
+     *   The entity ID of the folder to upload into.
+     * @param fileList
+     *   The FileList or array of File objects.
+     * @param entries
+     *   (optional, default = null = none) The array of FileSystemEntry
+     *   objects for dropped folder trees. If a handler changes the files,
+     *   only those files are uploaded and the entries are ignored.
+     *
+     * @return
+     *   Returns true if the upload was started, and false if it was
+     *   canceled by an event handler.
+     */
+    serverUploadBackground: function (env, parentId, fileList, entries) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
 
-            // Register a handler to catch an off-menu click to hide it.
-            $(document).on('click.foldershare', function (ev) {
-              $contextMenu.menu().hide();
-            } );
-          }
+      if (typeof entries === 'undefined') {
+        entries = null;
+      }
 
-          return false;
-        });
+      var operands = {
+        command:       thisScript.uploadCommand,
+        parentId:      parentId,
+        destinationId: null,
+        selectionIds:  null,
+        files:         fileList
+      };
 
-      //
-      // Add open behavior
-      // -----------------
-      // For each body row, add a double-click behavior that opens the
-      // view page of the row's entity.
-      $('tr', $tbody).off('dblclick.foldershare');
-      $('tr', $tbody).on(
-        'dblclick.foldershare',
-        function (ev) {
-          $('td.' + env.gather.nameColumn + ' a', $(this))[0].click();
-        });
+      if (thisScript.eventBeforeCommand(env, operands) === false) {
+        return false;
+      }
 
-      //
-      // Add selection behavior
-      // ----------------------
-      // For each body row, add behaviors that respond to mouse clicks and
-      // touch screen touches.
-      $('tr', $tbody).once('row-click').on(
-        'click.foldershare',
-        function (ev) {
-          thisScript.tableClickSelect.call(this, ev, env);
-        });
+      var onFinish = function (result, error) {
+        thisScript.eventAfterCommand(env, operands, result, error);
+      };
 
-      $('tr', $tbody).once('row-touch').on(
-        'touchend.foldershare',
-        function (ev) {
-          thisScript.tableTouchSelect.call(this, ev, env);
-        });
+      if (entries !== null && operands.files === fileList) {
+        Drupal.foldershare.UIUpload.startEntries(
+          env,
+          operands.parentId,
+          entries,
+          onFinish);
+      }
+      else {
+        Drupal.foldershare.UIUpload.start(
+          env,
+          operands.parentId,
+          operands.files,
+          onFinish);
+      }
 
-      //
-      // Prepare for drag behaviors
-      // --------------------------
-      // If copy, move, and/or file upload commands are enabled for this page,
-      // then prepare for drag operations.
-      if (env.dndCopyEnabled === true ||
-          env.dndMoveEnabled === true) {
-        // Mark all rows as draggable for copy and/or move.
-        $('tr', $tbody).attr('draggable', 'true');
+      return true;
+    },
+
+    /**
+     * Checks files and uploads them into a folder.
+     *
+     * Files are checked against the server's upload limits. If all files
+     * are valid, they are uploaded. Otherwise a dialog lists the rejected
+     * files and offers to upload the remaining valid files.
+     *
+     * @param env
+     *   The environment object.
+     * @param parentId
+     *   The entity ID of the folder to upload into.
+     * @param files
+     *   The array of File objects.
+     */
+    serverUploadChecked: function (env, parentId, files) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      var check = thisScript.checkUploadFiles(
+        env,
+        files,
+        thisScript.serverUploadSupported(env));
+
+      if (check.rejected.length === 0) {
+        thisScript.serverUpload(env, parentId, check.valid);
+        return;
       }
 
-      if (env.dndCopyEnabled === true ||
-          env.dndMoveEnabled === true ||
-          env.dndUploadEnabled === true) {
-        // Initialize drag-related attributes.
-        $table.attr(thisScript.tableDragOperand, 'none');
-        $table.attr(thisScript.tableDragEffectAllowed, 'none');
-        $table.attr(thisScript.tableDragRowIndex, 'NaN');
+      thisScript.showUploadRejected(
+        env,
+        check.rejected,
+        check.valid.length,
+        function () {
+          thisScript.serverUpload(env, parentId, check.valid);
+        });
+    },
+
+    /**
+     * Checks files against the server's upload limits.
+     *
+     * Files are rejected if:
+     * - The file's name extension is not allowed.
+     * - The file is larger than the maximum upload size.
+     * - There are more files than may be uploaded at once.
+     *
+     * Background uploads send one file at a time, so the limit on the
+     * number of files only applies to uploads that submit the server form.
+     *
+     * @param env
+     *   The environment object.
+     * @param files
+     *   The FileList or array of File objects.
+     * @param background
+     *   True if the files will be uploaded in the background.
+     *
+     * @return
+     *   Returns an object with a 'valid' array of File objects, and a
+     *   'rejected' array of objects with 'name' and 'reason' properties.
+     */
+    checkUploadFiles: function (env, files, background) {
+      var limits = env.settings.foldershare.upload;
+      var text = env.settings.foldershare.terminology.text;
+      var result = {
+        'valid':    [],
+        'rejected': [],
+      };
+
+      if (typeof limits === 'undefined') {
+        // Nothing to check against. Let the server check.
+        for (var i = 0; i < files.length; ++i) {
+          result.valid.push(files[i]);
+        }
+        return result;
       }
 
-      //
-      // Add row drag start/end behaviors
-      // --------------------------------
-      // When copy and/or move drag-and-drop are enabled, rows may be
-      // dragged into subfolders.
-      //
-      // - A "dragstart" event is sent when the user first starts dragging
-      //   a row. The event indicates the current row.
-      //
-      // - A "dragend" event is sent after the user drops the dragged rows,
-      //   or canceles the drag (such as with the ESC key). The event
-      //   indicates the row the drag started on.
-      if (env.dndCopyEnabled === true ||
-          env.dndMoveEnabled === true) {
-        // Respond to drag starts. The response uses either the current row,
-        // or the entire current selection, then builds a ghost image to
-        // drag and initializes the data transfer and table attributes to
-        // track the drag.
-        $('tr', $tbody).off('dragstart.foldershare');
-        $('tr', $tbody).on(
-          'dragstart.foldershare',
-          function (ev) {
-            thisScript.tableRowDragStart.call(this, ev, env);
+      for (var i = 0; i < files.length; ++i) {
+        var file = files[i];
+
+        // Check the extension, if the name has one. Names without an
+        // extension are always allowed, as on the server.
+        var dot = file.name.lastIndexOf('.');
+        var ext = (dot === (-1)) ? '' : file.name.substr(dot + 1).toLowerCase();
+        if (limits.extensions.length !== 0 && ext !== '' &&
+            $.inArray(ext, limits.extensions) === (-1)) {
+          result.rejected.push({
+            'name':   file.name,
+            'reason': ('upload_invalid_extension' in text) ?
+              text.upload_invalid_extension :
+              'The file type is not allowed.',
           });
+          continue;
+        }
 
-        // Respond to drag ends.
-        $('tr', $tbody).off('dragend.foldershare');
-        $('tr', $tbody).on(
-          'dragend.foldershare',
-          function (ev) {
-            thisScript.tableRowDragEnd.call(this, ev, env);
+        // Check the size.
+        if (limits.maxFileSize > 0 && file.size > limits.maxFileSize) {
+          result.rejected.push({
+            'name':   file.name,
+            'reason': ('upload_invalid_size' in text) ?
+              text.upload_invalid_size :
+              'The file is larger than the maximum allowed size.',
           });
+          continue;
+        }
+
+        result.valid.push(file);
       }
 
-      //
-      // Add file and row over/leave/drop behaviors
-      // ------------------------------------------
-      // When copy and/or move are enabled, rows may be dragged and dropped
-      // onto folders. When file uploads are enabled, files may be dragged
-      // from off browser and dropped onto the table (if the table is for
+      // Check the number of files.
+      if (background === false && limits.maxFileNumber > 0 &&
+          result.valid.length > limits.maxFileNumber) {
+        var extra = result.valid.splice(limits.maxFileNumber);
+        for (var i = 0; i < extra.length; ++i) {
+          result.rejected.push({
+            'name':   extra[i].name,
+            'reason': ('upload_invalid_number' in text) ?
+              text.upload_invalid_number :
+              'Too many files were uploaded at once.',
+          });
+        }
+      }
+
+      return result;
+    },
+
+    /**
+     * Shows a dialog listing files rejected for upload.
+     *
+     * If there are valid files, the dialog offers to upload them.
+     *
+     * @param env
+     *   The environment object.
+     * @param rejected
+     *   The array of rejected files, each with 'name' and 'reason'
+     *   properties.
+     * @param nValid
+     *   The number of valid files.
+     * @param onUpload
+     *   The function to call if the user chooses to upload the valid files.
+     * @param onCancel
+     *   (optional, default = null = none) The function to call if the user
+     *   does not upload the valid files.
+     */
+    showUploadRejected: function (env, rejected, nValid, onUpload, onCancel) {
+      var utility = Drupal.foldershare.utility;
+      var terminology = env.settings.foldershare.terminology;
+
+      if (typeof onCancel === 'undefined') {
+        onCancel = null;
+      }
+
+      var text = '<div>';
+      var translated = terminology.text.upload_invalid_files;
+      if (typeof translated === 'undefined') {
+        text += '<p><strong>Some files cannot be uploaded.</strong></p>';
+        text += "<p>The files below do not meet the web site's upload limits:</p>";
+      }
+      else {
+        text += translated;
+      }
+
+      text += '<ul>';
+      for (var i = 0; i < rejected.length; ++i) {
+        text += '<li><strong>' + Drupal.checkPlain(rejected[i].name) +
+          '</strong>: ' + Drupal.checkPlain(rejected[i].reason) + '</li>';
+      }
+      text += '</ul></div>';
+
+      var cancel = function () {
+        $(this).dialog('close');
+        if (onCancel !== null) {
+          onCancel();
+        }
+      };
+
+      var buttons = [];
+      if (nValid > 0) {
+        buttons.push({
+          'text':  utility.getTerm(terminology, 'upload valid files') +
+            ' (' + nValid + ')',
+          'click': function () {
+            $(this).dialog('close');
+            onUpload();
+          },
+        });
+        buttons.push({
+          'text':  utility.getTerm(terminology, 'cancel'),
+          'click': cancel,
+        });
+      }
+      else {
+        buttons.push({
+          'text':  utility.getTerm(terminology, 'close'),
+          'click': cancel,
+        });
+      }
+
+      Drupal.dialog(text, { 'buttons': buttons }).showModal();
+    },
+
+
+    /*--------------------------------------------------------------------
+     *
+     * Table.
+     *
+     * These functions manage the table of files and folders.
+     *
+     * Table management adds behaviors to the table body that are
+     * delegated to its rows, and responds to them to select or unselect
+     * rows based upon user mouse or touch events. A row is selected if its
+     * entity is in the selection model.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Refreshes the table without reloading the page.
+     *
+     * The current page is fetched again, for the pager page currently
+     * shown, and its table replaces the current table. The fetched page's
+     * settings are merged into the Drupal settings first, which updates
+     * the page's item count and size and registers the new view for AJAX
+     * paging. Behaviors are then re-attached, which rebuilds the menus for
+     * the new table. If the new page does not contain a table, the page
+     * is reloaded instead.
+     *
+     * @param env
+     *   The environment object.
+     */
+    tableRefresh: function (env) {
+      var tableSelector = '.foldershare-folder-table';
+      var settingsSelector = 'script[data-drupal-selector="drupal-settings-json"]';
+
+      //
+      // Build URL
+      // ---------
+      // An AJAX pager does not change the page's URL, so get the current
+      // pager page from the pager's active link and use it in place of
+      // any page in the URL.
+      var query = window.location.search.substring(1).split('&')
+        .filter(function (param) {
+          return param !== '' && param.indexOf('page=') !== 0;
+        });
+
+      var href = $('.pager .is-active a', env.$topElement).attr('href');
+      if (typeof href !== 'undefined') {
+        var match = /[?&](page=[^&#]*)/.exec(href);
+        if (match !== null) {
+          query.push(match[1]);
+        }
+      }
+
+      var url = window.location.pathname;
+      if (query.length > 0) {
+        url += '?' + query.join('&');
+      }
+
+      //
+      // Fetch and replace
+      // -----------------
+      $.get(url)
+        .done(function (html) {
+          var $page = $('<div>').append($.parseHTML(html, document, true));
+          var $newTable = $(tableSelector, $page).eq(0);
+          var $oldTable = $(tableSelector, env.$topElement).eq(0);
+          var $settings = $(settingsSelector, $page).eq(0);
+          if ($newTable.length === 0 || $oldTable.length === 0 ||
+              $settings.length === 0) {
+            window.location.reload();
+            return;
+          }
+
+          // Merge settings the same way Drupal's AJAX settings command does.
+          var newSettings = null;
+          try {
+            newSettings = JSON.parse($settings.text());
+          }
+          catch (e) {
+            window.location.reload();
+            return;
+          }
+
+          // Scripts were kept only to find the settings. Drop any in the
+          // table so they do not run again when the table is inserted.
+          $('script', $newTable).remove();
+
+          Drupal.detachBehaviors($oldTable[0], drupalSettings);
+          $.extend(true, drupalSettings, newSettings);
+          $oldTable.replaceWith($newTable);
+          Drupal.attachBehaviors($newTable[0], drupalSettings);
+        })
+        .fail(function () {
+          window.location.reload();
+        });
+    },
+
+    /**
+     * Attaches behaviors to the table.
+     *
+     * This method sets attaches row behaviors to support row selection
+     * using mouse and touch events, row drag-and-drop, and file drag-and-drop.
+     * Some or all of these features may be disabled based upon permissions
+     * on the current folder (if any), subfolders (if any), and for copy,
+     * move, and file uploads. Drag-and-drop features also may be disabled
+     * if copy, move, and file upload commands are not available.
+     *
+     * @param env
+     *   The environment object.
+     */
+    tableAttachBehaviors: function (env) {
+      var $table     = env.gather.$table;
+      var $tbody     = env.gather.$tbody;
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      //
+      // Add virtual list
+      // ----------------
+      // Very large folders are shown as one scrolling list, with rows
+      // fetched from the server as they scroll into view.
+      thisScript.virtualAttach(env);
+
+      //
+      // Add row behaviors
+      // -----------------
+      // Add context menu, open, selection, and drag behaviors to rows.
+      thisScript.tableAttachRows(env);
+      thisScript.tableMarkDraggable(env, $('tr', $tbody));
+
+      //
+      // Add keyboard behavior
+      // ---------------------
+      // Make the table focusable so that it receives key events, then
+      // add a behavior that moves the focus row, changes the selection,
+      // opens rows, and runs command shortcuts.
+      $table.attr('tabindex', '0');
+      $table.attr(thisScript.tableFocusRowIndex, 'NaN');
+      $table.attr(thisScript.tableAnchorRowIndex, 'NaN');
+
+      $table.off('keydown.foldershare');
+      $table.on(
+        'keydown.foldershare',
+        function (ev) {
+          return thisScript.tableKeyDown.call(this, ev, env);
+        });
+
+      //
+      // Prepare for drag behaviors
+      // --------------------------
+      // If copy, move, and/or file upload commands are enabled for this page,
+      // then prepare the table to track drag operations.
+      if (env.dndCopyEnabled === true ||
+          env.dndMoveEnabled === true ||
+          env.dndUploadEnabled === true) {
+        // Initialize drag-related attributes.
+        $table.attr(thisScript.tableDragOperand, 'none');
+        $table.attr(thisScript.tableDragEffectAllowed, 'none');
+        $table.attr(thisScript.tableDragRowIndex, 'NaN');
+        $table.attr(thisScript.tableDragEntityList, '[]');
+      }
+
+      //
+      // Add drop zone behaviors
+      // -----------------------
+      // When file uploads are enabled, files may also be dropped anywhere
+      // on the toolbar and table, including an empty table, or anywhere
+      // on the page. These upload into the page's folder.
+      thisScript.dropZoneAttach(env);
+
+      //
+      // Add ancestor menu drop behaviors
+      // --------------------------------
+      // When copy and/or move are enabled, rows may also be dropped onto
+      // folders in the ancestor menu.
+      thisScript.ancestorMenuAttachDrop(env);
+
+      //
+      // Restore selection
+      // -----------------
+      // The table may have been replaced by AJAX paging. Mark rows that
+      // were selected earlier, and summarize selected items on other
+      // table pages.
+      thisScript.selectionRestore(env);
+
+      //
+      // Add command palette behavior
+      // ----------------------------
+      // A keyboard shortcut opens the command palette.
+      thisScript.paletteAttach(env);
+
+      //
+      // Add preview behavior
+      // --------------------
+      // A toolbar button or the Space key opens a preview of the focus row.
+      thisScript.previewAttach(env);
+
+      //
+      // Add view mode behavior
+      // ----------------------
+      // A toolbar button switches between list and grid views, and the
+      // folder's saved view is restored.
+      thisScript.viewAttach(env);
+
+      //
+      // Add sort and filter behavior
+      // ----------------------------
+      // Clicks on column headers sort the table page, and a toolbar field
+      // hides rows that don't match. Both work without reloading the page.
+      thisScript.filterAttach(env);
+      thisScript.sortAttach(env);
+
+      //
+      // Add marquee selection behavior
+      // ------------------------------
+      // Pressing in an empty cell or around the table and dragging selects
+      // the rows crossed by a rectangle.
+      thisScript.marqueeAttach(env);
+    },
+
+    /**
+     * Attaches behaviors to table rows.
+     *
+     * The behaviors present the context menu, open a row's item on a
+     * double-click, select rows on clicks and touches, and support row
+     * drags and drops. They are delegated from the table body, so rows
+     * added to the table later respond without being attached again.
+     *
+     * @param env
+     *   The environment object.
+     */
+    tableAttachRows: function (env) {
+      var thisScript   = Drupal.foldershare.UIFolderTableMenu;
+      var $tbody       = env.gather.$tbody;
+      var rowSelector  = thisScript.tableRowSelector;
+      var $contextMenu = $('.foldershare-folder-table-contextmenu', env.gather.$subform);
+
+      $tbody.off('.foldershare .foldersharerightdrag');
+
+      //
+      // Context menu right-click
+      // ------------------------
+      // Attach a row behavior to present the context menu. Typically this
+      // event is generated by a right-click, but it also may be presented
+      // by a special context menu keyboard key.
+      $tbody.on(
+        'contextmenu.foldershare',
+        rowSelector,
+        function (ev) {
+          if (thisScript.rightDrag !== null && thisScript.rightDrag.moved === true) {
+            // A right-button drag is in progress. Don't show the menu.
+            return false;
+          }
+
+          if ($contextMenu.menu().is(":visible")) {
+            // When the menu is already visible, hide it.
+            $contextMenu.menu().hide();
+          }
+          else {
+            // If the current row is NOT selected, select it (clearing any
+            // prior selection). Otherwise get the current selection.
+            var $thisTr = $(this);
+            if (thisScript.selectionHasRow(env, $thisTr) === false) {
+              // Not selected. Select it now.
+              thisScript.tableSelectRow($thisTr, env);
+            }
+
+            // Update the menu's text based on the selection.
+            thisScript.menuUpdate(env, $contextMenu);
+
+            // Position the menu and show it.
+            $contextMenu.show().position({
+              my:        "left top",
+              at:        "left bottom",
+              of:        ev,
+              collision: "fit"
+            });
+            thisScript.eventTrigger(env, 'menuopen', {
+              menu:  'context',
+              $menu: $contextMenu
+            });
+
+            // Register a handler to catch an off-menu click to hide it.
+            $(document).on('click.foldershare', function (ev) {
+              $contextMenu.menu().hide();
+            } );
+          }
+
+          return false;
+        });
+
+      //
+      // Add open behavior
+      // -----------------
+      // For each row, add a double-click behavior that opens the
+      // view page of the row's entity.
+      $tbody.on(
+        'dblclick.foldershare',
+        rowSelector,
+        function (ev) {
+          thisScript.renameCancelClick();
+          $('td.' + env.gather.nameColumn + ' a', $(this))[0].click();
+        });
+
+      //
+      // Add selection behavior
+      // ----------------------
+      // For each row, add behaviors that respond to mouse clicks and
+      // touch screen touches.
+      $tbody.on(
+        'click.foldershare',
+        rowSelector,
+        function (ev) {
+          thisScript.tableClickSelect.call(this, ev, env);
+        });
+
+      $tbody.on(
+        'touchend.foldershare',
+        rowSelector,
+        function (ev) {
+          thisScript.tableTouchSelect.call(this, ev, env);
+        });
+
+      //
+      // Add row drag start/end behaviors
+      // --------------------------------
+      // When copy and/or move drag-and-drop are enabled, rows may be
+      // dragged into subfolders.
+      //
+      // - A "dragstart" event is sent when the user first starts dragging
+      //   a row. The event indicates the current row.
+      //
+      // - A "dragend" event is sent after the user drops the dragged rows,
+      //   or canceles the drag (such as with the ESC key). The event
+      //   indicates the row the drag started on.
+      if (env.dndCopyEnabled === true ||
+          env.dndMoveEnabled === true) {
+        // Respond to drag starts. The response uses either the current row,
+        // or the entire current selection, then builds a ghost image to
+        // drag and initializes the data transfer and table attributes to
+        // track the drag.
+        $tbody.on(
+          'dragstart.foldershare',
+          rowSelector,
+          function (ev) {
+            thisScript.tableRowDragStart.call(this, ev, env);
+          });
+
+        // Respond to drag ends.
+        $tbody.on(
+          'dragend.foldershare',
+          rowSelector,
+          function (ev) {
+            thisScript.tableRowDragEnd.call(this, ev, env);
+          });
+      }
+
+      //
+      // Add file and row over/leave/drop behaviors
+      // ------------------------------------------
+      // When copy and/or move are enabled, rows may be dragged and dropped
+      // onto folders. When file uploads are enabled, files may be dragged
+      // from off browser and dropped onto the table (if the table is for
       // a folder) or onto folders in the table.
       //
       // The "dragenter", "dragover", and "dragleave" events available to
@@ -1966,1017 +3191,6011 @@
       if (env.dndCopyEnabled === true ||
           env.dndMoveEnabled === true ||
           env.dndUploadEnabled === true) {
-        $('tr', $tbody).off('dragenter.foldershare');
-        $('tr', $tbody).on(
+        $tbody.on(
           'dragenter.foldershare',
+          rowSelector,
           function (ev) {
             thisScript.tableRowDragEnter.call(this, ev, env);
           });
 
-        $('tr', $tbody).off('dragover.foldershare');
-        $('tr', $tbody).on(
+        $tbody.on(
           'dragover.foldershare',
+          rowSelector,
           function (ev) {
             thisScript.tableRowDragOver.call(this, ev, env);
           });
 
-        $('tr', $tbody).off('dragleave.foldershare');
-        $('tr', $tbody).on(
+        $tbody.on(
           'dragleave.foldershare',
+          rowSelector,
           function (ev) {
             thisScript.tableRowDragLeave.call(this, ev, env);
           });
 
-        $('tr', $tbody).off('drop.foldershare');
-        $('tr', $tbody).on(
-          'drop.foldershare',
-          function (ev) {
-            thisScript.tableRowDragDrop.call(this, ev, env);
-          });
+        $tbody.on(
+          'drop.foldershare',
+          rowSelector,
+          function (ev) {
+            thisScript.tableRowDragDrop.call(this, ev, env);
+          });
+      }
+
+      //
+      // Add right-button drag behaviors
+      // -------------------------------
+      // When enabled, rows may also be dragged with the right mouse button
+      // to choose between a move and a copy on the drop.
+      if (thisScript.rightDragEnabled === true &&
+          (env.dndCopyEnabled === true || env.dndMoveEnabled === true)) {
+        $tbody.on(
+          'mousedown.foldersharerightdrag',
+          rowSelector,
+          function (ev) {
+            return thisScript.tableRightDragStart.call(this, ev, env);
+          });
+      }
+    },
+
+    /**
+     * Marks table rows as draggable.
+     *
+     * Rows may be dragged for copy and/or move. Unlike other row
+     * behaviors, this is an attribute on each row, so rows added to the
+     * table later must be marked too.
+     *
+     * @param env
+     *   The environment object.
+     * @param $rows
+     *   The jQuery list of rows.
+     */
+    tableMarkDraggable: function (env, $rows) {
+      if (env.dndCopyEnabled === true ||
+          env.dndMoveEnabled === true) {
+        $rows.filter(Drupal.foldershare.UIFolderTableMenu.tableRowSelector)
+          .attr('draggable', 'true');
+      }
+    },
+
+    /**
+     * Handles a touch selection event on a table row.
+     *
+     * Touch selection toggles the selected item on/off. It ignores keyboard
+     * modifiers and therefore does not support range selection.
+     *
+     * @param ev
+     *   The row event to handle.
+     * @param env
+     *   The environment object.
+     */
+    tableTouchSelect: function (ev, env) {
+      if (Drupal.foldershare.UIFolderTableMenu.virtual !== null) {
+        Drupal.foldershare.UIFolderTableMenu.virtualClickSelect.call(this, ev, env, true);
+        ev.preventDefault();
+        return;
+      }
+
+      var $tr        = $(this);
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var rowIndex   = thisScript.tableGetRowIndex(env, this);
+
+      // If the touched row does not have a name column, then ignore.
+      // This can happen for an empty table with a generic empty message
+      // and no name column.
+      var $tdName = $('td.' + env.gather.nameColumn, $tr);
+      if ($tdName.length === 0) {
+        return;
+      }
+
+      // For out of range row indexes (<1), such as header, footer, and
+      // filtered rows, clear the selection.
+      // Otherwise toggle the row selection.
+      if (rowIndex <= 0) {
+        // Header/footer click. Clear the selection.
+        thisScript.selectionClear(env);
+      }
+      else {
+        var newState = !thisScript.selectionHasRow(env, $tr);
+        thisScript.selectionSetRow(env, $tr, newState);
+        if (newState === false) {
+          thisScript.selectionSetRange(env, NaN, NaN);
+        }
+        else {
+          thisScript.selectionSetRange(env, rowIndex, rowIndex);
+        }
+
+        // The touched row becomes the keyboard focus row.
+        thisScript.tableSetFocusRow(env, rowIndex, true);
+      }
+
+      thisScript.selectionChanged(env);
+
+      // Some browsers will also send mouse events after a touch event.
+      // Such a "ghost click" is not useful here, so disable it.
+      ev.preventDefault();
+    },
+
+    /**
+     * Handles a mouse click selection event on a table row.
+     *
+     * Mouse selection supports range selection using keyboard modifiers
+     * like shift-click, control-click (on Windows or Linux), or
+     * command-click (on a Mac):
+     *
+     * - For all platforms, if there are no keyboard modifiers, then a mouse
+     *   click clears any previous selection and starts a new one.
+     *
+     * - For all platforms, if the shift key is down during a click, a selection
+     *   is extended from the most recent selection to the clicked on row.
+     *
+     * - For Windows and Linux platforms, if the control key is down during a
+     *   click, a selected row is toggled.
+     *
+     * - For Mac platforms, if the command (meta) key is down during a
+     *   click, a selected row is toggled.
+     *
+     * @param ev
+     *   The row event to handle.
+     * @param env
+     *   The environment object.
+     */
+    tableClickSelect: function (ev, env) {
+      if (Drupal.foldershare.UIFolderTableMenu.virtual !== null) {
+        Drupal.foldershare.UIFolderTableMenu.virtualClickSelect.call(this, ev, env, false);
+        return;
+      }
+
+      var $tr        = $(this);
+      var $table     = env.gather.$table;
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var model      = thisScript.selectionGetModel(env);
+      var first      = model.first;
+      var last       = model.last;
+
+      // Row indexes count only the rows shown, in the order shown, so
+      // that a range follows the sorted and filtered table.
+      var $rows    = thisScript.tableGetRows(env);
+      var rowIndex = $rows.index(this) + 1;
+
+      // If the clicked-on row does not have a name column, then ignore.
+      // This can happen for an empty table with a generic empty message
+      // and no name column.
+      var $tdName = $('td.' + env.gather.nameColumn, $tr);
+      if ($tdName.length === 0) {
+        return;
+      }
+
+      // A click on the only selected row may be the slow second click
+      // that starts an inline rename.
+      thisScript.renameCancelClick();
+      var slowClick = (model.count === 1 &&
+        thisScript.selectionHasRow(env, $tr) === true &&
+        $(ev.target).closest('a, input').length === 0);
+
+      var isMac = (navigator.appVersion.indexOf("Mac") != -1);
+
+      // Check for keyboard modifiers and mimic Windows/Linux/Mac behavior.
+      // If more than one modifier is held down, the control/command
+      // modifier has a higher priority than the shift modifier.
+      if ((isMac === true && ev.metaKey === true) ||
+          (isMac === false && ev.ctrlKey === true)) {
+        // Control/Command-click
+        // ---------------------
+        // On a Mac, a command-click toggles the selection state of the
+        // clicked-on row.
+        //
+        // On all other platforms (e.g. Windows and Linux), a control-click
+        // toggles the selection state of the clicked-on row.
+        var newState = !thisScript.selectionHasRow(env, $tr);
+        thisScript.selectionSetRow(env, $tr, newState);
+
+        if (newState === true) {
+          // A clicked-on row always resets the range to that row.
+          thisScript.selectionSetRange(env, rowIndex, rowIndex);
+        }
+        else if (rowIndex === first && rowIndex === last) {
+          // The unselected row was the only row in the selection.
+          // Empty the range.
+          thisScript.selectionSetRange(env, NaN, NaN);
+        }
+        else if (rowIndex === first) {
+          // The unselected row was the start of the range. Shorten the
+          // range to start on the next row.
+          thisScript.selectionSetRange(env, first + 1, last);
+        }
+        else if (rowIndex === last) {
+          // The unselected row was the end of the range. Shorten the
+          // range to end on the previous row.
+          thisScript.selectionSetRange(env, first, last - 1);
+        }
+        else {
+          // The unselected row was within the range. Shorten the range
+          // to include the lower half of the range.
+          thisScript.selectionSetRange(env, rowIndex + 1, last);
+        }
+      }
+      else if (ev.shiftKey === true) {
+        // Shift-click
+        // -----------
+        // For all platforms, a shift-click adjusts a current selection.
+        //
+        // The following combinations could occur:
+        //
+        // - No current selection. Select the clicked-on row and save the
+        //   range as (first = last = clicked-on row).
+        //
+        // - Current selection and clicked-on row is above it. Flip the
+        //   range by clearing the entire selection first, then selecting
+        //   rows from the clicked-on row to through the first item of the
+        //   old selection. Save the range as (first = clicked-on row) and
+        //   (last = old first).
+        //
+        // - Current selection and clicked-on row is below it. Extend the
+        //   selection by selecting rows from (last+1) through the
+        //   clicked-on row. Save the range as (first = old first) and
+        //   (last = clicked-on row).
+        //
+        // - Current selection and clicked-on row within the range.
+        //   Shorten the range by clearing everything from the row after
+        //   the clicked-on row through the last row of the range. Save
+        //   the range as (first = old first) and (last = clicked-on row).
+        //
+        // Note that row indexes are 1-based, but loop/array/element
+        // indexes are 0-based.
+        var select = function (from, to, selected) {
+          $rows.slice(from, to).each(function () {
+            thisScript.selectionSetRow(env, $(this), selected);
+          });
+        };
+
+        if (isNaN(last) === true) {
+          // No prior selection. Select from 1st row thru this row.
+          select(0, rowIndex, true);
+          thisScript.selectionSetRange(env, 1, rowIndex);
+        }
+        else if (rowIndex > last) {
+          // Extend selection downwards thru the clicked-on row.
+          select(last, rowIndex, true);
+          thisScript.selectionSetRange(env, first, rowIndex);
+        }
+        else if (rowIndex < first) {
+          // Flip selection upwards thru the clicked-on row. Clear the
+          // current selection, except the first row, then add the new rows.
+          select(first, last + 1, false);
+          select(rowIndex - 1, first, true);
+          thisScript.selectionSetRange(env, rowIndex, first);
+        }
+        else {
+          // Shorten selection to end on the clicked-on row. Clear all rows
+          // after the clicked-on row.
+          select(rowIndex, last, false);
+          thisScript.selectionSetRange(env, first, rowIndex);
+        }
+      }
+      else {
+        // Click
+        // -----
+        // When there are no keyboard modifiers, clicking on a row starts
+        // a new selection, so items selected on other table pages are
+        // dropped too.
+        thisScript.selectionClear(env);
+
+        // For out of range row (<1), leave the selection empty.
+        // Otherwise select the clicked-on row and save its index.
+        if (rowIndex > 0) {
+          thisScript.selectionSetRow(env, $tr, true);
+          thisScript.selectionSetRange(env, rowIndex, rowIndex);
+        }
+      }
+
+      // The clicked-on row becomes the keyboard focus row. A shift-click
+      // extends the selection, so it leaves the anchor where it was.
+      if (rowIndex > 0) {
+        thisScript.tableSetFocusRow(env, rowIndex, (ev.shiftKey !== true));
+        $table[0].focus({ preventScroll: true });
+      }
+
+      thisScript.selectionChanged(env);
+
+      if (slowClick === true && ev.shiftKey !== true &&
+          ev.ctrlKey !== true && ev.metaKey !== true) {
+        thisScript.renameStartClick(env, $tr);
+      }
+
+      // A click can sometimes cause a text selection if the mouse
+      // moved a little between mouse down and up. Such a text
+      // selection is meaningless here, so disable it.
+      window.getSelection().removeAllRanges();
+    },
+
+    /**
+     * Handles a single table row selection as if by a mouse click.
+     *
+     * Used to select a row based upon some non-mouse event, this method
+     * marks a single row as selected, clearing any previous selection.
+     *
+     * @param $tr
+     *   The row to select.
+     * @param env
+     *   The environment object.
+     */
+    tableSelectRow: function ($tr, env) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      if (thisScript.virtual !== null) {
+        var index = Number($tr.attr('data-foldershare-virtual-index'));
+        thisScript.tableSelectRange(env, index, index, true);
+        thisScript.tableSetFocusRow(env, index, true);
+        return;
+      }
+
+      // Selecting a row clears the previous selection (if any) and
+      // selects the row.
+      thisScript.selectionClear(env);
+
+      // For out of range row (<1), leave the selection empty.
+      // Otherwise select the clicked-on row and save its index.
+      var rowIndex = thisScript.tableGetRowIndex(env, $tr[0]);
+      if (rowIndex > 0) {
+        thisScript.selectionSetRow(env, $tr, true);
+        thisScript.selectionSetRange(env, rowIndex, rowIndex);
+        thisScript.tableSetFocusRow(env, rowIndex, true);
+      }
+
+      thisScript.selectionChanged(env);
+
+      // A click can sometimes cause a text selection if the mouse
+      // moved a little between mouse down and up. Such a text
+      // selection is meaningless here, so disable it.
+      window.getSelection().removeAllRanges();
+    },
+
+    /**
+     * Selects a contiguous range of table rows.
+     *
+     * Any previous selection is cleared, then all rows from the first
+     * through the last row index, inclusive, are selected. The indexes
+     * may be given in either order, and count only rows that are not
+     * filtered out.
+     *
+     * @param env
+     *   The environment object.
+     * @param fromIndex
+     *   The row index (1 for the 1st row) at one end of the range.
+     * @param toIndex
+     *   The row index (1 for the 1st row) at the other end of the range.
+     * @param clearOther
+     *   (optional, default = false) When true, items selected on other
+     *   table pages are dropped from the selection.
+     */
+    tableSelectRange: function (env, fromIndex, toIndex, clearOther) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var first      = Math.min(fromIndex, toIndex);
+      var last       = Math.max(fromIndex, toIndex);
+
+      if (typeof clearOther === 'undefined') {
+        clearOther = false;
+      }
+
+      if (thisScript.virtual !== null) {
+        thisScript.virtualSelectRange(env, first, last);
+        return;
+      }
+
+      if (clearOther === true) {
+        thisScript.selectionClear(env);
+      }
+
+      // Row indexes are 1-based, but jQuery element indexes are 0-based.
+      // Filtered rows are never shown, so they are never in the range.
+      thisScript.tableGetRows(env).each(function (index) {
+        thisScript.selectionSetRow(
+          env,
+          $(this),
+          (index >= first - 1 && index <= last - 1));
+      });
+
+      thisScript.selectionSetRange(env, first, last);
+      thisScript.selectionChanged(env);
+    },
+
+    /**
+     * Selects all rows in the table.
+     *
+     * @param env
+     *   The environment object.
+     */
+    tableSelectAll: function (env) {
+      var nRows = Drupal.foldershare.UIFolderTableMenu.tableGetRowCount(env);
+      if (nRows === 0) {
+        return;
+      }
+
+      Drupal.foldershare.UIFolderTableMenu.tableSelectRange(env, 1, nRows);
+    },
+
+    /**
+     * Clears the table's selection.
+     *
+     * Items selected on other table pages are cleared too.
+     *
+     * @param env
+     *   The environment object.
+     */
+    tableSelectNone: function (env) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      thisScript.selectionClear(env);
+      thisScript.selectionChanged(env);
+    },
+
+    /**
+     * Returns the number of selectable rows in the table.
+     *
+     * An empty table may still contain a single row with a generic
+     * "empty" message and no name column. Such a table has no
+     * selectable rows. Rows hidden by the quick filter are not
+     * selectable either. A virtual list counts all of its rows, including
+     * those not in the table.
+     *
+     * @param env
+     *   The environment object.
+     *
+     * @return
+     *   Returns the number of shown rows that have a name column.
+     */
+    tableGetRowCount: function (env) {
+      if (Drupal.foldershare.UIFolderTableMenu.virtual !== null) {
+        return Drupal.foldershare.UIFolderTableMenu.virtual.total;
+      }
+
+      return Drupal.foldershare.UIFolderTableMenu.tableGetRows(env)
+        .has('td.' + env.gather.nameColumn).length;
+    },
+
+    /**
+     * Returns the table's body rows that are not filtered out.
+     *
+     * The rows are in the order shown, which may have been changed by
+     * client-side sorting. Row indexes used for selection ranges and the
+     * keyboard focus are positions in this list.
+     *
+     * @param env
+     *   The environment object.
+     *
+     * @return
+     *   Returns the jQuery list of rows.
+     */
+    tableGetRows: function (env) {
+      return $('tr', env.gather.$tbody)
+        .not('.' + Drupal.foldershare.UIFolderTableMenu.tableFilteredClass)
+        .not('.foldershare-virtual-spacer');
+    },
+
+    /**
+     * Returns the row index of a table row.
+     *
+     * @param env
+     *   The environment object.
+     * @param tr
+     *   The row element.
+     *
+     * @return
+     *   Returns the row index (1 for the 1st row), or 0 if the row is not
+     *   a body row or is filtered out.
+     */
+    tableGetRowIndex: function (env, tr) {
+      return Drupal.foldershare.UIFolderTableMenu.tableGetRows(env).index(tr) + 1;
+    },
+
+    /**
+     * Moves the keyboard focus row.
+     *
+     * The focus row is marked with the 'foldershare-focus' class and
+     * scrolled into view. The focus does not change the selection.
+     *
+     * @param env
+     *   The environment object.
+     * @param rowIndex
+     *   The row index (1 for the 1st row) of the new focus row.
+     * @param setAnchor
+     *   When true, the row also becomes the anchor for extending the
+     *   selection with shift-arrow keys.
+     */
+    tableSetFocusRow: function (env, rowIndex, setAnchor) {
+      var $table     = env.gather.$table;
+      var $tbody     = env.gather.$tbody;
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      if (thisScript.virtual !== null) {
+        thisScript.virtualSetFocusRow(env, rowIndex, setAnchor);
+        return;
+      }
+
+      $('tr.foldershare-focus', $tbody).removeClass('foldershare-focus');
+
+      // Row indexes are 1-based, but jQuery element indexes are 0-based.
+      var $tr = thisScript.tableGetRows(env).eq(rowIndex - 1);
+      if (rowIndex < 1 || $tr.length === 0) {
+        $table.attr(thisScript.tableFocusRowIndex, 'NaN');
+        return;
+      }
+
+      $tr.addClass('foldershare-focus');
+      $table.attr(thisScript.tableFocusRowIndex, rowIndex);
+      if (setAnchor === true) {
+        $table.attr(thisScript.tableAnchorRowIndex, rowIndex);
+      }
+
+      // Older browsers do not support scroll options and always align
+      // the row with the top of the window. Only scroll if needed.
+      var rect = $tr[0].getBoundingClientRect();
+      if (rect.top < 0 || rect.bottom > window.innerHeight) {
+        $tr[0].scrollIntoView({ block: 'nearest' });
+      }
+
+      // The preview pane follows the focus row.
+      if (thisScript.preview !== null) {
+        thisScript.previewUpdate(env);
+      }
+    },
+
+    /**
+     * Returns the selection model for the current page.
+     *
+     * If the model is for a different page, it is replaced by an empty
+     * model for the current page.
+     *
+     * @param env
+     *   The environment object.
+     *
+     * @return
+     *   Returns the selection model.
+     */
+    selectionGetModel: function (env) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var pageId     = env.settings.foldershare.page.id;
+
+      if (thisScript.selectionModel === null ||
+          thisScript.selectionModel.pageId !== pageId) {
+        thisScript.selectionModel = {
+          pageId:  pageId,
+          items:   {},
+          count:   0,
+          size:    0,
+          kinds:   {},
+          here:    0,
+          first:   NaN,
+          last:    NaN,
+          changed: false
+        };
+      }
+
+      return thisScript.selectionModel;
+    },
+
+    /**
+     * Returns a selection model item for a table row.
+     *
+     * @param env
+     *   The environment object.
+     * @param $tr
+     *   The table row.
+     *
+     * @return
+     *   Returns an object with 'id', 'kind', 'name', 'access', and 'size'
+     *   properties, or null if the row does not have an entity ID, kind,
+     *   and access grants.
+     */
+    selectionGetRowItem: function (env, $tr) {
+      var $a = $('td.' + env.gather.nameColumn + ' a', $tr).eq(0);
+
+      var entityId = $a.attr('data-foldershare-id');
+      var kind     = $a.attr('data-foldershare-kind');
+      var access   = $a.attr('data-foldershare-access');
+
+      if (typeof entityId === 'undefined' ||
+        typeof kind       === 'undefined' ||
+        typeof access     === 'undefined' ) {
+        // Fail. Something is missing. The row is malformed.
+        return null;
+      }
+
+      return {
+        "id":     entityId,
+        "kind":   kind,
+        "name":   $a.text(),
+        "access": access.split(','),
+        "size":   Drupal.foldershare.UIFolderTableMenu.tableGetRowSize($tr)
+      };
+    },
+
+    /**
+     * Returns true if a table row's item is selected.
+     *
+     * @param env
+     *   The environment object.
+     * @param $tr
+     *   The table row.
+     *
+     * @return
+     *   Returns true if the row's entity is in the selection model.
+     */
+    selectionHasRow: function (env, $tr) {
+      var entityId = $('td.' + env.gather.nameColumn + ' a', $tr)
+        .eq(0).attr('data-foldershare-id');
+
+      return (typeof entityId !== 'undefined' &&
+        entityId in Drupal.foldershare.UIFolderTableMenu.selectionGetModel(env).items);
+    },
+
+    /**
+     * Adds an item to the selection model.
+     *
+     * The model's counts are updated so that summaries do not need to
+     * scan the selection.
+     *
+     * @param env
+     *   The environment object.
+     * @param item
+     *   The item, as returned by selectionGetRowItem().
+     * @param here
+     *   True if the item is on the current table page.
+     */
+    selectionAdd: function (env, item, here) {
+      var model = Drupal.foldershare.UIFolderTableMenu.selectionGetModel(env);
+
+      if (item.id in model.items) {
+        return;
+      }
+
+      item.here = here;
+      model.items[item.id] = item;
+      model.kinds[item.kind] = (model.kinds[item.kind] || 0) + 1;
+      ++model.count;
+      if (item.size > 0) {
+        model.size += item.size;
+      }
+      if (here === true) {
+        ++model.here;
+      }
+      model.changed = true;
+    },
+
+    /**
+     * Removes an item from the selection model.
+     *
+     * @param env
+     *   The environment object.
+     * @param entityId
+     *   The item's entity ID.
+     */
+    selectionRemove: function (env, entityId) {
+      var model = Drupal.foldershare.UIFolderTableMenu.selectionGetModel(env);
+
+      if (entityId in model.items === false) {
+        return;
+      }
+
+      var item = model.items[entityId];
+      delete model.items[entityId];
+      if (--model.kinds[item.kind] === 0) {
+        delete model.kinds[item.kind];
+      }
+      --model.count;
+      if (item.size > 0) {
+        model.size -= item.size;
+      }
+      if (item.here === true) {
+        --model.here;
+      }
+      model.changed = true;
+    },
+
+    /**
+     * Selects or unselects a table row.
+     *
+     * The row's item is added to or removed from the selection model, and
+     * the row is marked to match. Malformed rows are ignored.
+     *
+     * @param env
+     *   The environment object.
+     * @param $tr
+     *   The table row.
+     * @param selected
+     *   True to select the row, and false to unselect it.
+     */
+    selectionSetRow: function (env, $tr, selected) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var item       = thisScript.selectionGetRowItem(env, $tr);
+
+      if (item === null) {
+        return;
+      }
+
+      $tr.toggleClass('selected', selected);
+      if (selected === true) {
+        thisScript.selectionAdd(env, item, true);
+      }
+      else {
+        thisScript.selectionRemove(env, item.id);
+      }
+    },
+
+    /**
+     * Clears the selection model, including items on other table pages.
+     *
+     * @param env
+     *   The environment object.
+     */
+    selectionClear: function (env) {
+      var model = Drupal.foldershare.UIFolderTableMenu.selectionGetModel(env);
+
+      $('tr.selected', env.gather.$tbody).removeClass('selected');
+
+      model.changed = (model.changed === true || model.count !== 0);
+      model.items = {};
+      model.count = 0;
+      model.size  = 0;
+      model.kinds = {};
+      model.here  = 0;
+      model.first = NaN;
+      model.last  = NaN;
+    },
+
+    /**
+     * Sets the selection range.
+     *
+     * The range is used to extend or shorten the selection on a later
+     * shift-click.
+     *
+     * @param env
+     *   The environment object.
+     * @param first
+     *   The row index (1 for the 1st row) of the start of the range, or
+     *   NaN for no range.
+     * @param last
+     *   The row index (1 for the 1st row) of the end of the range, or
+     *   NaN for no range.
+     */
+    selectionSetRange: function (env, first, last) {
+      var model = Drupal.foldershare.UIFolderTableMenu.selectionGetModel(env);
+      model.first = first;
+      model.last  = last;
+    },
+
+    /**
+     * Finishes a selection change.
+     *
+     * The status bar is updated and, if items were added or removed,
+     * other scripts are told that the selection has changed.
+     *
+     * @param env
+     *   The environment object.
+     */
+    selectionChanged: function (env) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var model      = thisScript.selectionGetModel(env);
+
+      thisScript.statusBarUpdate(env);
+
+      if (model.changed === true) {
+        model.changed = false;
+        thisScript.eventTrigger(
+          env,
+          'selectionchange',
+          thisScript.selectionGetByKind(env));
+      }
+    },
+
+    /**
+     * Marks rows selected in the selection model.
+     *
+     * This is used after the table has been replaced, such as by AJAX
+     * paging, to show rows that were selected earlier and to note which
+     * selected items are on the new table page.
+     *
+     * @param env
+     *   The environment object.
+     */
+    selectionRestore: function (env) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var model      = thisScript.selectionGetModel(env);
+
+      for (var entityId in model.items) {
+        model.items[entityId].here = false;
+      }
+
+      model.here  = 0;
+      model.first = NaN;
+      model.last  = NaN;
+
+      $('tr td.' + env.gather.nameColumn + ' a', env.gather.$tbody).each(
+        function () {
+          var entityId = $(this).attr('data-foldershare-id');
+          if (typeof entityId !== 'undefined' && entityId in model.items) {
+            $(this).closest('tr').addClass('selected');
+            model.items[entityId].here = true;
+            ++model.here;
+          }
+        });
+
+      thisScript.selectionChanged(env);
+    },
+
+    /**
+     * Returns the storage size shown on a table row.
+     *
+     * The size is read from the "data-foldershare-size" attribute added
+     * by the storage size field formatter.
+     *
+     * @param $tr
+     *   The table row.
+     *
+     * @return
+     *   Returns the size in bytes, or (-1) if the row does not show a size.
+     */
+    tableGetRowSize: function ($tr) {
+      var size = Number($('[data-foldershare-size]', $tr).attr('data-foldershare-size'));
+      if (isNaN(size) === true) {
+        return (-1);
+      }
+
+      return size;
+    },
+
+    /**
+     * Updates the status bar below the table.
+     *
+     * When there is a selection, the status bar gives the number of
+     * selected items of each kind and their total size, such as
+     * "3 files, 2 folders selected — 1.4 GB". If some of the items are on
+     * other table pages, it says how many and offers a link to clear the
+     * selection.
+     *
+     * When there is no selection, the status bar gives the number of items
+     * in the folder and the folder's total size.
+     *
+     * @param env
+     *   The environment object.
+     */
+    statusBarUpdate: function (env) {
+      var thisScript  = Drupal.foldershare.UIFolderTableMenu;
+      var utility     = Drupal.foldershare.utility;
+      var terminology = env.settings.foldershare.terminology;
+      var model       = thisScript.selectionGetModel(env);
+      var $table      = env.gather.$table;
+
+      var $status = $table.nextAll('.' + thisScript.statusBarClass);
+      if ($status.length === 0) {
+        $status = $('<div class="' + thisScript.statusBarClass + '">');
+        $table.after($status);
+      }
+
+      //
+      // Get counts
+      // ----------
+      // The selection model counts the selected items of each kind, those
+      // on this table page, and their total size. Root folders are listed
+      // as folders.
+      var nSelected = model.count;
+      var nHere = model.here;
+      var size = model.size;
+      var kinds = {};
+      var kindOrder = [];
+
+      for (var modelKind in model.kinds) {
+        var kind = (modelKind === 'rootfolder') ? 'folder' : modelKind;
+        if (kind in kinds === false) {
+          kinds[kind] = 0;
+          kindOrder.push(kind);
+        }
+        kinds[kind] += model.kinds[modelKind];
+      }
+
+      // A virtual list has no other table pages.
+      if (thisScript.virtual !== null) {
+        nHere = nSelected;
+      }
+
+      //
+      // No selection
+      // ------------
+      // Summarize the folder's contents. Folder pages provide the number
+      // of items and total size. Otherwise, or when the quick filter hides
+      // rows, use the rows shown on the table page.
+      var text = '';
+      if (nSelected === 0) {
+        var nItems = Number(env.settings.foldershare.page.count);
+        size = Number(env.settings.foldershare.page.size);
+
+        if (isNaN(nItems) === true || nItems < 0 ||
+            thisScript.filterIsActive(env) === true) {
+          nItems = thisScript.tableGetRowCount(env);
+          size = 0;
+          thisScript.tableGetRows(env).each(function () {
+            var rowSize = thisScript.tableGetRowSize($(this));
+            if (rowSize > 0) {
+              size += rowSize;
+            }
+          });
+
+          // A virtual list's filtered items are not all in the table, so
+          // their total size is not known.
+          if (thisScript.virtual !== null) {
+            size = NaN;
+          }
+        }
+
+        text = nItems + ' ' + ((nItems === 1) ?
+          utility.getKindSingular(terminology, 'item') :
+          utility.getKindPlural(terminology, 'item')).toLowerCase();
+        if (isNaN(size) === false && size >= 0) {
+          text += ' \u2014 ' + utility.formatSize(size);
+        }
+
+        $status.empty().text(text);
+        return;
+      }
+
+      //
+      // Selection
+      // ---------
+      // List the count of each kind, then the total size.
+      var parts = [];
+      for (var i = 0; i < kindOrder.length; ++i) {
+        var n = kinds[kindOrder[i]];
+        parts.push(n + ' ' + ((n === 1) ?
+          utility.getKindSingular(terminology, kindOrder[i]) :
+          utility.getKindPlural(terminology, kindOrder[i])).toLowerCase());
+      }
+
+      text = parts.join(', ') + ' ' +
+        utility.getTerm(terminology, 'selected', false) +
+        ' \u2014 ' + utility.formatSize(size);
+
+      $status.empty().append($('<span>').text(text));
+
+      if (nSelected !== nHere) {
+        var other = terminology.text.selection_other_pages;
+        if (typeof other === 'undefined') {
+          other = '(@other on other pages)';
+        }
+        other = other.replace('@other', nSelected - nHere);
+
+        var $clear = $('<a href="#">').text(utility.getTerm(terminology, 'clear selection', false));
+        $clear.on('click', function (ev) {
+          thisScript.tableSelectNone(env);
+          return false;
+        });
+
+        $status.append($('<span>').text(' ' + other + ' ')).append($clear);
+      }
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Keyboard.
+     *
+     * These functions support keyboard navigation of the table. When
+     * the table has the keyboard focus, arrow keys move a focus row and
+     * change the selection, Enter opens the focus row, and shortcut keys
+     * run commands on the selection.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Returns the shortcut name for a key event.
+     *
+     * Shortcut names are built from the modifier keys and the key name,
+     * joined by "+", such as "Mod+Shift+A". "Mod" is the command key on
+     * a Mac, and the control key everywhere else. Letter keys are always
+     * upper case and use the physical key, since the Alt/Option modifier
+     * changes the character typed on some platforms.
+     *
+     * @param ev
+     *   The key event.
+     *
+     * @return
+     *   Returns the shortcut name.
+     */
+    keyboardGetShortcut: function (ev) {
+      var isMac = (navigator.appVersion.indexOf("Mac") != -1);
+      var key = ev.key;
+
+      if (typeof ev.code === 'string' && ev.code.indexOf('Key') === 0) {
+        key = ev.code.substr(3);
+      }
+      else if (key.length === 1) {
+        key = key.toUpperCase();
+      }
+
+      var name = '';
+      if ((isMac === true && ev.metaKey === true) ||
+          (isMac === false && ev.ctrlKey === true)) {
+        name += 'Mod+';
+      }
+      if (ev.altKey === true) {
+        name += 'Alt+';
+      }
+      if (ev.shiftKey === true) {
+        name += 'Shift+';
+      }
+
+      return name + key;
+    },
+
+    /**
+     * Handles a key press while the table has the keyboard focus.
+     *
+     * Supported keys are:
+     * - Up/Down arrows move the focus row and select it. In grid view,
+     *   they move up or down a line of the grid.
+     * - Left/Right arrows move the focus row in grid view.
+     * - Shift with an arrow moves the focus row and extends the selection.
+     * - Home/End move the focus to the first or last row.
+     * - Mod-A selects all rows.
+     * - Escape closes the preview pane, if open, or clears the selection.
+     * - Enter opens the focus row, like a double-click.
+     * - Space opens or closes the preview pane.
+     * - Command shortcuts listed in keyboardShortcuts.
+     * - Other printable characters find a row by name (see typeAheadFind).
+     *
+     * @param ev
+     *   The key event to handle.
+     * @param env
+     *   The environment object.
+     *
+     * @return
+     *   Returns false if the key was handled, and true otherwise so that
+     *   the browser's default behavior continues.
+     */
+    tableKeyDown: function (ev, env) {
+      var $table     = env.gather.$table;
+      var $tbody     = env.gather.$tbody;
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      // Ignore keys typed into form fields within the table.
+      if ($(ev.target).is('input, textarea, select') === true) {
+        return true;
+      }
+
+      var nRows = thisScript.tableGetRowCount(env);
+      var nColumns = thisScript.viewGetColumnCount(env);
+      var focus = Number($table.attr(thisScript.tableFocusRowIndex));
+      var anchor = Number($table.attr(thisScript.tableAnchorRowIndex));
+      var shortcut = thisScript.keyboardGetShortcut(ev);
+      var newFocus = NaN;
+
+      switch (shortcut) {
+        case 'ArrowUp':
+        case 'Shift+ArrowUp':
+          newFocus = isNaN(focus) === true ? nRows : Math.max(1, focus - nColumns);
+          break;
+
+        case 'ArrowDown':
+        case 'Shift+ArrowDown':
+          newFocus = isNaN(focus) === true ? 1 : Math.min(nRows, focus + nColumns);
+          break;
+
+        case 'ArrowLeft':
+        case 'Shift+ArrowLeft':
+          if (thisScript.viewIsGrid(env) === false) {
+            return true;
+          }
+          newFocus = isNaN(focus) === true ? nRows : Math.max(1, focus - 1);
+          break;
+
+        case 'ArrowRight':
+        case 'Shift+ArrowRight':
+          if (thisScript.viewIsGrid(env) === false) {
+            return true;
+          }
+          newFocus = isNaN(focus) === true ? 1 : Math.min(nRows, focus + 1);
+          break;
+
+        case 'Home':
+        case 'Shift+Home':
+          newFocus = 1;
+          break;
+
+        case 'End':
+        case 'Shift+End':
+          newFocus = nRows;
+          break;
+
+        case 'Mod+A':
+          thisScript.tableSelectAll(env);
+          return false;
+
+        case 'Escape':
+          if (thisScript.preview !== null) {
+            thisScript.previewClose();
+          }
+          else {
+            thisScript.tableSelectNone(env);
+          }
+          return false;
+
+        case ' ':
+          // A space within a type-ahead name is part of the name.
+          if (thisScript.typeAhead.buffer !== '') {
+            thisScript.typeAheadFind(env, ' ');
+            return false;
+          }
+          thisScript.previewToggle(env);
+          return false;
+
+        case 'Enter':
+          // Open the focus row, just like a double-click on the row.
+          if (isNaN(focus) === false) {
+            var $a = $('tr.foldershare-focus', $tbody).find('td.' + env.gather.nameColumn + ' a');
+            if ($a.length !== 0) {
+              $a[0].click();
+            }
+          }
+          return false;
+
+        default:
+          if (thisScript.keyboardRunShortcut(env, shortcut) === false) {
+            return false;
+          }
+
+          if (ev.key.length === 1 && ev.ctrlKey === false &&
+              ev.metaKey === false && ev.altKey === false) {
+            thisScript.typeAheadFind(env, ev.key);
+            return false;
+          }
+          return true;
+      }
+
+      if (nRows === 0 || isNaN(newFocus) === true) {
+        return false;
+      }
+
+      if (ev.shiftKey === true) {
+        // Extend the selection from the anchor through the new focus row.
+        if (isNaN(anchor) === true) {
+          anchor = isNaN(focus) === true ? newFocus : focus;
+        }
+        thisScript.tableSetFocusRow(env, newFocus, false);
+        $table.attr(thisScript.tableAnchorRowIndex, anchor);
+        thisScript.tableSelectRange(env, anchor, newFocus);
+      }
+      else {
+        // Select just the new focus row.
+        thisScript.tableSelectRange(env, newFocus, newFocus, true);
+        thisScript.tableSetFocusRow(env, newFocus, true);
+      }
+
+      return false;
+    },
+
+    /**
+     * Runs the command bound to a keyboard shortcut.
+     *
+     * The command must be available on the main menu for this page, and
+     * its selection constraints must be met by the current selection.
+     * Otherwise the shortcut is ignored, just as the menu item would be
+     * disabled.
+     *
+     * @param env
+     *   The environment object.
+     * @param shortcut
+     *   The shortcut name from keyboardGetShortcut().
+     *
+     * @return
+     *   Returns false if the shortcut was handled, and true otherwise.
+     */
+    keyboardRunShortcut: function (env, shortcut) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      if (shortcut in thisScript.keyboardShortcuts === false) {
+        // Not a shortcut. Let the browser handle the key.
+        return true;
+      }
+
+      var commandId = thisScript.keyboardShortcuts[shortcut];
+      if (commandId in env.mainCommands === false) {
+        // The command is not available on this page.
+        return true;
+      }
+
+      // Count the selection and check the command's constraints, just
+      // as is done when enabling and disabling menu items.
+      var selection = thisScript.tableGetSelectionIdsByKind(env);
+      var nSelected = 0;
+      for (var k in selection) {
+        nSelected += selection[k].length;
+      }
+
+      if (thisScript.checkSelectionConstraints(
+        env,
+        nSelected,
+        selection,
+        commandId) === false) {
+        // The command is disabled for this selection. Swallow the key
+        // anyway so that the browser doesn't act on it (e.g. Backspace).
+        return false;
+      }
+
+      thisScript.serverCommandRun(env, commandId);
+      return false;
+    },
+
+    /**
+     * Finds and selects a row by typing the start of its name.
+     *
+     * Typed characters are added to a buffer that is cleared after a short
+     * delay. The first row, starting at the focus row, whose name starts
+     * with the buffer is selected, focused, and scrolled into view. Typing
+     * the same character again cycles through the rows whose names start
+     * with that character.
+     *
+     * @param env
+     *   The environment object.
+     * @param character
+     *   The typed character.
+     */
+    typeAheadFind: function (env, character) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var typeAhead  = thisScript.typeAhead;
+
+      clearTimeout(typeAhead.timer);
+      typeAhead.timer = setTimeout(function () {
+        typeAhead.buffer = '';
+        typeAhead.timer = null;
+      }, thisScript.typeAheadDelay);
+
+      typeAhead.buffer += character.toLowerCase();
+
+      //
+      // Choose prefix
+      // -------------
+      // When every typed character is the same, cycle through rows that
+      // start with it. Otherwise keep the focus row if it still matches.
+      var prefix = typeAhead.buffer;
+      var start = 0;
+      var focus = Number(env.gather.$table.attr(thisScript.tableFocusRowIndex));
+      if (isNaN(focus) === true) {
+        focus = 0;
+      }
+
+      if (prefix.split('').every(function (c) { return c === prefix[0]; }) === true) {
+        prefix = prefix[0];
+        start = focus;
+      }
+      else if (focus > 0) {
+        start = focus - 1;
+      }
+
+      //
+      // Find row
+      // --------
+      // Search from the start row to the end, then wrap around. A virtual
+      // list searches the rows fetched so far.
+      if (thisScript.virtual !== null) {
+        var items = thisScript.virtual.items;
+        var total = thisScript.virtual.total;
+        for (var j = 0; j < total; ++j) {
+          var item = items[(start + j) % total];
+          if (typeof item !== 'undefined' &&
+              item.name.toLowerCase().indexOf(prefix) === 0) {
+            var index = ((start + j) % total) + 1;
+            thisScript.tableSelectRange(env, index, index, true);
+            thisScript.tableSetFocusRow(env, index, true);
+            return;
+          }
+        }
+        return;
+      }
+
+      var $rows = thisScript.tableGetRows(env);
+      var n = $rows.length;
+      for (var i = 0; i < n; ++i) {
+        var $tr = $rows.eq((start + i) % n);
+        var $a = $('td.' + env.gather.nameColumn + ' a', $tr).eq(0);
+        if ($a.length !== 0 &&
+            $a.text().toLowerCase().indexOf(prefix) === 0) {
+          thisScript.tableSelectRow($tr, env);
+          return;
+        }
+      }
+    },
+
+    /**
+     * Handles the start of an entity row drag.
+     *
+     * An entity row drag copies or moves one or more table rows, depicting
+     * entities, and drops them into a folder or root folder. The drag list
+     * created by the drag is a list of entity IDs for the dragged rows:
+     *
+     * - If the drag starts on a selected item, the entire selection is
+     *   added to the drag list in a pending data transfer.
+     *
+     * - If the drag starts on an unselected item, that single row is
+     *   added to the drag list in a pending data transfer.
+     *
+     * In both cases, a ghost image is created that shows the names
+     * of the items being dragged. The data transfer state is initialized
+     * and table attributes set to record that a row drag is in progress.
+     *
+     * @param ev
+     *   The row event to handle.
+     * @param env
+     *   The environment object.
+     */
+    tableRowDragStart: function (ev, env) {
+      var $thisTr    = $(this);
+      var $thisTable = env.gather.$table;
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      thisScript.renameCancelClick();
+
+      //
+      // Mark the table
+      // --------------
+      // Mark the table as having a row drag in progress. This mark is
+      // removed when the drag is done and it indicates that row dragging,
+      // rather than off-browser file dragging is in progress.
+      $thisTable.attr(thisScript.tableDragOperand, 'rows');
+      $thisTable.attr(thisScript.tableDragRowIndex, this.rowIndex);
+
+      //
+      // Create ghost
+      // ------------
+      // The drag image during the drag is from a ghost table that contains
+      // a clone of the name column (or entire row) for dragged items.
+      //
+      // While looping over the items to add to the ghost, collect their
+      // entity ID's to use as the data transfer data.
+      //
+      // Note, however, that older browsers may not support setting the drag
+      // image. If they don't support it, skip creating the ghost image.
+      var dragImageSupported = typeof(ev.originalEvent.dataTransfer.setDragImage) === 'function';
+      var $dragTable = null;
+      var $dragTbody = null;
+      var rowHeight = 0;
+
+      if (dragImageSupported === true) {
+        $dragTable = $('<table class="dragImage">');
+        $dragTbody = $('<tbody>');
+        $dragTable.append($dragTbody);
+      }
+
+      var nameColumn = env.gather.nameColumn;
+
+      // Add clones of the current row or all selected rows to the ghost table.
+      //
+      // Get the height of a dragged table row to use to position the ghost
+      // table under the cursor.
+      var draggedList = [];
+      var draggedKinds = {};
+
+      if (thisScript.selectionHasRow(env, $thisTr) === true) {
+        // The user has started a drag atop a selected row.
+        //
+        // Add all selected rows in the table into a list of dragged rows
+        // and the ghost table.
+        $('tr.selected', $thisTable).each(function() {
+          var $td = $('td.' + nameColumn, $(this));
+
+          // Save the row's entity ID.
+          var $a = $('a', $td);
+          if ($a.length === 0) {
+            // Fail. No anchor? Ignore row.
+            return false;
+          }
+
+          draggedList.push($a.attr('data-foldershare-id'));
+          thisScript.addDraggedKind(draggedKinds, $a);
+
+          if (dragImageSupported === true) {
+            // Clone the column and add it to the ghost table.
+            // Remove row and column classes so we don't get any residual
+            // styling of the ghost.
+            var rh = this.offsetHeight;
+            if (rh > rowHeight) {
+              rowHeight = rh;
+            }
+
+            var $newTd = $td.clone(false).removeClass();
+            $dragTbody.append($('<tr>').append($newTd));
+          }
+        });
+      }
+      else {
+        // The user has started a drag atop an unselected row.
+        //
+        // Add the single row to the list of dragged rows and the ghost table.
+        var $td = $('td.' + nameColumn, $thisTr);
+
+        // Save the row's entity ID.
+        var $a = $('a', $td);
+        if ($a.length === 0) {
+          // Fail. No anchor? Ignore drag start.
+          return true;
+        }
+
+        draggedList.push($a.attr('data-foldershare-id'));
+        thisScript.addDraggedKind(draggedKinds, $a);
+
+        if (dragImageSupported === true) {
+          // Clone the column or row and add it to the ghost table.
+          // Remove row and column classes so we don't get any residual
+          // styling of the ghost.
+          rowHeight = $thisTr[0].offsetHeight;
+          var $td = $('td.' + nameColumn, $thisTr);
+          var $newTd = $td.clone(false).removeClass();
+          $dragTbody.append($('<tr>').append($newTd));
+        }
+      }
+
+      // A virtual list's selection includes rows not in the table.
+      if (thisScript.virtual !== null && thisScript.selectionHasRow(env, $thisTr) === true) {
+        thisScript.virtualGetDragged(env, draggedList, draggedKinds);
+      }
+
+      //
+      // Set up the data transfer
+      // ------------------------
+      // - Set the transferred data to be a list of entity IDs.
+      // - Set the drag image to be the ghost table.
+      // - Set the allowed 'effects' (e.g. copy or move).
+      // - Set the initial 'effect' (e.g. copy or move).
+      // - Show a badge describing the effect.
+      ev.originalEvent.dataTransfer.setData(
+        'foldershare/local-entity-list',
+        JSON.stringify(draggedList));
+      $thisTable.attr(thisScript.tableDragEntityList, JSON.stringify(draggedList));
+
+      var allowed = 'none';
+      if (env.dndCopyEnabled === true && env.dndMoveEnabled === true) {
+        allowed = 'copyMove';
+      }
+      else if (env.dndCopyEnabled === true) {
+        allowed = 'copy';
+      }
+      else {
+        allowed = 'move';
+      }
+
+      ev.originalEvent.dataTransfer.effectAllowed = allowed;
+      ev.originalEvent.dataTransfer.dropEffect =
+        thisScript.getDropEffect(allowed, ev);
+      $thisTable.attr(thisScript.tableDragEffectAllowed, allowed);
+
+      thisScript.dragBadgeShow(env, draggedList.length, draggedKinds, allowed);
+
+      if (dragImageSupported === true) {
+        // The ghost table must be on the page in order to be rendered
+        // and used as the ghost table. So add it temporarily.
+        $('body').append($dragTable);
+
+        ev.originalEvent.dataTransfer.setDragImage(
+          $dragTable[0],
+          0,
+          (rowHeight/2));
+
+        // The ghost table must exist in the body long enough for it to be
+        // rendered for use as the drag image. But after that it is clutter
+        // that will show up at the end of the page. To remove it as soon
+        // as possible, we set a timeout function.
+        setTimeout(function() { $dragTable.remove(); });
+      }
+
+      return true;
+    },
+
+    /**
+     * Handles the end of an entity row drag.
+     *
+     * An entity row drag copies or moves one or more table rows, depicting
+     * entities, and drops them into a folder or root folder. The start of
+     * the drag has already initialized the event's data transfer object
+     * to contain a list of dragged entity IDs.
+     *
+     * A drag can end in one of two ways:
+     * - The user dropped the drag.
+     * - The user canceled the drag (such as by the ESC key).
+     *
+     * If the user dropped the drag, the "drop" event behavior has already
+     * handled collecting the entity ID list from the data transfer and
+     * sending a copy or move command to the server.
+     *
+     * This method cleans up after either a drop or a cancel by resetting
+     * table attributes and unhighlighting whatever row was most recently
+     * under the cursor during the drag (if any).
+     *
+     * @param ev
+     *   The row event to handle.
+     * @param env
+     *   The environment object.
+     *
+     * @return
+     *   Returns false.
+     */
+    tableRowDragEnd: function (ev, env) {
+      var $thisTr     = $(this);
+      var $thisTable  = env.gather.$table;
+      var thisScript  = Drupal.foldershare.UIFolderTableMenu;
+      var oldRowIndex = Number($thisTable.attr(thisScript.tableDragRowIndex));
+
+      //
+      // Unhighlight drag row
+      // --------------------
+      // The row most recently under the cursor during the drag may have
+      // been highlighted (if it was a folder). Unhighlight it.
+      if (isNaN(oldRowIndex) === false) {
+        // Note that the saved row index is from the event, which numbers
+        // rows with 1 for the 1st row. jQuery numbers rows with 0 for
+        // the 1st row.
+        $('tbody tr', $thisTable).eq(oldRowIndex-1)
+          .removeClass('foldershare-draghover ' + thisScript.dragForbiddenClass);
+      }
+
+      //
+      // Reset state
+      // -----------
+      // Reset the table attributes saving the drag state.
+      $thisTable.attr(thisScript.tableDragOperand, 'none');
+      $thisTable.attr(thisScript.tableDragEffectAllowed, 'none');
+      $thisTable.attr(thisScript.tableDragRowIndex, 'NaN');
+      $thisTable.attr(thisScript.tableDragEntityList, '[]');
+
+      thisScript.dragBadgeHide();
+
+      // A virtual list doesn't replace rows during a row drag. Catch up.
+      thisScript.virtualRender(env, false);
+
+      return false;
+    },
+
+    /**
+     * Handles entering a region during an entity or file drag.
+     *
+     * The drag in progress can be either an entity row drag or a file drag
+     * that is dragging a file in from off-browser. File drag events are
+     * ignored here. Only row drag events are handled.
+     *
+     * A row drag entry event is generated every time the user's cursor crosses
+     * an element boundary and into the element during a drag. Element
+     * boundaries include the rows of the table, but also table cells and
+     * any elements within them (such as <div> or <a>).
+     *
+     * If the event notes a cross into a new row, the old row (if any)
+     * is unhighlighted and the new row checked against the destination
+     * constraints of the copy and move commands. If the new row can accept
+     * the drop, it is highlighted. Otherwise it is marked as forbidden and
+     * the drop effect set to "none".
+     *
+     * @param ev
+     *   The row event to handle.
+     * @param env
+     *   The environment object.
+     *
+     * @return
+     *   Returns false.
+     */
+    tableRowDragEnter: function (ev, env) {
+      var $thisTr    = $(this);
+      var $thisTable = env.gather.$table;
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      switch ($thisTable.attr(thisScript.tableDragOperand)) {
+        default:
+        case 'none':
+        case 'files':
+          break;
+
+        case 'rows':
+          // On a row drag, if the event notes a row crossing, update
+          // highlighting.
+          var oldRowIndex = Number($thisTable.attr(thisScript.tableDragRowIndex));
+          var newRowIndex = this.rowIndex;
+
+          if (newRowIndex !== oldRowIndex) {
+            if (isNaN(oldRowIndex) === false) {
+              // The saved row index is from the event, which numbers
+              // rows with 1 for the 1st row. jQuery numbers rows with
+              // 0 for the 1st row.
+              $('tbody tr', $thisTable).eq(oldRowIndex-1)
+                .removeClass('foldershare-draghover ' + thisScript.dragForbiddenClass);
+            }
+
+            // Save the new row index.
+            $thisTable.attr(thisScript.tableDragRowIndex, newRowIndex);
+
+            // Check if the current row can accept the drop. Rows being
+            // dragged are neither highlighted nor drop targets. Other rows
+            // are highlighted as acceptable or forbidden drop targets.
+            var $a = $('td.' + env.gather.nameColumn + ' a', $thisTr);
+            var allowed = 'none';
+
+            var draggedList = JSON.parse(
+              $thisTable.attr(thisScript.tableDragEntityList) || '[]');
+            if ($.inArray($a.attr('data-foldershare-id'), draggedList) === (-1)) {
+              allowed = thisScript.getDropEffectAllowed(
+                env,
+                $a.attr('data-foldershare-kind'),
+                $a.attr('data-foldershare-access'));
+
+              if (allowed === 'none') {
+                $thisTr.addClass(thisScript.dragForbiddenClass);
+              }
+              else {
+                $thisTr.addClass('foldershare-draghover');
+              }
+            }
+
+            $thisTable.attr(thisScript.tableDragEffectAllowed, allowed);
+          }
+
+          ev.originalEvent.dataTransfer.dropEffect = thisScript.getDropEffect(
+            $thisTable.attr(thisScript.tableDragEffectAllowed), ev);
+          break;
+      }
+
+      return false;
+    },
+
+    /**
+     * Handles the continuation of an entity or file drag.
+     *
+     * The drag in progress can be either an entity row drag or a file drag
+     * that is dragging a file in from off-browser. It is important
+     * to keep this behavior as fast as possible because browsers generate
+     * a large number of these events, whether the user's cursor is moving
+     * or not.
+     *
+     * For entity row drags, most processing is done on a "dragenter". This
+     * method merely reaffirms the current drag effect (e.g. copy or move).
+     *
+     * For file drags, most processing is done on a "dragleave". But on the
+     * first "dragover" event during a file drag, intial setup is done.
+     * Thereafter this method merely reaffirms the current drag effect.
+     *
+     * @param ev
+     *   The row event to handle.
+     * @param env
+     *   The environment object.
+     *
+     * @return
+     *   Returns false and prevents further event processing.
+     */
+    tableRowDragOver: function (ev, env) {
+      var $thisTr    = $(this);
+      var $thisTable = env.gather.$table;
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      switch ($thisTable.attr(thisScript.tableDragOperand)) {
+        default:
+        case 'files':
+          break;
+
+        case 'rows':
+          // Browsers reset the drop effect before each "dragover". Set it
+          // again, using "none" when the row cannot accept the drop.
+          ev.originalEvent.dataTransfer.dropEffect = thisScript.getDropEffect(
+            $thisTable.attr(thisScript.tableDragEffectAllowed), ev);
+          break;
+
+        case 'none':
+          // Since the drag operand is still 'none', this must be the first
+          // drag event for a file drag from off-browser.
+          //
+          // The event's dataTransfer property exists and can be configured
+          // at this point, BUT the list of files being dragged is not yet
+          // known. We therefore cannot confirm that the drag is valid yet.
+          //
+          // We can check if the browser supports dragged files for uploads.
+          // This tries to use the empty file list from the dataTransfer and
+          // set the input field's files. If this fails, the browser does not
+          // support setting the field.
+          if (thisScript.checkFileDragSupport(ev, env) === false) {
+            break;
+          }
+
+          // Mark the table as having a file drag in progress. File drags
+          // are always 'copy' operations.
+          $thisTable.attr(thisScript.tableDragOperand, 'files');
+          $thisTable.attr(thisScript.tableDragEffectAllowed, 'copy');
+          $thisTable.attr(thisScript.tableDragRowIndex, this.rowIndex);
+
+          ev.originalEvent.dataTransfer.dropEffect = 'copy';
+          ev.originalEvent.dataTransfer.effectAllowed = 'copy';
+
+          // Highlight the current row if it is a folder.
+          var $a = $('td.' + env.gather.nameColumn + ' a', $thisTr);
+          var rowKind = $a.attr('data-foldershare-kind');
+          if (rowKind === 'folder' || rowKind === 'rootfolder') {
+            $thisTr.addClass('foldershare-draghover');
+          }
+          break;
+      }
+
+      ev.preventDefault();
+      ev.stopPropagation();
+      return false;
+    },
+
+    /**
+     * Handles leaving a region during an entity or file drag.
+     *
+     * The drag in progress can be either an entity row drag or a file drag
+     * that is dragging a file in from off-browser.
+     *
+     * For entity row drags, most processing is done on a "dragenter". This
+     * method does nothing.
+     *
+     * For file drags, most processing is done here. With a file drag, there
+     * is no unique ending event if the drag is canceled. All we get is a
+     * final "dragleave" and we cannot determine if the event is from a
+     * canceled drag or just a "dragleave" as the user's cursor is moving
+     * across an element boundary during a drag. This method is forced to
+     * assume the drag has been canceled and clean up for it since there will
+     * be no other opportunity to do so.
+     *
+     * @param ev
+     *   The row event to handle.
+     * @param env
+     *   The environment object.
+     */
+    tableRowDragLeave: function (ev, env) {
+      var $thisTr    = $(this);
+      var $thisTable = env.gather.$table;
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      switch ($thisTable.attr(thisScript.tableDragOperand)) {
+        default:
+        case 'rows':
+        case 'none':
+          break;
+
+        case 'files':
+          // Assume this is the last event of a canceled file drag, since
+          // we can't tell otherwise. End the file drag.
+          $thisTr.removeClass('foldershare-draghover');
+          $thisTable.attr(thisScript.tableDragOperand, 'none');
+          $thisTable.attr(thisScript.tableDragEffectAllowed, 'none');
+          $thisTable.attr(thisScript.tableDragRowIndex, 'NaN');
+          break;
+      }
+
+      return false;
+    },
+
+    /**
+     * Handles a drop of an entity drag.
+     *
+     * The drop triggers a move or copy of the dragged entities into a
+     * subfolder.
+     *
+     * @param ev
+     *   The row event to handle.
+     * @param env
+     *   The environment object.
+     *
+     * @return
+     *   Returns false and prevents further event processing.
+     */
+    tableRowDragDrop: function (ev, env) {
+      var $thisTr    = $(this);
+      var $thisTable = env.gather.$table;
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      // Get the entity ID under the drop row.
+      var $a = $('td.' + env.gather.nameColumn + ' a', $thisTr);
+      var rowKind = $a.attr('data-foldershare-kind');
+      var dropEntityId = $a.attr('data-foldershare-id');
+
+      // The data transfer's "dropEffect" is handled differently by
+      // different browsers, and browsers map modifier keys to effects
+      // differently. The drop's effect is therefore chosen here from the
+      // effects allowed by the drop row and the event's modifier keys.
+      switch ($thisTable.attr(thisScript.tableDragOperand)) {
+        default:
+        case 'none':
+          break;
+
+        case 'rows':
+          // Drop entity rows.
+          //
+          // Make sure the drop row accepts the drop. This was checked
+          // against the destination constraints when the drag entered
+          // the row.
+          if ($thisTable.attr(thisScript.tableDragEffectAllowed) === 'none') {
+            // User error. Cannot drop onto a non-folder or a folder
+            // without access.
+            break;
+          }
+
+          // Get the drag's list of entity IDs and make sure the drop row's
+          // entity ID is not in the list.
+          var entityIdList = JSON.parse(ev.originalEvent.dataTransfer.getData(
+              'foldershare/local-entity-list'));
+          if ($.inArray(dropEntityId, entityIdList) !== (-1)) {
+            // User error. Cannot drop onto self.
+            break;
+          }
+
+          // Determine if the operation is a copy or move.
+          var command = thisScript.getRowDropCommand(
+            ev,
+            $thisTable.attr(thisScript.tableDragEffectAllowed));
+          if (command === null) {
+            // Cannot figure out effect.
+            break;
+          }
+
+          // Issue the copy or move command.
+          thisScript.tableDropRows(env, command, dropEntityId, entityIdList);
+          break;
+
+        case 'files':
+          // Drop files.
+          //
+          // Clean up at the end of a file drag.
+          $thisTr.removeClass('foldershare-draghover');
+          $thisTable.attr(thisScript.tableDragOperand, 'none');
+          $thisTable.attr(thisScript.tableDragEffectAllowed, 'none');
+          $thisTable.attr(thisScript.tableDragRowIndex, 'NaN');
+
+          // If the drop row is not a folder or root folder, use the
+          // current page's folder, if any.
+          if (rowKind !== 'folder' && rowKind !== 'rootfolder') {
+            dropEntityId = env.settings.foldershare.page.id;
+            if (dropEntityId === (-1)) {
+              // There is no current page entity. Cannot drop here.
+              break;
+            }
+          }
+
+          thisScript.tableFileDrop(ev, env, dropEntityId);
+          break;
+      }
+
+      ev.preventDefault();
+      ev.stopPropagation();
+      return false;
+    },
+
+    /**
+     * Returns the current selection, grouped by entity kind.
+     *
+     * The selection model is used to bin entities into an object with one
+     * property for each kind found. The selection includes items selected on other table pages.
+     * The value of the property is an array containing one object for each
+     * entity found of that property's kind. Each of those objects has 'id'
+     * and 'access' properties containing the corresponding values for the
+     * entity.
+     *
+     * @param env
+     *   The environment object.
+     *
+     * @return
+     *   The returned object contains one property for each entity kind
+     *   found. The value for each property is an array of objects that each
+     *   contain an entity ID and access grants for that entity.
+     */
+    tableGetSelectionIdsByKind: function (env) {
+      return Drupal.foldershare.UIFolderTableMenu.selectionGetByKind(env);
+    },
+
+    /**
+     * Returns the selection model's items, grouped by entity kind.
+     *
+     * @param env
+     *   The environment object.
+     *
+     * @return
+     *   The returned object contains one property for each entity kind
+     *   found. The value for each property is an array of objects that each
+     *   contain an entity ID and access grants for that entity.
+     */
+    selectionGetByKind: function (env) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var result = { };
+
+      var items = thisScript.selectionGetModel(env).items;
+
+      for (var entityId in items) {
+        // Add this item into the selection. Use the item kind to group
+        // items, and save the entity ID and access array.
+        var item = items[entityId];
+        if (typeof result[item.kind] === 'undefined') {
+          result[item.kind] = [];
+        }
+
+        result[item.kind].push({
+          "id":     item.id,
+          "access": item.access
+        });
+      }
+
+      return result;
+    },
+
+    /**
+     * Returns the current selection as an array of entity IDs.
+     *
+     * The entity ID for each selected item in the selection model,
+     * including items on other table pages, is added to an array and the
+     * array returned.
+     *
+     * @param env
+     *   the environment object.
+     *
+     * @return
+     *   Returns an array of entity IDs for selected rows.
+     */
+    tableGetSelectionIds: function (env) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var result = [];
+
+      var items = thisScript.selectionGetModel(env).items;
+
+      for (var entityId in items) {
+        result.push(entityId);
+      }
+
+      return result;
+    },
+
+    /**
+     * Returns the copy or move command for a row drop.
+     *
+     * @param ev
+     *   The drop event.
+     * @param allowed
+     *   The drag effects allowed by the drop target.
+     *
+     * @return
+     *   Returns the copy or move command ID, or null if the drop's effect
+     *   cannot be determined.
+     */
+    getRowDropCommand: function (ev, allowed) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      switch (thisScript.getDropEffect(allowed, ev)) {
+        case 'move':
+          return thisScript.moveCommand;
+
+        case 'copy':
+          return thisScript.copyCommand;
+      }
+
+      return null;
+    },
+
+    /**
+     * Returns the drag effects allowed for a drop target.
+     *
+     * The drop target's kind and access are checked against the destination
+     * constraints of the copy and move commands. Each command that is
+     * enabled for drag-and-drop and whose constraints are met adds its
+     * effect to the returned value.
+     *
+     * @param env
+     *   The environment object.
+     * @param kind
+     *   The kind of the drop target.
+     * @param access
+     *   The comma-separated list of access operations granted on the
+     *   drop target, as on the "data-foldershare-access" attribute.
+     *
+     * @return
+     *   Returns "copyMove", "copy", "move", or "none".
+     */
+    getDropEffectAllowed: function (env, kind, access) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      if (typeof kind === 'undefined' || typeof access === 'undefined') {
+        return 'none';
+      }
+
+      access = access.split(',');
+
+      var copyOk = (env.dndCopyEnabled === true &&
+        thisScript.checkDestinationConstraints(
+          env, thisScript.copyCommand, kind, access) === true);
+      var moveOk = (env.dndMoveEnabled === true &&
+        thisScript.checkDestinationConstraints(
+          env, thisScript.moveCommand, kind, access) === true);
+
+      if (copyOk === true && moveOk === true) {
+        return 'copyMove';
+      }
+      if (copyOk === true) {
+        return 'copy';
+      }
+      if (moveOk === true) {
+        return 'move';
+      }
+      return 'none';
+    },
+
+    /**
+     * Returns the drop effect for the drag effects allowed and modifier keys.
+     *
+     * Browsers map modifier keys to drop effects differently, so the
+     * effect is chosen here instead. The Alt (Option) key chooses a copy.
+     * Otherwise a move is chosen. If the chosen effect is not allowed,
+     * the other allowed effect is used.
+     *
+     * @param allowed
+     *   The drag effects allowed, such as from getDropEffectAllowed().
+     * @param ev
+     *   (optional, default = null) The drag or mouse event whose modifier
+     *   keys choose the effect.
+     *
+     * @return
+     *   Returns "copy", "move", or "none".
+     */
+    getDropEffect: function (allowed, ev) {
+      if (typeof ev === 'undefined') {
+        ev = null;
+      }
+
+      var altKey = false;
+      if (ev !== null) {
+        altKey = (('originalEvent' in ev) ? ev.originalEvent : ev).altKey === true;
+      }
+
+      switch (allowed) {
+        case 'copyMove':
+          return (altKey === true) ? 'copy' : 'move';
+
+        case 'move':
+          return 'move';
+
+        case 'copy':
+          return 'copy';
+      }
+
+      return 'none';
+    },
+
+    /**
+     * Adds the kind of a dragged row to a count of kinds.
+     *
+     * @param kinds
+     *   An object with kind names as keys, and arrays of entity IDs as
+     *   values, in the form used for selections.
+     * @param $a
+     *   The anchor in the dragged row's name column.
+     */
+    addDraggedKind: function (kinds, $a) {
+      var kind = $a.attr('data-foldershare-kind');
+      if (typeof kinds[kind] === 'undefined') {
+        kinds[kind] = [];
+      }
+
+      kinds[kind].push($a.attr('data-foldershare-id'));
+    },
+
+    /**
+     * Copies or moves dropped rows into a folder.
+     *
+     * This is the common path for rows dropped onto a folder row or an
+     * ancestor folder, and for a command chosen from the drop menu after
+     * a right-button drag. A 'foldershare:dragdrop' event is triggered
+     * first, and handlers may cancel the drop. Destructive commands, such
+     * as a move, are confirmed before they run.
+     *
+     * @param env
+     *   The environment object.
+     * @param command
+     *   The copy or move command ID.
+     * @param destinationId
+     *   The entity ID of the folder dropped onto.
+     * @param entityIdList
+     *   The entity IDs of the dropped rows.
+     */
+    tableDropRows: function (env, command, destinationId, entityIdList) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      var dropped = thisScript.eventDragDrop(env, {
+        operand:       'rows',
+        command:       command,
+        destinationId: destinationId,
+        entityIds:     entityIdList,
+        files:         null
+      });
+      if (dropped === false) {
+        return;
+      }
+
+      var def = env.commands[command];
+      if (def.specialHandling.includes('destructive') === true) {
+        thisScript.confirmRun(env, command, destinationId, entityIdList);
+        return;
+      }
+
+      var setup = thisScript.serverCommandSetup(
+        env,
+        command,
+        null,
+        destinationId,
+        entityIdList,
+        null);
+      if (setup === true) {
+        thisScript.serverCommandSubmit(env);
+      }
+    },
+
+    /**
+     * Uploads files dropped onto a folder.
+     *
+     * Dropped folder trees are uploaded if the browser can walk them.
+     * Otherwise the dropped files are checked and uploaded. A
+     * 'foldershare:dragdrop' event is triggered first, and handlers may
+     * cancel the drop.
+     *
+     * @param ev
+     *   The drop event.
+     * @param env
+     *   The environment object.
+     * @param dropEntityId
+     *   The entity ID of the folder to upload into.
+     */
+    tableFileDrop: function (ev, env, dropEntityId) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      var dropped = thisScript.eventDragDrop(env, {
+        operand:       'files',
+        command:       thisScript.uploadCommand,
+        destinationId: dropEntityId,
+        entityIds:     null,
+        files:         ev.originalEvent.dataTransfer.files
+      });
+      if (dropped === false) {
+        return;
+      }
+
+      // If the drop includes folders, and the browser can walk them,
+      // upload the folder trees.
+      var entries = thisScript.getFileDragEntries(ev);
+      if (entries !== null &&
+          thisScript.serverUploadSupported(env) === true) {
+        thisScript.serverUploadBackground(
+          env,
+          dropEntityId,
+          ev.originalEvent.dataTransfer.files,
+          entries);
+        return;
+      }
+
+      thisScript.checkFileDragValid(ev, env,
+        function (ev, env, fileList) {
+          // Check and upload the files.
+          thisScript.serverUploadChecked(
+            env,
+            dropEntityId,
+            Array.prototype.slice.call(fileList));
+        },
+        function (ev, env, fileList) {
+          // Tell the user the drag was not valid.
+          var text = '<div>';
+          if (fileList.length <= 1) {
+            var translated = env.settings.foldershare.terminology.text.upload_dnd_invalid_singular;
+            if (typeof translated === 'undefined') {
+              text += '<p><strong>Drag-and-drop item cannot be uploaded.</strong></p>';
+              text += '<p>You may not have access to the item, or it may be a folder. Folder upload is not supported by this web browser.</p>';
+            }
+            else {
+              text += translated;
+            }
+          }
+          else {
+            var translated = env.settings.foldershare.terminology.text.upload_dnd_invalid_plural;
+            if (typeof translated === 'undefined') {
+              text += '<p><strong>Drag-and-drop items cannot be uploaded.</strong></p>';
+              text += '<p>You may not have access to these items, or one of them may be a folder. Folder upload is not supported by this web browser.</p>';
+            }
+            else {
+              text += translated;
+            }
+          }
+          text += '</div>';
+
+          Drupal.dialog(text, {}).showModal();
+        });
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Command palette.
+     *
+     * These functions show a command palette that finds main menu
+     * commands by typing part of their name or category. Commands that
+     * are not enabled for the current selection are listed, but cannot
+     * be chosen. Choosing a command runs it just like choosing it from
+     * the main menu.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Attaches the command palette's keyboard shortcut.
+     *
+     * @param env
+     *   The environment object.
+     */
+    paletteAttach: function (env) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      $(document).off('keydown.foldersharepalette');
+      $(document).on('keydown.foldersharepalette', function (ev) {
+        if (thisScript.keyboardGetShortcut(ev) !== thisScript.paletteShortcut) {
+          return true;
+        }
+
+        // Leave the shortcut to form fields and editors.
+        if ($(ev.target).is('input, textarea, select, [contenteditable="true"]') === true) {
+          return true;
+        }
+
+        thisScript.paletteShow(env);
+        return false;
+      });
+    },
+
+    /**
+     * Shows the command palette.
+     *
+     * @param env
+     *   The environment object.
+     */
+    paletteShow: function (env) {
+      var thisScript  = Drupal.foldershare.UIFolderTableMenu;
+      var utility     = Drupal.foldershare.utility;
+      var terminology = env.settings.foldershare.terminology;
+
+      if ($('.' + thisScript.paletteClass).length !== 0) {
+        // Already shown.
+        return;
+      }
+
+      //
+      // Collect commands
+      // ----------------
+      // Get each main menu command's menu text and category, and check
+      // if it is enabled for the current selection, just as is done when
+      // updating the main menu.
+      var selection = thisScript.tableGetSelectionIdsByKind(env);
+      var nSelected = 0;
+      for (var k in selection) {
+        nSelected += selection[k].length;
+      }
+
+      var operand = thisScript.menuGetOperandText(env, selection);
+      var entries = [];
+
+      for (var commandId in env.mainCommands) {
+        var def = env.mainCommands[commandId];
+        var enabled = thisScript.checkSelectionConstraints(
+          env,
+          nSelected,
+          selection,
+          commandId);
+
+        var category = def.category;
+        if ('categories' in terminology === true &&
+            category in terminology.categories === true) {
+          category = terminology.categories[category];
+        }
+
+        entries.push({
+          'commandId': commandId,
+          'name':      def.menuNameDefault,
+          'text':      (enabled === true) ?
+            def.menuName.replace('@operand', operand) : def.menuNameDefault,
+          'category':  utility.getTitleCase(category),
+          'weight':    Number(def.weight),
+          'enabled':   enabled,
+        });
+      }
+
+      //
+      // Build palette
+      // -------------
+      // The palette has a search field above a list of matching commands.
+      var $palette = $('<div class="' + thisScript.paletteClass + '">');
+      var $input = $('<input type="text" autocomplete="off">')
+        .attr('placeholder', utility.getTerm(terminology, 'search commands'))
+        .appendTo($palette);
+      var $list = $('<ul role="listbox">').appendTo($palette);
+
+      var dialog = Drupal.dialog($palette, {
+        'title':       utility.getTerm(terminology, 'commands'),
+        'width':       480,
+        'dialogClass': thisScript.paletteClass + '-dialog',
+        'close':       function () {
+          $palette.remove();
+        },
+      });
+
+      var run = function ($item) {
+        if ($item.length === 0 || $item.hasClass('ui-state-disabled') === true) {
+          return;
+        }
+
+        dialog.close();
+        thisScript.serverCommandRun(env, $item.attr('data-foldershare-command'));
+      };
+
+      var update = function () {
+        thisScript.paletteUpdate(env, $list, entries, $input.val());
+      };
+
+      //
+      // Attach behaviors
+      // ----------------
+      // Typing filters the list. Up/Down arrows move the active entry
+      // among the enabled entries, and Enter runs it. A click runs the
+      // clicked entry.
+      $input.on('input', update);
+      $input.on('keydown', function (ev) {
+        if (ev.key !== 'ArrowDown' && ev.key !== 'ArrowUp' &&
+            ev.key !== 'Enter') {
+          return true;
+        }
+
+        var $items = $('li[data-foldershare-command]', $list)
+          .not('.ui-state-disabled');
+        if ($items.length === 0) {
+          // Nothing is enabled, so there is nothing to move to or run.
+          return false;
+        }
+
+        var index = $items.index($items.filter('.ui-state-active'));
+
+        switch (ev.key) {
+          case 'ArrowDown':
+            index = Math.min(index + 1, $items.length - 1);
+            break;
+
+          case 'ArrowUp':
+            index = Math.max(index - 1, 0);
+            break;
+
+          case 'Enter':
+            if (index >= 0) {
+              run($items.eq(index));
+            }
+            return false;
+        }
+
+        $items.removeClass('ui-state-active');
+        $items.eq(index).addClass('ui-state-active')[0].scrollIntoView({ block: 'nearest' });
+        return false;
+      });
+
+      $list.on('click', 'li[data-foldershare-command]', function () {
+        run($(this));
+        return false;
+      });
+
+      update();
+      dialog.showModal();
+      $input.trigger('focus');
+    },
+
+    /**
+     * Updates the command palette's list for a search.
+     *
+     * Entries that match the search are listed best match first. The
+     * first enabled entry becomes the active entry.
+     *
+     * @param env
+     *   The environment object.
+     * @param $list
+     *   The palette's list.
+     * @param entries
+     *   The palette's entries, each an object with 'commandId', 'name',
+     *   'text', 'category', 'weight', and 'enabled' properties.
+     * @param query
+     *   The search text.
+     */
+    paletteUpdate: function (env, $list, entries, query) {
+      var thisScript  = Drupal.foldershare.UIFolderTableMenu;
+      var terminology = env.settings.foldershare.terminology;
+
+      //
+      // Match entries
+      // -------------
+      // Match the search against the command's generic name, and against
+      // its category. A name match counts more.
+      var matches = [];
+      for (var i = 0; i < entries.length; ++i) {
+        var entry = entries[i];
+        var score = thisScript.paletteMatch(query, entry.name);
+        var categoryScore = thisScript.paletteMatch(query, entry.category);
+        if (categoryScore >= 0) {
+          score = Math.max(score, categoryScore / 2);
+        }
+
+        if (score >= 0) {
+          matches.push({ 'entry': entry, 'score': score });
+        }
+      }
+
+      matches.sort(function (a, b) {
+        if (a.score !== b.score) {
+          return b.score - a.score;
+        }
+        if (a.entry.enabled !== b.entry.enabled) {
+          return (a.entry.enabled === true) ? -1 : 1;
+        }
+        if (a.entry.weight !== b.entry.weight) {
+          return a.entry.weight - b.entry.weight;
+        }
+        return a.entry.name.localeCompare(b.entry.name);
+      });
+
+      //
+      // List entries
+      // ------------
+      $list.empty();
+      if (matches.length === 0) {
+        $('<li class="ui-state-disabled">')
+          .text(Drupal.foldershare.utility.getTerm(terminology, 'no matching commands'))
+          .appendTo($list);
+        return;
+      }
+
+      var activated = false;
+      for (var i = 0; i < matches.length; ++i) {
+        var entry = matches[i].entry;
+        var $item = $('<li role="option">')
+          .attr('data-foldershare-command', entry.commandId)
+          .append($('<span class="' + thisScript.paletteClass + '-name">').text(entry.text))
+          .append($('<span class="' + thisScript.paletteClass + '-category">').text(entry.category));
+
+        if (entry.enabled === false) {
+          $item.addClass('ui-state-disabled');
+        }
+        else if (activated === false) {
+          $item.addClass('ui-state-active');
+          activated = true;
+        }
+
+        $list.append($item);
+      }
+    },
+
+    /**
+     * Returns a fuzzy match score for a search within text.
+     *
+     * The search matches if its characters appear in the text in the same
+     * order, ignoring case. Matches score higher when characters are
+     * adjacent, or start words, or when the text starts with the search.
+     *
+     * @param query
+     *   The search text.
+     * @param text
+     *   The text to search.
+     *
+     * @return
+     *   Returns the score, or (-1) if there is no match. An empty search
+     *   matches everything with a score of 0.
+     */
+    paletteMatch: function (query, text) {
+      query = $.trim(query).toLowerCase();
+      text = text.toLowerCase();
+
+      if (query.length === 0) {
+        return 0;
+      }
+
+      var score = 0;
+      var last = -2;
+      var t = 0;
+      for (var q = 0; q < query.length; ++q) {
+        var c = query.charAt(q);
+        if (c === ' ') {
+          continue;
+        }
+
+        t = text.indexOf(c, t);
+        if (t === (-1)) {
+          return (-1);
+        }
+
+        score += 1;
+        if (t === last + 1) {
+          // Adjacent to the previous match.
+          score += 2;
+        }
+        if (t === 0 || text.charAt(t - 1) === ' ') {
+          // Start of a word.
+          score += 3;
+        }
+
+        last = t;
+        ++t;
+      }
+
+      if (text.indexOf(query) === 0) {
+        score += 5;
+      }
+
+      return score;
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Inline rename.
+     *
+     * A row's name may be edited in place. Editing starts with the rename
+     * command, from a menu or the F2 key, or with a slow second click on
+     * the only selected row. Enter sends the new name to the server in the
+     * background and Escape cancels.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Starts an inline rename after a slow second click.
+     *
+     * The rename starts after a delay, unless a double-click, another
+     * click, or a drag cancels it first.
+     *
+     * @param env
+     *   The environment object.
+     * @param $tr
+     *   The clicked-on row.
+     */
+    renameStartClick: function (env, $tr) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      thisScript.renameClickTimer = setTimeout(function () {
+        thisScript.renameClickTimer = null;
+        if (thisScript.renameIsEnabled(env) === true) {
+          thisScript.renameStart(env, $tr);
+        }
+      }, thisScript.renameClickDelay);
+    },
+
+    /**
+     * Cancels a pending slow second click.
+     */
+    renameCancelClick: function () {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      if (thisScript.renameClickTimer !== null) {
+        clearTimeout(thisScript.renameClickTimer);
+        thisScript.renameClickTimer = null;
+      }
+    },
+
+    /**
+     * Returns true if the rename command is enabled for the selection.
+     *
+     * @param env
+     *   The environment object.
+     *
+     * @return
+     *   Returns true if the rename command is available on the page and
+     *   its selection constraints are met.
+     */
+    renameIsEnabled: function (env) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      if (thisScript.renameCommand in env.mainCommands === false) {
+        return false;
+      }
+
+      var ids = thisScript.tableGetSelectionIds(env);
+      return thisScript.checkSelectionConstraints(
+        env,
+        ids.length,
+        thisScript.tableGetSelectionIdsByKind(env),
+        thisScript.renameCommand);
+    },
+
+    /**
+     * Starts an inline rename of a row.
+     *
+     * The row's name anchor is hidden and replaced by a name field.
+     *
+     * @param env
+     *   The environment object.
+     * @param $tr
+     *   (optional, default = null = the selected row) The row to rename.
+     *
+     * @return
+     *   Returns true if the rename started, and false if there is not
+     *   exactly one selected row on this table page.
+     */
+    renameStart: function (env, $tr) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      if (typeof $tr === 'undefined') {
+        $tr = null;
+      }
+
+      if ($tr === null) {
+        if (thisScript.tableGetSelectionIds(env).length !== 1) {
+          return false;
+        }
+
+        $tr = $('tr.selected', env.gather.$tbody);
+        if ($tr.length !== 1) {
+          return false;
+        }
+      }
+
+      var $a = $('td.' + env.gather.nameColumn + ' a', $tr).eq(0);
+      if ($a.length === 0) {
+        return false;
+      }
+
+      thisScript.renameCancel();
+      thisScript.newFolderCancel();
+
+      var name = $a.text();
+      var $input = thisScript.nameFieldCreate(
+        env,
+        name,
+        thisScript.renameCommit,
+        thisScript.renameCancel);
+      $a.hide().after($input);
+
+      thisScript.rename = {
+        env:        env,
+        $tr:        $tr,
+        $a:         $a,
+        $input:     $input,
+        name:       name,
+        rejected:   null,
+        pending:    false,
+        draggable:  $tr.attr('draggable')
+      };
+
+      // Rows may be draggable, which keeps text in the field from being
+      // selected with the mouse. Turn that off while editing.
+      $tr.attr('draggable', 'false');
+
+      thisScript.nameFieldFocus(
+        $input,
+        ($a.attr('data-foldershare-kind') !== 'folder'));
+
+      return true;
+    },
+
+    /**
+     * Sends an inline rename to the server.
+     *
+     * An empty or unchanged name cancels the rename. On success, the row's
+     * name is updated. On failure, the server's message is shown below
+     * the field and editing continues.
+     *
+     * @param blur
+     *   True if the field lost the keyboard focus. A blur does not send a
+     *   name the server has already rejected, and cancels instead.
+     */
+    renameCommit: function (blur) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var rename     = thisScript.rename;
+
+      if (rename === null || rename.pending === true) {
+        return;
+      }
+
+      var name = $.trim(rename.$input.val());
+      if (name === '' || name === rename.name ||
+          (blur === true && name === rename.rejected)) {
+        thisScript.renameCancel();
+        return;
+      }
+
+      rename.pending = true;
+      rename.$input.prop('readonly', true);
+
+      thisScript.serverCommandJson(
+        rename.env,
+        thisScript.renameCommand,
+        null,
+        null,
+        [rename.$a.attr('data-foldershare-id')],
+        { 'name': name })
+        .done(function () {
+          rename.$a.text(name);
+          var items = thisScript.selectionGetModel(rename.env).items;
+          var entityId = rename.$a.attr('data-foldershare-id');
+          if (entityId in items === true) {
+            items[entityId].name = name;
+          }
+
+          thisScript.renameCancel();
+          rename.env.gather.$table[0].focus({ preventScroll: true });
+        })
+        .fail(function (message) {
+          rename.pending  = false;
+          rename.rejected = name;
+          thisScript.nameFieldShowError(rename.$input, message, (blur === false));
+        });
+    },
+
+    /**
+     * Ends an inline rename and restores the row's name anchor.
+     */
+    renameCancel: function () {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var rename     = thisScript.rename;
+
+      if (rename === null) {
+        return;
+      }
+
+      thisScript.rename = null;
+
+      $('.foldershare-rename-error', rename.$input.closest('td')).remove();
+      rename.$input.off().remove();
+      rename.$a.show();
+
+      if (typeof rename.draggable === 'undefined') {
+        rename.$tr.removeAttr('draggable');
+      }
+      else {
+        rename.$tr.attr('draggable', rename.draggable);
+      }
+    },
+
+    /**
+     * Returns a new name field for inline editing.
+     *
+     * Mouse and key events in the field are kept away from the row and
+     * table behaviors. Enter and a loss of focus commit the name, and
+     * Escape cancels.
+     *
+     * @param env
+     *   The environment object.
+     * @param name
+     *   The initial name.
+     * @param onCommit
+     *   The function called to commit the name. It is passed true if the
+     *   field lost the focus, and false for the Enter key.
+     * @param onCancel
+     *   The function called to cancel editing.
+     *
+     * @return
+     *   Returns the input field.
+     */
+    nameFieldCreate: function (env, name, onCommit, onCancel) {
+      var $input = $('<input type="text" class="foldershare-rename-input">');
+      $input.val(name);
+
+      $input.on('mousedown click dblclick contextmenu dragstart', function (ev) {
+        ev.stopPropagation();
+      });
+      $input.on('keydown', function (ev) {
+        ev.stopPropagation();
+        switch (ev.which) {
+          case 13:
+            // Enter.
+            onCommit(false);
+            return false;
+
+          case 27:
+            // Escape.
+            onCancel();
+            env.gather.$table[0].focus({ preventScroll: true });
+            return false;
+        }
+
+        return true;
+      });
+      $input.on('blur', function () {
+        onCommit(true);
+      });
+
+      return $input;
+    },
+
+    /**
+     * Focuses a name field and selects its name.
+     *
+     * @param $input
+     *   The input field.
+     * @param skipExtension
+     *   True to leave a file name's extension unselected.
+     */
+    nameFieldFocus: function ($input, skipExtension) {
+      var name = $input.val();
+      var end = name.length;
+      var dot = name.lastIndexOf('.');
+      if (skipExtension === true && dot > 0) {
+        end = dot;
+      }
+
+      $input[0].focus();
+      $input[0].setSelectionRange(0, end);
+    },
+
+    /**
+     * Shows a server error below a name field.
+     *
+     * @param $input
+     *   The input field.
+     * @param message
+     *   The error message.
+     * @param refocus
+     *   True to return the focus to the field.
+     */
+    nameFieldShowError: function ($input, message, refocus) {
+      $input.prop('readonly', false);
+
+      var $td = $input.closest('td');
+      $('.foldershare-rename-error', $td).remove();
+      $('<div class="foldershare-rename-error"></div>')
+        .text(message)
+        .appendTo($td);
+
+      if (refocus === true) {
+        $input[0].focus();
+      }
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Inline new folder.
+     *
+     * The new folder command adds a temporary row at the top of the table
+     * with a name field holding a unique default name. Enter creates the
+     * folder in the background, then the table is refreshed and the new
+     * folder's row selected. Escape removes the temporary row.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Starts an inline new folder.
+     *
+     * @param env
+     *   The environment object.
+     *
+     * @return
+     *   Returns true if the temporary row was added, and false if the
+     *   table has no body.
+     */
+    newFolderStart: function (env) {
+      var thisScript  = Drupal.foldershare.UIFolderTableMenu;
+      var $table      = env.gather.$table;
+      var $tbody      = env.gather.$tbody;
+
+      if ($tbody.length === 0) {
+        return false;
+      }
+
+      thisScript.renameCancel();
+      thisScript.newFolderCancel();
+
+      //
+      // Build row
+      // ---------
+      // Give the row one cell per column, using the header's classes so
+      // that the cells line up with the column styling.
+      var $tr = $('<tr class="foldershare-newfolder-row selected"></tr>');
+      var $th = $('thead th', $table);
+      if ($th.length === 0) {
+        $tr.append('<td class="' + env.gather.nameColumn + '"></td>');
+      }
+      else {
+        $th.each(function () {
+          var $td = $('<td></td>');
+          $td.attr('class', $(this).attr('class'));
+          $tr.append($td);
+        });
+      }
+
+      var $tdName = $('td.' + env.gather.nameColumn, $tr);
+      if ($tdName.length === 0) {
+        $tdName = $('td', $tr).eq(0);
+      }
+
+      //
+      // Choose name
+      // -----------
+      // Start with the default name and add a number until the name is
+      // not used by another row on this page. Other pages may still use
+      // the name, so an unchanged default is left to the server, which
+      // numbers it against the whole folder.
+      var base = env.settings.foldershare.terminology.text.new_folder_name;
+      if (typeof base === 'undefined') {
+        base = 'New folder';
+      }
+
+      var names = {};
+      $('td.' + env.gather.nameColumn + ' a', $tbody).each(function () {
+        names[$(this).text()] = true;
+      });
+
+      var name = base;
+      for (var n = 1; name in names === true; ++n) {
+        name = base + ' ' + n;
+      }
+
+      //
+      // Show row
+      // --------
+      // Clear the selection and hide an empty table message, if any.
+      thisScript.tableSelectNone(env);
+
+      var $hidden = $('tr', $tbody).filter(function () {
+        return $('td.' + env.gather.nameColumn, this).length === 0;
+      }).hide();
+
+      var $input = thisScript.nameFieldCreate(
+        env,
+        name,
+        thisScript.newFolderCommit,
+        thisScript.newFolderCancel);
+      var mime = (env.settings.foldershare.page.kind === 'none') ?
+        'file--mime-rootfolder-directory' : 'file--mime-folder-directory';
+      $tdName.append(
+        $('<span></span>').addClass('file file--folder ' + mime),
+        $input);
+      $tbody.prepend($tr);
+
+      thisScript.newFolder = {
+        env:         env,
+        $tr:         $tr,
+        $input:      $input,
+        $hidden:     $hidden,
+        defaultName: name,
+        rejected:    null,
+        pending:     false
+      };
+
+      thisScript.nameFieldFocus($input, false);
+      $input[0].scrollIntoView({ block: 'nearest' });
+
+      return true;
+    },
+
+    /**
+     * Creates the inline new folder on the server.
+     *
+     * An empty name cancels. If the default name was not changed, no name
+     * is sent and the server chooses a unique default name. On success,
+     * the table is refreshed with the new folder selected. On failure, the
+     * server's message is shown below the field and editing continues.
+     *
+     * @param blur
+     *   True if the field lost the keyboard focus. A blur does not send a
+     *   name the server has already rejected, and cancels instead.
+     */
+    newFolderCommit: function (blur) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var newFolder  = thisScript.newFolder;
+
+      if (newFolder === null || newFolder.pending === true) {
+        return;
+      }
+
+      var name = $.trim(newFolder.$input.val());
+      if (name === '' || (blur === true && name === newFolder.rejected)) {
+        thisScript.newFolderCancel();
+        return;
+      }
+
+      newFolder.pending = true;
+      newFolder.$input.prop('readonly', true);
+
+      var configName = (name === newFolder.defaultName) ? '' : name;
+
+      thisScript.serverCommandJson(
+        newFolder.env,
+        thisScript.newFolderCommand,
+        null,
+        null,
+        null,
+        { 'name': configName })
+        .done(function (response) {
+          // Select the new folder, then replace the temporary row by
+          // refreshing the table.
+          thisScript.selectionClear(newFolder.env);
+          if (response.createdIds.length > 0) {
+            thisScript.selectionAdd(newFolder.env, {
+              "id":     String(response.createdIds[0]),
+              "kind":   'folder',
+              "name":   name,
+              "access": [],
+              "size":   0
+            }, false);
+          }
+
+          thisScript.tableRefresh(newFolder.env);
+        })
+        .fail(function (message) {
+          newFolder.pending  = false;
+          newFolder.rejected = name;
+          thisScript.nameFieldShowError(newFolder.$input, message, (blur === false));
+        });
+    },
+
+    /**
+     * Removes the inline new folder row.
+     */
+    newFolderCancel: function () {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var newFolder  = thisScript.newFolder;
+
+      if (newFolder === null) {
+        return;
+      }
+
+      thisScript.newFolder = null;
+
+      newFolder.$input.off();
+      newFolder.$tr.remove();
+      newFolder.$hidden.show();
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Preview pane.
+     *
+     * The preview pane shows the focus row's file beside the table without
+     * leaving the page. Images, text, CSV, and PDF files are loaded from
+     * the download route. Other items, including folders, show the row's
+     * column values. The pane is opened and closed by the Space key or a
+     * toolbar button, and follows the focus row as it moves.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Attaches the preview pane's toolbar button.
+     *
+     * If the pane is already open, such as after the table is refreshed,
+     * it is updated for the new table.
+     *
+     * @param env
+     *   The environment object.
+     */
+    previewAttach: function (env) {
+      var thisScript  = Drupal.foldershare.UIFolderTableMenu;
+      var utility     = Drupal.foldershare.utility;
+      var terminology = env.settings.foldershare.terminology;
+
+      var cls = 'foldershare-folder-table-preview-button';
+      $('.' + cls, env.gather.$subform).remove();
+
+      var $menuButton = $('.foldershare-folder-table-mainmenu-button', env.gather.$subform);
+      var $button = $('<button type="button"></button>')
+        .addClass(cls)
+        .text(utility.getTerm(terminology, 'preview'))
+        .attr('aria-pressed', (thisScript.preview !== null) ? 'true' : 'false');
+      $menuButton.after($button);
+      $button.button();
+
+      $button.on('click.foldershare', function () {
+        thisScript.previewToggle(env);
+        env.gather.$table[0].focus({ preventScroll: true });
+        return false;
+      });
+
+      if (thisScript.preview !== null) {
+        thisScript.preview.env = env;
+        thisScript.preview.entityId = null;
+        thisScript.previewUpdate(env);
+      }
+    },
+
+    /**
+     * Opens or closes the preview pane.
+     *
+     * @param env
+     *   The environment object.
+     */
+    previewToggle: function (env) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      if (thisScript.preview !== null) {
+        thisScript.previewClose();
+      }
+      else {
+        thisScript.previewOpen(env);
+      }
+    },
+
+    /**
+     * Opens the preview pane for the focus row.
+     *
+     * @param env
+     *   The environment object.
+     */
+    previewOpen: function (env) {
+      var thisScript  = Drupal.foldershare.UIFolderTableMenu;
+      var utility     = Drupal.foldershare.utility;
+      var terminology = env.settings.foldershare.terminology;
+
+      if (thisScript.preview !== null) {
+        return;
+      }
+
+      var $pane = $('<div role="complementary"></div>')
+        .addClass(thisScript.previewClass)
+        .append(
+          $('<div class="' + thisScript.previewClass + '-header"></div>').append(
+            $('<span class="' + thisScript.previewClass + '-title"></span>'),
+            $('<button type="button"></button>')
+              .addClass(thisScript.previewClass + '-close')
+              .attr('title', utility.getTerm(terminology, 'close'))
+              .text('×')),
+          $('<div class="' + thisScript.previewClass + '-content"></div>'),
+          $('<dl class="' + thisScript.previewClass + '-metadata"></dl>'));
+      $('body').append($pane);
+
+      $('.' + thisScript.previewClass + '-close', $pane).on('click', function () {
+        thisScript.previewClose();
+        env.gather.$table[0].focus({ preventScroll: true });
+      });
+
+      thisScript.preview = {
+        env:       env,
+        $pane:     $pane,
+        entityId:  null,
+        request:   null,
+        objectUrl: null
+      };
+
+      $('.foldershare-folder-table-preview-button', env.gather.$subform)
+        .attr('aria-pressed', 'true');
+
+      thisScript.previewUpdate(env);
+    },
+
+    /**
+     * Closes the preview pane.
+     */
+    previewClose: function () {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var preview    = thisScript.preview;
+
+      if (preview === null) {
+        return;
+      }
+
+      thisScript.previewClear();
+      thisScript.preview = null;
+
+      preview.$pane.remove();
+      $('.foldershare-folder-table-preview-button', preview.env.gather.$subform)
+        .attr('aria-pressed', 'false');
+    },
+
+    /**
+     * Cancels a pending file request and releases a loaded file.
+     */
+    previewClear: function () {
+      var preview = Drupal.foldershare.UIFolderTableMenu.preview;
+
+      if (preview.request !== null) {
+        preview.request.abort();
+        preview.request = null;
+      }
+
+      if (preview.objectUrl !== null) {
+        URL.revokeObjectURL(preview.objectUrl);
+        preview.objectUrl = null;
+      }
+    },
+
+    /**
+     * Updates the preview pane for the focus row.
+     *
+     * If there is no focus row, the first selected row on the table page
+     * is shown.
+     *
+     * @param env
+     *   The environment object.
+     */
+    previewUpdate: function (env) {
+      var thisScript  = Drupal.foldershare.UIFolderTableMenu;
+      var utility     = Drupal.foldershare.utility;
+      var terminology = env.settings.foldershare.terminology;
+      var preview     = thisScript.preview;
+      var $tbody      = env.gather.$tbody;
+
+      //
+      // Find row
+      // --------
+      var $tr = $('tr.foldershare-focus', $tbody);
+      if ($tr.length === 0) {
+        $tr = $('tr.selected', $tbody).eq(0);
+      }
+      var $a = $('td.' + env.gather.nameColumn + ' a', $tr).eq(0);
+
+      var entityId = ($a.length === 0) ? null : $a.attr('data-foldershare-id');
+      if (entityId === preview.entityId && entityId !== null) {
+        return;
+      }
+
+      thisScript.previewClear();
+      preview.entityId = entityId;
+
+      var $title    = $('.' + thisScript.previewClass + '-title', preview.$pane);
+      var $content  = $('.' + thisScript.previewClass + '-content', preview.$pane);
+      var $metadata = $('.' + thisScript.previewClass + '-metadata', preview.$pane);
+      $content.empty();
+      $metadata.empty();
+
+      if (entityId === null) {
+        $title.text('');
+        thisScript.previewShowMessage(env, 'preview_none', 'Select an item to preview it.');
+        return;
+      }
+
+      //
+      // Show metadata
+      // -------------
+      // List each column's header and value, except the name.
+      var name = $a.text();
+      var kind = $a.attr('data-foldershare-kind');
+      $title.text(name);
+
+      $metadata.append(
+        $('<dt></dt>').text(utility.getTerm(terminology, 'kind', true)),
+        $('<dd></dd>').text(utility.getKindSingular(terminology, kind)));
+
+      var $th = $('thead th', env.gather.$table);
+      $('td', $tr).each(function (index) {
+        if ($(this).hasClass(env.gather.nameColumn) === true) {
+          return true;
+        }
+
+        var label = $.trim($th.eq(index).text());
+        var value = $.trim($(this).text());
+        if (label !== '' && value !== '') {
+          $metadata.append(
+            $('<dt></dt>').text(label),
+            $('<dd></dd>').text(value));
+        }
+
+        return true;
+      });
+
+      //
+      // Show file
+      // ---------
+      // Folders and other items without a file show only metadata.
+      if (kind !== 'file' && kind !== 'image') {
+        return;
+      }
+
+      var type = thisScript.previewGetType(name);
+      if (type === null) {
+        thisScript.previewShowMessage(env, 'preview_not_supported', 'This file cannot be previewed.');
+        return;
+      }
+
+      if (thisScript.tableGetRowSize($tr) > thisScript.previewMaxSize) {
+        thisScript.previewShowMessage(env, 'preview_too_large', 'This file is too large to preview.');
+        return;
+      }
+
+      thisScript.previewShowMessage(env, 'preview_loading', 'Loading...');
+      thisScript.previewLoad(env, entityId, type);
+    },
+
+    /**
+     * Returns how a file is previewed, based upon its name extension.
+     *
+     * @param name
+     *   The file name.
+     *
+     * @return
+     *   Returns 'image', 'text', 'csv', or 'pdf', or null if the file
+     *   cannot be previewed.
+     */
+    previewGetType: function (name) {
+      var types = Drupal.foldershare.UIFolderTableMenu.previewTypes;
+
+      var dot = name.lastIndexOf('.');
+      if (dot === (-1)) {
+        return null;
+      }
+
+      var ext = name.substr(dot + 1).toLowerCase();
+      for (var type in types) {
+        if (types[type].includes(ext) === true) {
+          return type;
+        }
+      }
+
+      return null;
+    },
+
+    /**
+     * Loads a file from the download route and shows it.
+     *
+     * @param env
+     *   The environment object.
+     * @param entityId
+     *   The entity ID of the file.
+     * @param type
+     *   The type from previewGetType().
+     */
+    previewLoad: function (env, entityId, type) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var preview    = thisScript.preview;
+      var download   = env.settings.foldershare.download;
+
+      var request = new XMLHttpRequest();
+      request.open('GET', download.url.replace(download.placeholder, entityId));
+      request.responseType = 'blob';
+
+      request.onload = function () {
+        if (thisScript.preview !== preview || preview.request !== request) {
+          // The pane was closed or moved on to another row.
+          return;
+        }
+
+        preview.request = null;
+        if (request.status !== 200) {
+          thisScript.previewShowMessage(env, 'preview_failed', 'The file could not be loaded.');
+          return;
+        }
+
+        thisScript.previewShowFile(env, request.response, type);
+      };
+
+      request.onerror = function () {
+        if (thisScript.preview === preview && preview.request === request) {
+          preview.request = null;
+          thisScript.previewShowMessage(env, 'preview_failed', 'The file could not be loaded.');
+        }
+      };
+
+      preview.request = request;
+      request.send();
+    },
+
+    /**
+     * Shows a loaded file in the preview pane.
+     *
+     * @param env
+     *   The environment object.
+     * @param blob
+     *   The file's content.
+     * @param type
+     *   The type from previewGetType().
+     */
+    previewShowFile: function (env, blob, type) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var preview    = thisScript.preview;
+      var $content   = $('.' + thisScript.previewClass + '-content', preview.$pane);
+
+      switch (type) {
+        case 'image':
+          preview.objectUrl = URL.createObjectURL(blob);
+          $content.empty().append($('<img alt="">').attr('src', preview.objectUrl));
+          break;
+
+        case 'pdf':
+          // The download route sends the file as an attachment. Loading
+          // it into an object URL with a PDF type shows it instead.
+          preview.objectUrl = URL.createObjectURL(
+            new Blob([blob], { type: 'application/pdf' }));
+          $content.empty().append($('<iframe></iframe>').attr('src', preview.objectUrl));
+          break;
+
+        case 'text':
+        case 'csv':
+          var reader = new FileReader();
+          reader.onload = function () {
+            if (thisScript.preview !== preview) {
+              return;
+            }
+
+            var text = reader.result.substr(0, thisScript.previewMaxText);
+            if (type === 'text') {
+              $content.empty().append($('<pre></pre>').text(text));
+            }
+            else {
+              $content.empty().append(thisScript.previewBuildTable(text));
+            }
+          };
+          reader.readAsText(blob);
+          break;
+      }
+    },
+
+    /**
+     * Returns a table for CSV text.
+     *
+     * Fields may be separated by commas or tabs, and may be quoted with
+     * double quotes. A doubled double quote within a quoted field is a
+     * literal double quote.
+     *
+     * @param text
+     *   The CSV text.
+     *
+     * @return
+     *   Returns the jQuery table element.
+     */
+    previewBuildTable: function (text) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var firstLine  = text.split('\n', 1)[0];
+      var separator  = (firstLine.indexOf('\t') !== (-1) &&
+        firstLine.indexOf(',') === (-1)) ? '\t' : ',';
+
+      var $table = $('<table></table>');
+      var row = [];
+      var field = '';
+      var quoted = false;
+      var nRows = 0;
+
+      var endRow = function () {
+        row.push(field);
+        var $tr = $('<tr></tr>');
+        for (var i = 0; i < row.length; ++i) {
+          $tr.append($((nRows === 0) ? '<th></th>' : '<td></td>').text(row[i]));
+        }
+        $table.append($tr);
+        row = [];
+        field = '';
+        ++nRows;
+      };
+
+      for (var i = 0; i < text.length && nRows < thisScript.previewMaxRows; ++i) {
+        var c = text.charAt(i);
+        if (quoted === true) {
+          if (c === '"' && text.charAt(i + 1) === '"') {
+            field += '"';
+            ++i;
+          }
+          else if (c === '"') {
+            quoted = false;
+          }
+          else {
+            field += c;
+          }
+        }
+        else if (c === '"') {
+          quoted = true;
+        }
+        else if (c === separator) {
+          row.push(field);
+          field = '';
+        }
+        else if (c === '\n') {
+          endRow();
+        }
+        else if (c !== '\r') {
+          field += c;
+        }
+      }
+
+      if ((field !== '' || row.length > 0) && nRows < thisScript.previewMaxRows) {
+        endRow();
+      }
+
+      return $table;
+    },
+
+    /**
+     * Shows a message in the preview pane's content area.
+     *
+     * @param env
+     *   The environment object.
+     * @param term
+     *   The terminology key for the message.
+     * @param defaultText
+     *   The message to use if the key is not found.
+     */
+    previewShowMessage: function (env, term, defaultText) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var text = env.settings.foldershare.terminology.text[term];
+      if (typeof text === 'undefined') {
+        text = defaultText;
+      }
+
+      $('.' + thisScript.previewClass + '-content', thisScript.preview.$pane)
+        .empty()
+        .append($('<p class="' + thisScript.previewClass + '-message"></p>').text(text));
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * View mode.
+     *
+     * The table may be shown as a list, with one row per item, or as a
+     * grid of large icons and image thumbnails. The grid restyles the
+     * same table rows, so selection, menus, opening, and drag-and-drop
+     * work on them unchanged. Each folder's view is saved in the
+     * browser's local storage.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Attaches the view mode's toolbar button and restores the saved view.
+     *
+     * @param env
+     *   The environment object.
+     */
+    viewAttach: function (env) {
+      var thisScript  = Drupal.foldershare.UIFolderTableMenu;
+      var utility     = Drupal.foldershare.utility;
+      var terminology = env.settings.foldershare.terminology;
+
+      var cls = 'foldershare-folder-table-view-button';
+      $('.' + cls, env.gather.$subform).remove();
+
+      // A virtual list relies on rows of the same height, so it is always
+      // shown as a list.
+      if (thisScript.virtual !== null) {
+        thisScript.viewSet(env, 'list');
+        return;
+      }
+
+      var $button = $('<button type="button"></button>')
+        .addClass(cls)
+        .text(utility.getTerm(terminology, 'grid'));
+      $('.foldershare-folder-table-preview-button', env.gather.$subform).after($button);
+      $button.button();
+
+      $button.on('click.foldershare', function () {
+        var mode = (thisScript.viewIsGrid(env) === true) ? 'list' : 'grid';
+        thisScript.viewSet(env, mode);
+        thisScript.viewSave(env, mode);
+        env.gather.$table[0].focus({ preventScroll: true });
+        return false;
+      });
+
+      thisScript.viewSet(env, thisScript.viewLoad(env));
+    },
+
+    /**
+     * Shows the table as a list or a grid.
+     *
+     * In grid view, image files get a thumbnail from the image style
+     * derivative URL the server adds to each name. Items without one keep
+     * their icon.
+     *
+     * @param env
+     *   The environment object.
+     * @param mode
+     *   The view mode, either 'list' or 'grid'.
+     */
+    viewSet: function (env, mode) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var grid       = (mode === 'grid');
+
+      env.gather.$table.toggleClass(thisScript.viewGridClass, grid);
+      $('.foldershare-folder-table-view-button', env.gather.$subform)
+        .attr('aria-pressed', (grid === true) ? 'true' : 'false');
+
+      $('.foldershare-grid-thumbnail', env.gather.$tbody).remove();
+      if (grid === false) {
+        return;
+      }
+
+      $('tr td.' + env.gather.nameColumn + ' a', env.gather.$tbody).each(
+        function () {
+          var $a = $(this);
+          var url = $a.attr('data-foldershare-thumbnail');
+          if (typeof url === 'undefined' || url === '') {
+            return true;
+          }
+
+          $a.before(
+            $('<img class="foldershare-grid-thumbnail" alt="" draggable="false" loading="lazy">')
+              .attr('src', url));
+          return true;
+        });
+    },
+
+    /**
+     * Returns true if the table is shown as a grid.
+     *
+     * @param env
+     *   The environment object.
+     *
+     * @return
+     *   Returns true for grid view, and false for list view.
+     */
+    viewIsGrid: function (env) {
+      return env.gather.$table.hasClass(
+        Drupal.foldershare.UIFolderTableMenu.viewGridClass);
+    },
+
+    /**
+     * Returns the number of items on each line of the table.
+     *
+     * In list view, this is always one. In grid view, it is the number of
+     * items sharing the first line of the grid.
+     *
+     * @param env
+     *   The environment object.
+     *
+     * @return
+     *   Returns the number of items per line.
+     */
+    viewGetColumnCount: function (env) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      if (thisScript.viewIsGrid(env) === false) {
+        return 1;
+      }
+
+      var $rows = thisScript.tableGetRows(env);
+      if ($rows.length === 0) {
+        return 1;
+      }
+
+      var top = $rows[0].offsetTop;
+      var n = 0;
+      $rows.each(function () {
+        if (this.offsetTop !== top) {
+          return false;
+        }
+
+        ++n;
+        return true;
+      });
+
+      return n;
+    },
+
+    /**
+     * Returns the saved view mode for the page's folder.
+     *
+     * @param env
+     *   The environment object.
+     *
+     * @return
+     *   Returns 'list' or 'grid'.
+     */
+    viewLoad: function (env) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      try {
+        var mode = window.localStorage.getItem(
+          thisScript.viewStorageKey + env.settings.foldershare.page.id);
+        if (mode === 'grid') {
+          return 'grid';
+        }
+      }
+      catch (er) {
+        // Local storage is not available.
+      }
+
+      return 'list';
+    },
+
+    /**
+     * Saves the view mode for the page's folder.
+     *
+     * List view is the default, so it is saved by removing the entry.
+     *
+     * @param env
+     *   The environment object.
+     * @param mode
+     *   The view mode, either 'list' or 'grid'.
+     */
+    viewSave: function (env, mode) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var key = thisScript.viewStorageKey + env.settings.foldershare.page.id;
+
+      try {
+        if (mode === 'grid') {
+          window.localStorage.setItem(key, 'grid');
+        }
+        else {
+          window.localStorage.removeItem(key);
+        }
+      }
+      catch (er) {
+        // Local storage is not available. The view lasts until the page
+        // is reloaded.
+      }
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Sort and filter.
+     *
+     * Column header clicks sort the rows on the table page, and a quick
+     * filter field hides rows that don't match. Both work in the browser
+     * without a Views round trip to the server. Hidden rows are dropped
+     * from the selection, and row indexes follow the rows shown.
+     *
+     * A paged table only has some of the folder's rows, so sorting them
+     * in the browser would be misleading. Its headers keep the server's
+     * sort links instead.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Attaches client-side sorting to the table's column headers.
+     *
+     * Headers for the columns in sortColumns sort the table page instead
+     * of following the server's sort link. A "kind" link is added to the
+     * name column's header. Other headers are left alone.
+     *
+     * If the table is paged, all headers are left to the server.
+     *
+     * @param env
+     *   The environment object.
+     */
+    sortAttach: function (env) {
+      var thisScript  = Drupal.foldershare.UIFolderTableMenu;
+      var utility     = Drupal.foldershare.utility;
+      var terminology = env.settings.foldershare.terminology;
+
+      if (thisScript.sortIsClientSide(env) === false) {
+        $('thead th', env.gather.$table)
+          .off('click.foldershare')
+          .removeAttr('data-foldershare-sort');
+        $('.foldershare-sort-kind', env.gather.$table).remove();
+        return;
+      }
+
+      $('thead th', env.gather.$table).each(function () {
+        var $th = $(this);
+        for (var cls in thisScript.sortColumns) {
+          if ($th.hasClass(cls) === true) {
+            var key = thisScript.sortColumns[cls];
+            $th.attr('data-foldershare-sort', key);
+            $th.off('click.foldershare').on('click.foldershare', function (ev) {
+              thisScript.sortBy(env, $(this).attr('data-foldershare-sort'));
+              return false;
+            });
+            break;
+          }
+        }
+      });
+
+      var $nameTh = $('thead th.' + env.gather.nameColumn, env.gather.$table);
+      if ($nameTh.length !== 0 &&
+          $('.foldershare-sort-kind', $nameTh).length === 0) {
+        $nameTh.append(
+          ' ',
+          $('<a href="#" class="foldershare-sort-kind"></a>')
+            .text('(' + utility.getTerm(terminology, 'kind', false) + ')')
+            .on('click.foldershare', function () {
+              thisScript.sortBy(env, 'kind');
+              return false;
+            }));
+      }
+
+      if (thisScript.sort !== null &&
+          thisScript.sort.pageId === env.settings.foldershare.page.id) {
+        if (thisScript.virtual !== null) {
+          thisScript.sortMarkHeader(env);
+        }
+        else {
+          thisScript.sortApply(env);
+        }
+      }
+    },
+
+    /**
+     * Returns true if the table's rows are sorted in the browser.
+     *
+     * A virtual list has all of the folder's rows, sorted by the server
+     * for the browser. An unpaged table has all of them on the page.
+     *
+     * @param env
+     *   The environment object.
+     *
+     * @return
+     *   Returns true if the table is virtual or unpaged, and false if it
+     *   is paged by the server.
+     */
+    sortIsClientSide: function (env) {
+      if (Drupal.foldershare.UIFolderTableMenu.virtual !== null) {
+        return true;
+      }
+
+      return ($('.pager', env.$topElement).length === 0);
+    },
+
+    /**
+     * Sorts the table page by a key.
+     *
+     * Sorting again by the same key reverses the order.
+     *
+     * @param env
+     *   The environment object.
+     * @param key
+     *   The sort key: 'name', 'changed', 'size', or 'kind'.
+     */
+    sortBy: function (env, key) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var pageId     = env.settings.foldershare.page.id;
+      var sort       = thisScript.sort;
+
+      if (sort !== null && sort.pageId === pageId && sort.key === key) {
+        sort.descending = !sort.descending;
+      }
+      else {
+        thisScript.sort = {
+          pageId:     pageId,
+          key:        key,
+          descending: false
+        };
+      }
+
+      // A virtual list is sorted by the server.
+      if (thisScript.virtual !== null) {
+        thisScript.sortMarkHeader(env);
+        thisScript.virtualReset(env);
+        return;
+      }
+
+      thisScript.sortApply(env);
+    },
+
+    /**
+     * Reorders the table page's rows by the current sort.
+     *
+     * Rows without a name column, such as an "empty" message, are left
+     * where they are. Rows that sort the same are ordered by name.
+     *
+     * @param env
+     *   The environment object.
+     */
+    sortApply: function (env) {
+      var thisScript  = Drupal.foldershare.UIFolderTableMenu;
+      var utility     = Drupal.foldershare.utility;
+      var terminology = env.settings.foldershare.terminology;
+      var sort        = thisScript.sort;
+      var nameColumn  = env.gather.nameColumn;
+
+      //
+      // Get sort values
+      // ---------------
+      var rows = [];
+      $('tr', env.gather.$tbody).each(function () {
+        var $a = $('td.' + nameColumn + ' a', this).eq(0);
+        if ($a.length === 0) {
+          return true;
+        }
+
+        var value = null;
+        switch (sort.key) {
+          case 'changed':
+            value = Number($a.attr('data-foldershare-changed'));
+            break;
+
+          case 'size':
+            value = thisScript.tableGetRowSize($(this));
+            break;
+
+          case 'kind':
+            value = utility.getKindSingular(terminology, $a.attr('data-foldershare-kind'));
+            break;
+        }
+
+        rows.push({
+          tr:    this,
+          name:  $a.text(),
+          value: value
+        });
+        return true;
+      });
+
+      //
+      // Sort rows
+      // ---------
+      var compareText = function (a, b) {
+        return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+      };
+
+      rows.sort(function (a, b) {
+        var result = 0;
+        if (typeof a.value === 'string') {
+          result = compareText(a.value, b.value);
+        }
+        else if (a.value !== null) {
+          result = (a.value || 0) - (b.value || 0);
+        }
+
+        if (result === 0) {
+          result = compareText(a.name, b.name);
+        }
+
+        return (sort.descending === true) ? -result : result;
+      });
+
+      for (var i = 0; i < rows.length; ++i) {
+        env.gather.$tbody.append(rows[i].tr);
+      }
+
+      thisScript.sortMarkHeader(env);
+      thisScript.tableReindex(env);
+    },
+
+    /**
+     * Marks the column header for the current sort.
+     *
+     * @param env
+     *   The environment object.
+     */
+    sortMarkHeader: function (env) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var sort       = thisScript.sort;
+      var nameColumn = env.gather.nameColumn;
+
+      // The server's sort marker no longer describes the row order, so
+      // mark the client-side sort column instead.
+      env.gather.$table.addClass('foldershare-client-sorted');
+      $('thead th', env.gather.$table)
+        .removeClass('foldershare-sort-asc foldershare-sort-desc')
+        .removeAttr('aria-sort');
+
+      var $th = $('thead th[data-foldershare-sort="' + sort.key + '"]', env.gather.$table);
+      if (sort.key === 'kind') {
+        $th = $('thead th.' + nameColumn, env.gather.$table);
+      }
+
+      $th.addClass((sort.descending === true) ?
+          'foldershare-sort-desc' : 'foldershare-sort-asc')
+        .attr('aria-sort', (sort.descending === true) ? 'descending' : 'ascending');
+    },
+
+    /**
+     * Attaches the quick filter field to the toolbar.
+     *
+     * A filter typed earlier for the same page is restored and applied.
+     *
+     * @param env
+     *   The environment object.
+     */
+    filterAttach: function (env) {
+      var thisScript  = Drupal.foldershare.UIFolderTableMenu;
+      var utility     = Drupal.foldershare.utility;
+      var terminology = env.settings.foldershare.terminology;
+      var pageId      = env.settings.foldershare.page.id;
+
+      var cls = 'foldershare-folder-table-filter';
+      $('.' + cls, env.gather.$subform).remove();
+
+      var $input = $('<input type="search" autocomplete="off">')
+        .addClass(cls)
+        .attr('placeholder', utility.getTerm(terminology, 'filter'))
+        .attr('aria-label', utility.getTerm(terminology, 'filter'));
+
+      var $after = $('.foldershare-folder-table-view-button', env.gather.$subform);
+      if ($after.length === 0) {
+        $after = $('.foldershare-folder-table-mainmenu-button', env.gather.$subform);
+      }
+      $after.after($input);
+
+      $input.on('input.foldershare', function () {
+        thisScript.filter = {
+          pageId: pageId,
+          text:   $(this).val()
+        };
+        thisScript.filterApply(env);
+      });
+
+      $input.on('keydown.foldershare', function (ev) {
+        switch (ev.key) {
+          case 'Enter':
+            // Don't submit the command form.
+            return false;
+
+          case 'Escape':
+            $(this).val('').trigger('input');
+            return false;
+        }
+
+        return true;
+      });
+
+      if (thisScript.filter !== null && thisScript.filter.pageId === pageId) {
+        $input.val(thisScript.filter.text);
+        thisScript.filterApply(env);
+      }
+    },
+
+    /**
+     * Returns true if the quick filter is hiding rows on the page.
+     *
+     * @param env
+     *   The environment object.
+     *
+     * @return
+     *   Returns true if the filter has text for the current page.
+     */
+    filterIsActive: function (env) {
+      var filter = Drupal.foldershare.UIFolderTableMenu.filter;
+      return (filter !== null &&
+        filter.pageId === env.settings.foldershare.page.id &&
+        $.trim(filter.text) !== '');
+    },
+
+    /**
+     * Hides rows whose name or kind doesn't match the quick filter.
+     *
+     * Hidden rows are removed from the selection.
+     *
+     * @param env
+     *   The environment object.
+     */
+    filterApply: function (env) {
+      var thisScript  = Drupal.foldershare.UIFolderTableMenu;
+      var utility     = Drupal.foldershare.utility;
+      var terminology = env.settings.foldershare.terminology;
+
+      var text = '';
+      if (thisScript.filterIsActive(env) === true) {
+        text = $.trim(thisScript.filter.text).toLowerCase();
+      }
+
+      // A virtual list is filtered by the server. Rows are not hidden, but
+      // fetched again, so the selection is cleared.
+      if (thisScript.virtual !== null) {
+        if (thisScript.virtual.filter !== text) {
+          thisScript.tableSelectNone(env);
+          thisScript.virtualReset(env);
+        }
+        return;
+      }
+
+      $('tr', env.gather.$tbody).each(function () {
+        var $a = $('td.' + env.gather.nameColumn + ' a', this).eq(0);
+        if ($a.length === 0) {
+          return true;
+        }
+
+        var kind = $a.attr('data-foldershare-kind') || '';
+        var match = (text === '' ||
+          $a.text().toLowerCase().indexOf(text) !== (-1) ||
+          kind.indexOf(text) !== (-1) ||
+          utility.getKindSingular(terminology, kind).toLowerCase().indexOf(text) !== (-1));
+
+        $(this).toggleClass(thisScript.tableFilteredClass, match === false);
+        if (match === false) {
+          $(this).removeClass('foldershare-focus');
+          thisScript.selectionSetRow(env, $(this), false);
+        }
+
+        return true;
+      });
+
+      thisScript.tableReindex(env);
+      thisScript.selectionChanged(env);
+    },
+
+    /**
+     * Updates the table's row indexes after rows are sorted or filtered.
+     *
+     * The focus row, anchor, and selection range are stored as row indexes,
+     * which change when rows move or are hidden. The focus row keeps its
+     * row, if it is still shown. The selection range becomes the span of
+     * the selected rows.
+     *
+     * @param env
+     *   The environment object.
+     */
+    tableReindex: function (env) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var $table     = env.gather.$table;
+      var $rows      = thisScript.tableGetRows(env);
+
+      var focus = $rows.index($rows.filter('.foldershare-focus')) + 1;
+      $table.attr(thisScript.tableFocusRowIndex, (focus > 0) ? focus : 'NaN');
+      $table.attr(thisScript.tableAnchorRowIndex, (focus > 0) ? focus : 'NaN');
+
+      var $selected = $rows.filter(function () {
+        return thisScript.selectionHasRow(env, $(this));
+      });
+      if ($selected.length === 0) {
+        thisScript.selectionSetRange(env, NaN, NaN);
+      }
+      else {
+        thisScript.selectionSetRange(
+          env,
+          $rows.index($selected.first()) + 1,
+          $rows.index($selected.last()) + 1);
+      }
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Virtual list.
+     *
+     * These functions show a very large folder as a single scrolling list
+     * instead of table pages. Items are fetched from the server as JSON,
+     * a window at a time, and rows are added to the table only for items
+     * near those shown. Spacer rows above and below the added rows give
+     * the table the height of the full list.
+     *
+     * Row indexes count every item in the list, whether or not it has a
+     * row in the table. The selection model is the only full record of
+     * the selection, and rows are marked from it as they are added.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Attaches a virtual list to the table if the folder is very large.
+     *
+     * The table's rows from Views are replaced by rows built from fetched
+     * items, and the pager is hidden. The current sort and quick filter
+     * for the page are kept.
+     *
+     * @param env
+     *   The environment object.
+     */
+    virtualAttach: function (env) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var settings   = env.settings.foldershare;
+      var $table     = env.gather.$table;
+      var $tbody     = env.gather.$tbody;
+
+      $(window).off('.foldersharevirtual');
+      thisScript.virtual = null;
+
+      if (typeof settings.list === 'undefined' ||
+          Number(settings.page.count) < thisScript.virtualThreshold) {
+        return;
+      }
+
+      //
+      // Get columns
+      // -----------
+      // Built rows have the same columns, with the same classes, as the
+      // rows built by Views.
+      var columns = [];
+      $('thead th', $table).each(function () {
+        var classes = ($(this).attr('class') || '').split(/\s+/).filter(
+          function (cls) {
+            return cls.indexOf('views-field') === 0;
+          });
+        columns.push(classes.join(' '));
+      });
+
+      var rowHeight = $('tr', $tbody).first().outerHeight();
+      if (typeof rowHeight === 'undefined' || rowHeight <= 0) {
+        rowHeight = thisScript.virtualRowHeight;
+      }
+
+      //
+      // Create list
+      // -----------
+      // Replace the rows with spacers and fetch the rows shown.
+      var $top = $('<tr class="foldershare-virtual-spacer" aria-hidden="true">')
+        .append($('<td>').attr('colspan', columns.length));
+      var $bottom = $top.clone();
+
+      thisScript.virtual = {
+        env:        env,
+        pageId:     settings.page.id,
+        url:        settings.list.url,
+        total:      Number(settings.page.count),
+        items:      [],
+        requests:   {},
+        generation: 0,
+        selectId:   0,
+        order:      'name',
+        descending: false,
+        filter:     '',
+        columns:    columns,
+        rowHeight:  rowHeight,
+        measured:   false,
+        start:      0,
+        end:        0,
+        $top:       $top,
+        $bottom:    $bottom
+      };
+      thisScript.virtualSetQuery(env);
+
+      $table.addClass('foldershare-virtual');
+      $('.pager', env.$topElement).addClass('hidden');
+      $tbody.empty().append($top, $bottom);
+
+      $(window).on('scroll.foldersharevirtual resize.foldersharevirtual', function () {
+        thisScript.virtualRender(env, false);
+      });
+
+      thisScript.virtualRender(env, true);
+    },
+
+    /**
+     * Copies the current sort and quick filter into the virtual list.
+     *
+     * @param env
+     *   The environment object.
+     */
+    virtualSetQuery: function (env) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var virtual    = thisScript.virtual;
+      var sort       = thisScript.sort;
+
+      if (sort !== null && sort.pageId === virtual.pageId) {
+        virtual.order = sort.key;
+        virtual.descending = sort.descending;
+      }
+      else {
+        virtual.order = 'name';
+        virtual.descending = false;
+      }
+
+      virtual.filter = '';
+      if (thisScript.filterIsActive(env) === true) {
+        virtual.filter = $.trim(thisScript.filter.text).toLowerCase();
+      }
+    },
+
+    /**
+     * Discards fetched items and fetches them again.
+     *
+     * This is used after the sort or quick filter changes. The focus row,
+     * anchor, and selection range no longer describe the same rows, so
+     * they are cleared. The selection model is kept.
+     *
+     * @param env
+     *   The environment object.
+     */
+    virtualReset: function (env) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var virtual    = thisScript.virtual;
+      var $table     = env.gather.$table;
+
+      thisScript.virtualSetQuery(env);
+      virtual.items = [];
+      virtual.requests = {};
+      ++virtual.generation;
+
+      $table.attr(thisScript.tableFocusRowIndex, 'NaN');
+      $table.attr(thisScript.tableAnchorRowIndex, 'NaN');
+      thisScript.selectionSetRange(env, NaN, NaN);
+
+      // Return to the start of the list.
+      if ($table[0].getBoundingClientRect().top < 0) {
+        $table[0].scrollIntoView();
+      }
+
+      thisScript.virtualRender(env, true);
+    },
+
+    /**
+     * Fetches a window of items from the server.
+     *
+     * Each window is fetched once. A response for an earlier sort or
+     * filter is ignored.
+     *
+     * @param env
+     *   The environment object.
+     * @param windowIndex
+     *   The window index (0 for the 1st window).
+     *
+     * @return
+     *   Returns a promise that is resolved when the items are saved.
+     */
+    virtualFetch: function (env, windowIndex) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var virtual    = thisScript.virtual;
+      var generation = virtual.generation;
+      var offset     = windowIndex * thisScript.virtualWindow;
+
+      if (windowIndex in virtual.requests) {
+        return virtual.requests[windowIndex];
+      }
+
+      var request = $.getJSON(virtual.url, {
+        offset: offset,
+        limit:  thisScript.virtualWindow,
+        order:  virtual.order,
+        sort:   (virtual.descending === true) ? 'desc' : 'asc',
+        filter: virtual.filter
+      });
+
+      virtual.requests[windowIndex] = request.then(function (data) {
+        if (thisScript.virtual !== virtual || virtual.generation !== generation) {
+          return;
+        }
+
+        for (var i = 0; i < data.items.length; ++i) {
+          virtual.items[offset + i] = data.items[i];
+        }
+
+        // The folder may have changed, or a filter may match fewer items.
+        if (virtual.total !== Number(data.total)) {
+          virtual.total = Number(data.total);
+          thisScript.statusBarUpdate(env);
+        }
+      });
+
+      request.fail(function () {
+        // Allow the window to be fetched again.
+        if (thisScript.virtual === virtual && virtual.generation === generation) {
+          delete virtual.requests[windowIndex];
+        }
+      });
+
+      return virtual.requests[windowIndex];
+    },
+
+    /**
+     * Adds rows to the table for the items shown in the window.
+     *
+     * Items that have not been fetched get placeholder rows, and are
+     * fetched. Rows are not replaced during a row drag or an inline edit,
+     * which would lose the row being dragged or edited.
+     *
+     * @param env
+     *   The environment object.
+     * @param force
+     *   When true, rows are replaced even if the same items are shown.
+     */
+    virtualRender: function (env, force) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var virtual    = thisScript.virtual;
+      var $tbody     = env.gather.$tbody;
+
+      if (virtual === null ||
+          env.gather.$table.attr(thisScript.tableDragOperand) === 'rows' ||
+          thisScript.rightDrag !== null ||
+          thisScript.rename !== null ||
+          thisScript.newFolder !== null) {
+        return;
+      }
+
+      //
+      // Find range
+      // ----------
+      // Find the items between the top and bottom of the window, plus a
+      // few more on each side.
+      var rowHeight = virtual.rowHeight;
+      var top       = $tbody[0].getBoundingClientRect().top;
+      var start     = Math.floor(-top / rowHeight) - thisScript.virtualOverscan;
+      var end       = Math.ceil((window.innerHeight - top) / rowHeight) +
+        thisScript.virtualOverscan;
+
+      start = Math.min(Math.max(0, start), virtual.total);
+      end   = Math.min(Math.max(start, end), virtual.total);
+
+      if (force === false && start === virtual.start && end === virtual.end) {
+        return;
+      }
+
+      //
+      // Fetch items
+      // -----------
+      // Fetch windows with items not yet fetched, then render again.
+      var generation = virtual.generation;
+      var onFetch = function () {
+        if (thisScript.virtual === virtual && virtual.generation === generation) {
+          thisScript.virtualRender(env, true);
+        }
+      };
+
+      var windowSize = thisScript.virtualWindow;
+      for (var w = Math.floor(start / windowSize); w * windowSize < end; ++w) {
+        if (w in virtual.requests === false) {
+          thisScript.virtualFetch(env, w).done(onFetch);
+        }
+      }
+
+      // The first fetch also needs the number of items, which may have
+      // changed since the page was built.
+      if (end === 0 && 0 in virtual.requests === false) {
+        thisScript.virtualFetch(env, 0).done(onFetch);
+      }
+
+      //
+      // Replace rows
+      // ------------
+      // Build rows for the range and size the spacers for the rest.
+      var rows = [];
+      for (var i = start; i < end; ++i) {
+        rows.push(thisScript.virtualBuildRow(env, i)[0]);
+      }
+
+      $('tr', $tbody).not(virtual.$top).not(virtual.$bottom).remove();
+      virtual.$top.after(rows);
+      $('td', virtual.$top).css('height', (start * rowHeight) + 'px');
+      $('td', virtual.$bottom).css('height', ((virtual.total - end) * rowHeight) + 'px');
+      virtual.start = start;
+      virtual.end = end;
+
+      var $rows = $(rows).not('.foldershare-virtual-loading');
+      thisScript.tableMarkDraggable(env, $rows);
+
+      // The row height from Views may differ a little from that of built
+      // rows. Measure a built row once and use it from then on.
+      if (virtual.measured === false && $rows.length !== 0) {
+        virtual.measured = true;
+        var height = $rows.first().outerHeight();
+        if (height > 0 && height !== rowHeight) {
+          virtual.rowHeight = height;
+          thisScript.virtualRender(env, true);
+        }
+      }
+    },
+
+    /**
+     * Returns a new table row for an item in the virtual list.
+     *
+     * @param env
+     *   The environment object.
+     * @param index
+     *   The item's index (0 for the 1st item).
+     *
+     * @return
+     *   Returns the row. If the item has not been fetched, the row is a
+     *   placeholder.
+     */
+    virtualBuildRow: function (env, index) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var utility    = Drupal.foldershare.utility;
+      var virtual    = thisScript.virtual;
+      var item       = virtual.items[index];
+      var focus      = Number(env.gather.$table.attr(thisScript.tableFocusRowIndex));
+
+      var $tr = $('<tr>').attr('data-foldershare-virtual-index', index + 1);
+      if (typeof item === 'undefined') {
+        $tr.addClass('foldershare-virtual-loading');
+      }
+      else {
+        $tr.toggleClass('selected', item.id in thisScript.selectionGetModel(env).items);
+        $tr.toggleClass('foldershare-focus', focus === index + 1);
+      }
+
+      for (var i = 0; i < virtual.columns.length; ++i) {
+        var cls = virtual.columns[i];
+        var $td = $('<td>').addClass(cls);
+        $tr.append($td);
+
+        if (typeof item === 'undefined') {
+          continue;
+        }
+
+        if ($td.hasClass(env.gather.nameColumn) === true) {
+          $td.append($('<a>')
+            .attr('href', item.url)
+            .attr('data-foldershare-id', item.id)
+            .attr('data-foldershare-kind', item.kind)
+            .attr('data-foldershare-access', item.access.join(','))
+            .attr('data-foldershare-changed', item.changed)
+            .addClass(item.classes.join(' '))
+            .text(item.name));
+        }
+        else if ($td.hasClass('views-field-changed') === true) {
+          $td.text(item.changedText);
+        }
+        else if ($td.hasClass('views-field-uid') === true) {
+          $td.text(item.owner);
+        }
+        else if ($td.hasClass('views-field-size') === true && item.size >= 0) {
+          $td.append($('<span>')
+            .attr('data-foldershare-size', item.size)
+            .text(utility.formatSize(item.size)));
+        }
       }
+
+      return $tr;
     },
 
     /**
-     * Handles a touch selection event on a table row.
+     * Handles a mouse click or touch selection event on a virtual list row.
      *
-     * Touch selection toggles the selected item on/off. It ignores keyboard
-     * modifiers and therefore does not support range selection.
+     * This works like a click or touch on a table page's row, but row
+     * ranges may include items that are not in the table.
      *
      * @param ev
      *   The row event to handle.
      * @param env
      *   The environment object.
+     * @param touch
+     *   True for a touch, which toggles the row's selection.
      */
-    tableTouchSelect: function (ev, env) {
-      var $tr    = $(this);
-      var $table = env.gather.$table;
-      var $tbody = env.gather.$tbody;
+    virtualClickSelect: function (ev, env, touch) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var $tr        = $(this);
+      var $table     = env.gather.$table;
+      var rowIndex   = Number($tr.attr('data-foldershare-virtual-index'));
 
-      // If the touched row does not have a name column, then ignore.
-      // This can happen for an empty table with a generic empty message
-      // and no name column.
-      var $tdName = $('td.' + env.gather.nameColumn, $tr);
-      if ($tdName.length === 0) {
+      if (isNaN(rowIndex) === true ||
+          $tr.hasClass('foldershare-virtual-loading') === true) {
         return;
       }
 
-      // For out of range row indexes (<1), clear the selection.
-      // Otherwise toggle the row selection.
-      if (this.rowIndex <= 0) {
-        // Header/footer click. Clear the selection.
-        $('tr', $tbody).each( function() {
-          $(this).toggleClass('selected', false);
-        });
-        $table.attr('selectionFirstRowIndex', '');
-        $table.attr('selectionLastRowIndex', '');
+      thisScript.renameCancelClick();
+      var slowClick = (touch === false &&
+        thisScript.selectionGetModel(env).count === 1 &&
+        thisScript.selectionHasRow(env, $tr) === true &&
+        $(ev.target).closest('a, input').length === 0);
+
+      var isMac = (navigator.appVersion.indexOf("Mac") != -1);
+
+      if (touch === true ||
+          (isMac === true && ev.metaKey === true) ||
+          (isMac === false && ev.ctrlKey === true)) {
+        // Touch or control/command-click toggles the row.
+        thisScript.selectionSetRow(env, $tr, !thisScript.selectionHasRow(env, $tr));
+        thisScript.selectionSetRange(env, rowIndex, rowIndex);
+        thisScript.selectionChanged(env);
+        thisScript.tableSetFocusRow(env, rowIndex, true);
+      }
+      else if (ev.shiftKey === true) {
+        // Shift-click selects from the anchor through the row.
+        var anchor = Number($table.attr(thisScript.tableAnchorRowIndex));
+        if (isNaN(anchor) === true) {
+          anchor = rowIndex;
+        }
+        thisScript.tableSelectRange(env, anchor, rowIndex);
+        thisScript.tableSetFocusRow(env, rowIndex, false);
       }
       else {
-        var newState = !$tr.hasClass('selected');
-        $tr.toggleClass('selected', newState);
-        if (newState === false) {
-          $table.attr('selectionFirstRowIndex', '');
-          $table.attr('selectionLastRowIndex', '');
+        // Click selects just the row.
+        thisScript.tableSelectRange(env, rowIndex, rowIndex);
+        thisScript.tableSetFocusRow(env, rowIndex, true);
+        if (slowClick === true) {
+          thisScript.renameStartClick(env, $tr);
         }
-        else {
-          $table.attr('selectionFirstRowIndex', this.rowIndex);
-          $table.attr('selectionLastRowIndex', this.rowIndex);
+      }
+
+      if (touch === false) {
+        $table[0].focus({ preventScroll: true });
+        window.getSelection().removeAllRanges();
+      }
+    },
+
+    /**
+     * Selects a contiguous range of items in the virtual list.
+     *
+     * The range replaces the selection. Items in the range that have not
+     * been fetched are fetched first, one window at a time, so a large
+     * range may be selected a moment later. Selecting another range
+     * before then stops the fetches for this one.
+     *
+     * @param env
+     *   The environment object.
+     * @param first
+     *   The row index (1 for the 1st row) of the first item.
+     * @param last
+     *   The row index (1 for the 1st row) of the last item.
+     */
+    virtualSelectRange: function (env, first, last) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var virtual    = thisScript.virtual;
+      var generation = virtual.generation;
+      var selectId   = ++virtual.selectId;
+
+      last = Math.min(last, virtual.total);
+
+      var isCurrent = function () {
+        return (thisScript.virtual === virtual &&
+          virtual.generation === generation &&
+          virtual.selectId === selectId);
+      };
+
+      var select = function () {
+        if (isCurrent() === false) {
+          return;
+        }
+
+        // The whole list is in the table, so every item is "here".
+        thisScript.selectionClear(env);
+        for (var i = first; i <= last; ++i) {
+          var item = virtual.items[i - 1];
+          if (typeof item !== 'undefined') {
+            thisScript.selectionAdd(env, {
+              "id":     String(item.id),
+              "kind":   item.kind,
+              "name":   item.name,
+              "access": item.access,
+              "size":   item.size
+            }, true);
+          }
+        }
+
+        thisScript.selectionSetRange(env, first, last);
+
+        $('tr', env.gather.$tbody).each(function () {
+          $(this).toggleClass('selected', thisScript.selectionHasRow(env, $(this)));
+        });
+
+        thisScript.selectionChanged(env);
+      };
+
+      //
+      // Fetch items
+      // -----------
+      // Fetch the range's windows in turn, then select. Windows already
+      // fetched are done at once, so a range of fetched items is selected
+      // right away. Fetching in turn keeps a large range, such as all
+      // items, from sending every request at once.
+      var windowSize = thisScript.virtualWindow;
+      var w = Math.floor((first - 1) / windowSize);
+
+      var fetchNext = function () {
+        if (isCurrent() === false) {
+          return;
+        }
+
+        if (w * windowSize >= last) {
+          select();
+          return;
         }
+
+        thisScript.virtualFetch(env, w++).done(fetchNext);
+      };
+
+      fetchNext();
+    },
+
+    /**
+     * Moves the keyboard focus row in the virtual list.
+     *
+     * The window is scrolled to show the row, then rows are added for it.
+     *
+     * @param env
+     *   The environment object.
+     * @param rowIndex
+     *   The row index (1 for the 1st row) of the new focus row.
+     * @param setAnchor
+     *   When true, the selection anchor is moved to the focus row too.
+     */
+    virtualSetFocusRow: function (env, rowIndex, setAnchor) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var virtual    = thisScript.virtual;
+      var $table     = env.gather.$table;
+      var $tbody     = env.gather.$tbody;
+
+      $('tr.foldershare-focus', $tbody).removeClass('foldershare-focus');
+
+      if (rowIndex < 1 || rowIndex > virtual.total) {
+        $table.attr(thisScript.tableFocusRowIndex, 'NaN');
+        return;
       }
 
-      // Some browsers will also send mouse events after a touch event.
-      // Such a "ghost click" is not useful here, so disable it.
-      ev.preventDefault();
+      $table.attr(thisScript.tableFocusRowIndex, rowIndex);
+      if (setAnchor === true) {
+        $table.attr(thisScript.tableAnchorRowIndex, rowIndex);
+      }
+
+      // Scroll only if the row is outside of the window.
+      var rowTop = $tbody[0].getBoundingClientRect().top +
+        (rowIndex - 1) * virtual.rowHeight;
+      if (rowTop < 0) {
+        window.scrollBy(0, rowTop);
+      }
+      else if (rowTop + virtual.rowHeight > window.innerHeight) {
+        window.scrollBy(0, rowTop + virtual.rowHeight - window.innerHeight);
+      }
+
+      thisScript.virtualRender(env, false);
+      $('tr[data-foldershare-virtual-index="' + rowIndex + '"]', $tbody)
+        .addClass('foldershare-focus');
+
+      // The preview pane follows the focus row.
+      if (thisScript.preview !== null) {
+        thisScript.previewUpdate(env);
+      }
     },
 
     /**
-     * Handles a mouse click selection event on a table row.
+     * Adds selected items that are not in the table to a row drag.
      *
-     * Mouse selection supports range selection using keyboard modifiers
-     * like shift-click, control-click (on Windows or Linux), or
-     * command-click (on a Mac):
+     * @param env
+     *   The environment object.
+     * @param list
+     *   The array of dragged entity IDs, which is updated.
+     * @param kinds
+     *   The object of dragged entity IDs by kind, which is updated.
+     */
+    virtualGetDragged: function (env, list, kinds) {
+      var model = Drupal.foldershare.UIFolderTableMenu.selectionGetModel(env);
+
+      for (var id in model.items) {
+        if (list.indexOf(id) === (-1)) {
+          var kind = model.items[id].kind;
+          if (typeof kinds[kind] === 'undefined') {
+            kinds[kind] = [];
+          }
+
+          list.push(id);
+          kinds[kind].push(id);
+        }
+      }
+    },
+
+    /*--------------------------------------------------------------------
      *
-     * - For all platforms, if there are no keyboard modifiers, then a mouse
-     *   click clears any previous selection and starts a new one.
+     * Marquee selection.
      *
-     * - For all platforms, if the shift key is down during a click, a selection
-     *   is extended from the most recent selection to the clicked on row.
+     * These functions select rows by dragging a rectangle, or marquee,
+     * that starts in an empty table cell or in the table's margin. Every
+     * row the marquee crosses is selected. With the control key (command
+     * key on a Mac), crossed rows are added to the prior selection.
      *
-     * - For Windows and Linux platforms, if the control key is down during a
-     *   click, a selected row is toggled.
+     * Crossed rows are added to the same selection model, with the same
+     * range, used by mouse clicks, so menus and commands see the selection
+     * the same way.
      *
-     * - For Mac platforms, if the command (meta) key is down during a
-     *   click, a selected row is toggled.
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Attaches marquee selection behaviors to the table wrapper.
+     *
+     * @param env
+     *   The environment object.
+     */
+    marqueeAttach: function (env) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      var $area = env.gather.$table.closest('.foldershare-folder-table');
+      if ($area.length === 0) {
+        $area = env.gather.$table.parent();
+      }
+
+      $area.off('mousedown.foldersharemarquee');
+      $area.on(
+        'mousedown.foldersharemarquee',
+        function (ev) {
+          return thisScript.marqueeStart(ev, env);
+        });
+    },
+
+    /**
+     * Handles a mouse down that may start a marquee selection.
+     *
+     * A marquee may start on an empty body cell, or anywhere within the
+     * table wrapper that is not on a table row or on a link, button, or
+     * other form element.
      *
      * @param ev
-     *   The row event to handle.
+     *   The mouse event to handle.
      * @param env
      *   The environment object.
+     *
+     * @return
+     *   Returns true to allow further event processing.
      */
-    tableClickSelect: function (ev, env) {
-      var $tr    = $(this);
-      var $table = env.gather.$table;
-      var $tbody = env.gather.$tbody;
-      var first  = $table.attr("selectionFirstRowIndex");
-      var last   = $table.attr("selectionLastRowIndex");
+    marqueeStart: function (ev, env) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var $tbody     = env.gather.$tbody;
+      var $target    = $(ev.target);
 
-      // If the clicked-on row does not have a name column, then ignore.
-      // This can happen for an empty table with a generic empty message
-      // and no name column.
-      var $tdName = $('td.' + env.gather.nameColumn, $tr);
-      if ($tdName.length === 0) {
-        return;
+      if (ev.which !== 1 ||
+          $target.closest('a, input, button, select, textarea, label').length !== 0) {
+        return true;
       }
 
+      // Within the table, only start on empty body cells. Pressing on a
+      // cell with content starts a row drag instead.
+      var $tr = $target.closest('tr');
+      if ($tr.length !== 0) {
+        if ($.contains($tbody[0], $tr[0]) === false) {
+          return true;
+        }
+
+        var $td = $target.closest('td');
+        if ($td.length === 0 || $.trim($td.text()) !== '') {
+          return true;
+        }
+      }
+
+      // Remember the items selected before the marquee started so that
+      // they can be kept when adding to the selection.
       var isMac = (navigator.appVersion.indexOf("Mac") != -1);
+      var initial = $.extend({}, thisScript.selectionGetModel(env).items);
+
+      thisScript.marquee = {
+        env:      env,
+        x:        ev.pageX,
+        y:        ev.pageY,
+        additive: (isMac === true) ? (ev.metaKey === true) : (ev.ctrlKey === true),
+        initial:  initial,
+        $tr:      $tr,
+        $box:     null
+      };
 
-      // Check for keyboard modifiers and mimic Windows/Linux/Mac behavior.
-      // If more than one modifier is held down, the control/command
-      // modifier has a higher priority than the shift modifier.
-      if ((isMac === true && ev.metaKey === true) ||
-          (isMac === false && ev.ctrlKey === true)) {
-        // Control/Command-click
-        // ---------------------
-        // On a Mac, a command-click toggles the selection state of the
-        // clicked-on row.
-        //
-        // On all other platforms (e.g. Windows and Linux), a control-click
-        // toggles the selection state of the clicked-on row.
-        var newState = !$tr.hasClass('selected');
-        $tr.toggleClass('selected', newState);
+      $(document).off('.foldersharemarquee');
+      $(document).on('mousemove.foldersharemarquee', function (ev) {
+        thisScript.marqueeMove(ev);
+      });
+      $(document).on('mouseup.foldersharemarquee', function (ev) {
+        thisScript.marqueeEnd(ev);
+      });
 
-        if (newState === true) {
-          // A clicked-on row always resets the range to that row.
-          $table.attr('selectionFirstRowIndex', this.rowIndex);
-          $table.attr('selectionLastRowIndex', this.rowIndex);
+      // Prevent a text selection or row drag while the marquee is drawn.
+      ev.preventDefault();
+      return true;
+    },
+
+    /**
+     * Handles mouse movement during a marquee selection.
+     *
+     * @param ev
+     *   The mouse event to handle.
+     */
+    marqueeMove: function (ev) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var marquee    = thisScript.marquee;
+      var env        = marquee.env;
+
+      if (marquee.$box === null) {
+        if (Math.abs(ev.pageX - marquee.x) < thisScript.marqueeThreshold &&
+            Math.abs(ev.pageY - marquee.y) < thisScript.marqueeThreshold) {
+          return;
         }
-        else {
-          first = Number(first);
-          last = Number(last);
-
-          if (this.rowIndex === first && this.rowIndex === last) {
-            // The unselected row was the only row in the selection.
-            // Empty the range.
-            $table.attr('selectionFirstRowIndex', '');
-            $table.attr('selectionLastRowIndex', '');
-          }
-          else if (this.rowIndex === first) {
-            // The unselected row was the start of the range. Shorten the
-            // range to start on the next row.
-            $table.attr('selectionFirstRowIndex', first + 1);
-          }
-          else if (this.rowIndex === last) {
-            // The unselected row was the end of the range. Shorten the
-            // range to end on the previous row.
-            $table.attr('selectionLastRowIndex', last - 1);
-          }
-          else {
-            // The unselected row was within the range. Shorten the range
-            // to include the lower half of the range.
-            $table.attr('selectionFirstRowIndex', this.rowIndex + 1);
+
+        marquee.$box = $('<div class="' + thisScript.marqueeClass + '">');
+        $('body').append(marquee.$box);
+
+        // A new marquee selection replaces the prior selection.
+        if (marquee.additive === false) {
+          thisScript.selectionClear(env);
+        }
+      }
+
+      //
+      // Draw marquee
+      // ------------
+      // The marquee's corners are the starting and current positions.
+      var left   = Math.min(marquee.x, ev.pageX);
+      var top    = Math.min(marquee.y, ev.pageY);
+      var right  = Math.max(marquee.x, ev.pageX);
+      var bottom = Math.max(marquee.y, ev.pageY);
+
+      marquee.$box.css({
+        left:   left + 'px',
+        top:    top + 'px',
+        width:  (right - left) + 'px',
+        height: (bottom - top) + 'px'
+      });
+
+      //
+      // Select rows
+      // -----------
+      // Select every row the marquee crosses, plus the prior selection
+      // when adding to it. Track the range of crossed rows for a later
+      // shift-click.
+      var first = 0;
+      var last  = 0;
+
+      thisScript.tableGetRows(env).each(function (index) {
+        if ($('td.' + env.gather.nameColumn, this).length === 0) {
+          return true;
+        }
+
+        var rect = this.getBoundingClientRect();
+        var rowTop  = rect.top + window.pageYOffset;
+        var rowLeft = rect.left + window.pageXOffset;
+        var crossed = (rowTop < bottom && rowTop + rect.height > top &&
+          rowLeft < right && rowLeft + rect.width > left);
+
+        if (crossed === true) {
+          // Row indexes are 1-based, but jQuery element indexes are 0-based.
+          // A virtual list's rows have their index.
+          var rowIndex = (thisScript.virtual === null) ? index + 1 :
+            Number($(this).attr('data-foldershare-virtual-index'));
+          if (first === 0) {
+            first = rowIndex;
           }
+          last = rowIndex;
         }
+
+        var item = thisScript.selectionGetRowItem(env, $(this));
+        thisScript.selectionSetRow(env, $(this),
+          crossed === true ||
+          (marquee.additive === true && item !== null && item.id in marquee.initial));
+      });
+
+      if (first === 0) {
+        thisScript.selectionSetRange(env, NaN, NaN);
       }
-      else if (ev.shiftKey === true) {
-        // Shift-click
-        // -----------
-        // For all platforms, a shift-click adjusts a current selection.
-        //
-        // The following combinations could occur:
-        //
-        // - No current selection. Select the clicked-on row and save the
-        //   range as (first = last = clicked-on row).
-        //
-        // - Current selection and clicked-on row is above it. Flip the
-        //   range by clearing the entire selection first, then selecting
-        //   rows from the clicked-on row to through the first item of the
-        //   old selection. Save the range as (first = clicked-on row) and
-        //   (last = old first).
-        //
-        // - Current selection and clicked-on row is below it. Extend the
-        //   selection by selecting rows from (last+1) through the
-        //   clicked-on row. Save the range as (first = old first) and
-        //   (last = clicked-on row).
-        //
-        // - Current selection and clicked-on row within the range.
-        //   Shorten the range by clearing everything from the row after
-        //   the clicked-on row through the last row of the range. Save
-        //   the range as (first = old first) and (last = clicked-on row).
-        //
-        // Note that row indexes are 1-based, but loop/array/element
-        // indexes are 0-based.
-        if (typeof last === 'undefined' || last === '') {
-          // No prior selection. Select from 1st row thru this row.
-          $('tr', $tbody).slice(0, this.rowIndex).each( function() {
-            $(this).toggleClass('selected', true);
-          });
+      else {
+        thisScript.selectionSetRange(env, first, last);
+      }
+
+      thisScript.selectionChanged(env);
+
+      marquee.first = first;
+      marquee.last  = last;
+      marquee.down  = (ev.pageY >= marquee.y);
+    },
+
+    /**
+     * Handles the mouse up that ends a marquee selection.
+     *
+     * If the mouse did not move far enough to draw a marquee, the press
+     * is treated as a click. A click on an empty cell is left to the row's
+     * click behavior. A click around the table clears the selection.
+     *
+     * @param ev
+     *   The mouse event to handle.
+     */
+    marqueeEnd: function (ev) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var marquee    = thisScript.marquee;
+      var env        = marquee.env;
+
+      $(document).off('.foldersharemarquee');
+      thisScript.marquee = null;
+
+      if (marquee.$box === null) {
+        // A click. Clicks on rows are handled by the row's behaviors.
+        if (marquee.$tr.length === 0 && marquee.additive === false) {
+          thisScript.tableSelectNone(env);
+        }
+        return;
+      }
+
+      marquee.$box.remove();
+
+      // The row at the moving end of the marquee becomes the focus row,
+      // and the row at the other end becomes the anchor.
+      if (marquee.first !== 0) {
+        var focus  = (marquee.down === true) ? marquee.last : marquee.first;
+        var anchor = (marquee.down === true) ? marquee.first : marquee.last;
+        thisScript.tableSetFocusRow(env, anchor, true);
+        thisScript.tableSetFocusRow(env, focus, false);
+      }
+
+      env.gather.$table[0].focus({ preventScroll: true });
+
+      // The mouse up may be followed by a click on a row, which would
+      // replace the selection. Ignore it.
+      var blockClick = function (ev) {
+        ev.stopPropagation();
+        document.removeEventListener('click', blockClick, true);
+      };
+      document.addEventListener('click', blockClick, true);
+      setTimeout(function () {
+        document.removeEventListener('click', blockClick, true);
+      });
+    },
 
-          $table.attr("selectionFirstRowIndex", 1);
-          $table.attr("selectionLastRowIndex", this.rowIndex);
-        }
-        else {
-          first = Number(first);
-          last = Number(last);
+    /*--------------------------------------------------------------------
+     *
+     * Ancestor menu drop targets.
+     *
+     * These functions make the folders in the ancestor menu drop targets
+     * for rows dragged from the table. The ancestor menu opens when a
+     * row drag hovers over its button. Dropping onto an ancestor moves or
+     * copies the dragged items into that ancestor.
+     *
+     *--------------------------------------------------------------------*/
 
-          if (this.rowIndex > last) {
-            // Extend selection downwards thru the clicked-on row.
-            $('tr', $tbody).slice(last, this.rowIndex).each( function() {
-              $(this).toggleClass('selected', true);
-            });
+    /**
+     * Attaches drop behaviors to the ancestor menu's folders.
+     *
+     * @param env
+     *   The environment object.
+     */
+    ancestorMenuAttachDrop: function (env) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var $table     = env.gather.$table;
+
+      var $items = $('.foldershare-ancestormenu-menu li[data-foldershare-id]');
+      $items.off('dragenter.foldershare dragover.foldershare dragleave.foldershare drop.foldershare');
 
-            $table.attr("selectionFirstRowIndex", first);
-            $table.attr("selectionLastRowIndex", this.rowIndex);
+      if (env.dndCopyEnabled === false && env.dndMoveEnabled === false) {
+        return;
+      }
+
+      // The current page's folder is in the menu too, but dropping there
+      // would leave the items where they are.
+      $items = $items.filter(function () {
+        return Number($(this).attr('data-foldershare-id')) !==
+          Number(env.settings.foldershare.page.id);
+      });
+
+      $items.on(
+        'dragenter.foldershare dragover.foldershare',
+        function (ev) {
+          if ($table.attr(thisScript.tableDragOperand) !== 'rows') {
+            return true;
           }
-          else if (this.rowIndex < first) {
-            // Flip selection upwards thru the clicked-on row. Clear the
-            // current selection, except the first row, then add the new rows.
-            $('tr', $tbody).slice(first, last+1).each( function() {
-              $(this).toggleClass('selected', false);
-            });
-            $('tr', $tbody).slice(this.rowIndex-1, first).each( function() {
-              $(this).toggleClass('selected', true);
-            });
 
-            $table.attr("selectionFirstRowIndex", this.rowIndex);
-            $table.attr("selectionLastRowIndex", first);
+          // Check the folder against the destination constraints and
+          // highlight it as an acceptable or forbidden drop target.
+          var allowed = thisScript.getDropEffectAllowed(
+            env,
+            $(this).attr('data-foldershare-kind'),
+            $(this).attr('data-foldershare-access'));
+
+          if (allowed === 'none') {
+            $(this).addClass(thisScript.dragForbiddenClass);
           }
           else {
-            // Shorten selection to end on the clicked-on row. Clear all rows
-            // after the clicked-on row.
-            $('tr', $tbody).slice(this.rowIndex, last).each( function() {
-              $(this).toggleClass('selected', false);
-            });
+            $(this).addClass('foldershare-draghover');
+          }
+
+          ev.originalEvent.dataTransfer.dropEffect =
+            thisScript.getDropEffect(allowed, ev);
+          return false;
+        });
 
-            $table.attr("selectionFirstRowIndex", first);
-            $table.attr("selectionLastRowIndex", this.rowIndex);
+      $items.on(
+        'dragleave.foldershare',
+        function (ev) {
+          // Ignore crossings between elements within the item.
+          if ($.contains(this, ev.relatedTarget) === true) {
+            return true;
           }
-        }
-      }
-      else {
-        // Click
-        // -----
-        // When there are no keyboard modifiers, clicking on a row clears
-        // the previous selection (if any) and selects the row.
-        $('tr', $tbody).each( function() {
-          $(this).toggleClass('selected', false);
+
+          $(this).removeClass('foldershare-draghover ' + thisScript.dragForbiddenClass);
+          return true;
         });
 
-        // For out of range row (<1), clear selection.
-        // Otherwise select the clicked-on row and save its index.
-        if (this.rowIndex <= 0) {
-          $table.attr('selectionFirstRowIndex', '');
-          $table.attr('selectionLastRowIndex', '');
-        }
-        else {
-          $tr.toggleClass('selected', true);
-          $table.attr('selectionFirstRowIndex', this.rowIndex);
-          $table.attr('selectionLastRowIndex', this.rowIndex);
-        }
-      }
+      $items.on(
+        'drop.foldershare',
+        function (ev) {
+          var $item = $(this);
+          $item.removeClass('foldershare-draghover ' + thisScript.dragForbiddenClass);
+          $item.closest('.foldershare-ancestormenu-menu').menu().hide();
 
-      // A click can sometimes cause a text selection if the mouse
-      // moved a little between mouse down and up. Such a text
-      // selection is meaningless here, so disable it.
-      window.getSelection().removeAllRanges();
+          if ($table.attr(thisScript.tableDragOperand) !== 'rows') {
+            return true;
+          }
+
+          var allowed = thisScript.getDropEffectAllowed(
+            env,
+            $item.attr('data-foldershare-kind'),
+            $item.attr('data-foldershare-access'));
+          if (allowed === 'none') {
+            // User error. The ancestor cannot accept the drop.
+            return false;
+          }
+
+          var command = thisScript.getRowDropCommand(ev, allowed);
+          if (command === null) {
+            return false;
+          }
+
+          var entityIdList = JSON.parse(ev.originalEvent.dataTransfer.getData(
+              'foldershare/local-entity-list'));
+
+          thisScript.tableDropRows(
+            env,
+            command,
+            $item.attr('data-foldershare-id'),
+            entityIdList);
+          return false;
+        });
     },
 
-    /**
-     * Handles a single table row selection as if by a mouse click.
+    /*--------------------------------------------------------------------
      *
-     * Used to select a row based upon some non-mouse event, this method
-     * marks a single row as selected, clearing any previous selection.
+     * Drag badge.
+     *
+     * These functions show a badge beside the cursor during a row drag.
+     * The badge describes what a drop will do, such as "Move 3 items" or
+     * "Copy 1 folder", and follows the modifier keys as they change.
+     *
+     * Browsers only accept a drag image at the start of a drag and cannot
+     * redraw it afterwards. The badge is therefore a separate element
+     * positioned on each "dragover" event anywhere on the page.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Shows the drag badge.
      *
-     * @param $tr
-     *   The row to select.
      * @param env
      *   The environment object.
+     * @param nDragged
+     *   The number of items dragged.
+     * @param draggedKinds
+     *   An object with kind names as keys, and arrays of entity IDs as
+     *   values, for the dragged items.
+     * @param allowed
+     *   The drag effects allowed for the drag.
      */
-    tableSelectRow: function ($tr, env) {
-      var $table = env.gather.$table;
-      var $tbody = env.gather.$tbody;
+    dragBadgeShow: function (env, nDragged, draggedKinds, allowed) {
+      var thisScript  = Drupal.foldershare.UIFolderTableMenu;
+      var terminology = env.settings.foldershare.terminology;
 
-      // Selecting a row clears the previous selection (if any) and
-      // selects the row.
-      $('tr', $tbody).each( function() {
-        $(this).toggleClass('selected', false);
+      thisScript.dragBadgeHide();
+
+      var operand = nDragged + ' ' +
+        thisScript.menuGetOperandText(env, draggedKinds).toLowerCase();
+      var $badge = $('<div class="' + thisScript.dragBadgeClass + '">');
+      $badge.attr('data-foldershare-move',
+        Drupal.foldershare.utility.getTerm(terminology, 'move') + ' ' + operand);
+      $badge.attr('data-foldershare-copy',
+        Drupal.foldershare.utility.getTerm(terminology, 'copy') + ' ' + operand);
+      $('body').append($badge);
+
+      // Update the badge on every drag event, wherever it is on the page.
+      // A capture listener sees the event before drop targets stop it.
+      var listener = function (ev) {
+        thisScript.dragBadgeUpdate(
+          ev.clientX,
+          ev.clientY,
+          thisScript.getDropEffect(allowed, ev));
+      };
+
+      document.addEventListener('dragover', listener, true);
+      $badge.data('foldershare-drag-badge', listener);
+    },
+
+    /**
+     * Moves the drag badge and updates its text.
+     *
+     * @param x
+     *   The cursor's X position in the window.
+     * @param y
+     *   The cursor's Y position in the window.
+     * @param effect
+     *   The drop effect to describe, "copy" or "move".
+     */
+    dragBadgeUpdate: function (x, y, effect) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var $badge = $('.' + thisScript.dragBadgeClass);
+
+      $badge.text($badge.attr('data-foldershare-' + effect) || '');
+      $badge.css({
+        left: (x + 12) + 'px',
+        top:  (y - 28) + 'px'
       });
+    },
 
-      // For out of range row (<1), clear selection.
-      // Otherwise select the clicked-on row and save its index.
-      if (this.rowIndex <= 0) {
-        $table.attr('selectionFirstRowIndex', '');
-        $table.attr('selectionLastRowIndex', '');
-      }
-      else {
-        $tr.toggleClass('selected', true);
-        $table.attr('selectionFirstRowIndex', this.rowIndex);
-        $table.attr('selectionLastRowIndex', this.rowIndex);
+    /**
+     * Hides the drag badge.
+     */
+    dragBadgeHide: function () {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var $badge = $('.' + thisScript.dragBadgeClass);
+
+      var listener = $badge.data('foldershare-drag-badge');
+      if (typeof listener === 'function') {
+        document.removeEventListener('dragover', listener, true);
       }
 
-      // A click can sometimes cause a text selection if the mouse
-      // moved a little between mouse down and up. Such a text
-      // selection is meaningless here, so disable it.
-      window.getSelection().removeAllRanges();
+      $badge.remove();
     },
 
-    /**
-     * Handles the start of an entity row drag.
+    /*--------------------------------------------------------------------
      *
-     * An entity row drag copies or moves one or more table rows, depicting
-     * entities, and drops them into a folder or root folder. The drag list
-     * created by the drag is a list of entity IDs for the dragged rows:
+     * Right-button drag.
      *
-     * - If the drag starts on a selected item, the entire selection is
-     *   added to the drag list in a pending data transfer.
+     * Browsers only start a drag with the primary mouse button. These
+     * functions track a drag of rows with the right mouse button using
+     * mouse events. On release over a folder, a small menu offers to move
+     * or copy the rows into the folder, or to cancel.
      *
-     * - If the drag starts on an unselected item, that single row is
-     *   added to the drag list in a pending data transfer.
+     * A right-button press without enough movement remains a right-click
+     * that shows the context menu.
      *
-     * In both cases, a ghost image is created that shows the names
-     * of the items being dragged. The data transfer state is initialized
-     * and table attributes set to record that a row drag is in progress.
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Handles a mouse down that may start a right-button drag.
      *
      * @param ev
-     *   The row event to handle.
+     *   The mouse event to handle.
      * @param env
      *   The environment object.
+     *
+     * @return
+     *   Returns true to allow further event processing.
      */
-    tableRowDragStart: function (ev, env) {
-      var $thisTr    = $(this);
-      var $thisTable = env.gather.$table;
+    tableRightDragStart: function (ev, env) {
       var thisScript = Drupal.foldershare.UIFolderTableMenu;
 
-      //
-      // Mark the table
-      // --------------
-      // Mark the table as having a row drag in progress. This mark is
-      // removed when the drag is done and it indicates that row dragging,
-      // rather than off-browser file dragging is in progress.
-      $thisTable.attr(thisScript.tableDragOperand, 'rows');
-      $thisTable.attr(thisScript.tableDragRowIndex, this.rowIndex);
+      if (ev.which !== 3) {
+        return true;
+      }
 
-      //
-      // Create ghost
-      // ------------
-      // The drag image during the drag is from a ghost table that contains
-      // a clone of the name column (or entire row) for dragged items.
-      //
-      // While looping over the items to add to the ghost, collect their
-      // entity ID's to use as the data transfer data.
-      //
-      // Note, however, that older browsers may not support setting the drag
-      // image. If they don't support it, skip creating the ghost image.
-      var dragImageSupported = typeof(ev.originalEvent.dataTransfer.setDragImage) === 'function';
-      var $dragTable = null;
-      var $dragTbody = null;
-      var rowHeight = 0;
+      thisScript.rightDrag = {
+        env:     env,
+        $tr:     $(this),
+        x:       ev.clientX,
+        y:       ev.clientY,
+        moved:   false,
+        list:    [],
+        $target: null,
+        allowed: 'none'
+      };
 
-      if (dragImageSupported === true) {
-        $dragTable = $('<table class="dragImage">');
-        $dragTbody = $('<tbody>');
-        $dragTable.append($dragTbody);
-      }
+      $(document).off('.foldersharerightdrag');
+      $(document).on('mousemove.foldersharerightdrag', function (ev) {
+        thisScript.tableRightDragMove(ev);
+      });
+      $(document).on('mouseup.foldersharerightdrag', function (ev) {
+        thisScript.tableRightDragEnd(ev);
+      });
+
+      // Block the context menu once the drag has started. Row context
+      // menus check for the drag too.
+      $(document).on('contextmenu.foldersharerightdrag', function (ev) {
+        var drag = thisScript.rightDrag;
+        return (drag === null || drag.moved === false);
+      });
 
+      return true;
+    },
+
+    /**
+     * Handles mouse movement during a right-button drag.
+     *
+     * @param ev
+     *   The mouse event to handle.
+     */
+    tableRightDragMove: function (ev) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var drag       = thisScript.rightDrag;
+      var env        = drag.env;
       var nameColumn = env.gather.nameColumn;
 
-      // Add clones of the current row or all selected rows to the ghost table.
       //
-      // Get the height of a dragged table row to use to position the ghost
-      // table under the cursor.
-      var draggedList = [];
+      // Start drag
+      // ----------
+      // Wait until the mouse has moved far enough, then collect the dragged
+      // rows. These are the selected rows if the drag started on one, and
+      // otherwise just the starting row.
+      if (drag.moved === false) {
+        if (Math.abs(ev.clientX - drag.x) < thisScript.rightDragThreshold &&
+            Math.abs(ev.clientY - drag.y) < thisScript.rightDragThreshold) {
+          return;
+        }
 
-      if ($thisTr.hasClass('selected') === true) {
-        // The user has started a drag atop a selected row.
-        //
-        // Add all selected rows in the table into a list of dragged rows
-        // and the ghost table.
-        $('tr.selected', $thisTable).each(function() {
-          var $td = $('td.' + nameColumn, $(this));
+        var $rows = drag.$tr;
+        if (thisScript.selectionHasRow(env, drag.$tr) === true) {
+          $rows = $('tr.selected', env.gather.$tbody);
+        }
 
-          // Save the row's entity ID.
-          var $a = $('a', $td);
-          if ($a.length === 0) {
-            // Fail. No anchor? Ignore row.
-            return false;
+        var kinds = {};
+        $rows.each(function () {
+          var $a = $('td.' + nameColumn + ' a', $(this));
+          if ($a.length !== 0) {
+            drag.list.push($a.attr('data-foldershare-id'));
+            thisScript.addDraggedKind(kinds, $a);
           }
+        });
 
-          draggedList.push($a.attr('data-foldershare-id'));
+        // A virtual list's selection includes rows not in the table.
+        if (thisScript.virtual !== null && thisScript.selectionHasRow(env, drag.$tr) === true) {
+          thisScript.virtualGetDragged(env, drag.list, kinds);
+        }
 
-          if (dragImageSupported === true) {
-            // Clone the column and add it to the ghost table.
-            // Remove row and column classes so we don't get any residual
-            // styling of the ghost.
-            var rh = this.offsetHeight;
-            if (rh > rowHeight) {
-              rowHeight = rh;
-            }
+        if (drag.list.length === 0) {
+          thisScript.tableRightDragCancel();
+          return;
+        }
 
-            var $newTd = $td.clone(false).removeClass();
-            $dragTbody.append($('<tr>').append($newTd));
-          }
-        });
+        // A right-click may have already shown the context menu.
+        $('.foldershare-folder-table-contextmenu', env.gather.$subform).menu().hide();
+
+        drag.moved = true;
+        thisScript.dragBadgeShow(
+          env,
+          drag.list.length,
+          kinds,
+          (env.dndCopyEnabled === true && env.dndMoveEnabled === true) ?
+            'copyMove' : ((env.dndCopyEnabled === true) ? 'copy' : 'move'));
       }
-      else {
-        // The user has started a drag atop an unselected row.
-        //
-        // Add the single row to the list of dragged rows and the ghost table.
-        var $td = $('td.' + nameColumn, $thisTr);
 
-        // Save the row's entity ID.
-        var $a = $('a', $td);
-        if ($a.length === 0) {
-          // Fail. No anchor? Ignore drag start.
-          return true;
+      //
+      // Update drop row
+      // ---------------
+      // Find the row under the cursor and highlight it as an acceptable
+      // or forbidden drop target.
+      var $target = $(document.elementFromPoint(ev.clientX, ev.clientY))
+        .closest('tr', env.gather.$tbody[0]);
+      if ($target.length !== 0 && $.contains(env.gather.$tbody[0], $target[0]) === false) {
+        $target = $();
+      }
+
+      if (drag.$target === null || $target[0] !== drag.$target[0]) {
+        if (drag.$target !== null) {
+          drag.$target.removeClass('foldershare-draghover ' + thisScript.dragForbiddenClass);
         }
 
-        draggedList.push($a.attr('data-foldershare-id'));
+        drag.$target = $target;
+        drag.allowed = 'none';
 
-        if (dragImageSupported === true) {
-          // Clone the column or row and add it to the ghost table.
-          // Remove row and column classes so we don't get any residual
-          // styling of the ghost.
-          rowHeight = $thisTr[0].offsetHeight;
-          var $td = $('td.' + nameColumn, $thisTr);
-          var $newTd = $td.clone(false).removeClass();
-          $dragTbody.append($('<tr>').append($newTd));
+        var $a = $('td.' + nameColumn + ' a', $target);
+        if ($a.length !== 0 &&
+            $.inArray($a.attr('data-foldershare-id'), drag.list) === (-1)) {
+          drag.allowed = thisScript.getDropEffectAllowed(
+            env,
+            $a.attr('data-foldershare-kind'),
+            $a.attr('data-foldershare-access'));
+
+          $target.addClass((drag.allowed === 'none') ?
+            thisScript.dragForbiddenClass : 'foldershare-draghover');
         }
       }
 
-      //
-      // Set up the data transfer
-      // ------------------------
-      // - Set the transferred data to be a list of entity IDs.
-      // - Set the drag image to be the ghost table.
-      // - Set the allowed 'effects' (e.g. copy or move).
-      // - Set the initial 'effect' (e.g. copy or move).
-      ev.originalEvent.dataTransfer.setData(
-        'foldershare/local-entity-list',
-        JSON.stringify(draggedList));
+      thisScript.dragBadgeUpdate(
+        ev.clientX,
+        ev.clientY,
+        thisScript.getDropEffect(
+          (drag.allowed === 'none') ? 'copyMove' : drag.allowed,
+          ev));
+    },
 
-      var allowed = 'none';
-      var effect = 'non';
-      if (env.dndCopyEnabled === true && env.dndMoveEnabled === true) {
-        allowed = 'copyMove';
-        effect = 'move';
+    /**
+     * Handles the mouse up that ends a right-button drag.
+     *
+     * If the drag ends over a row that accepts the drop, the drop menu is
+     * shown.
+     *
+     * @param ev
+     *   The mouse event to handle.
+     */
+    tableRightDragEnd: function (ev) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var drag       = thisScript.rightDrag;
+
+      if (drag === null || drag.moved === false) {
+        // Not a drag. Leave the right-click to the context menu.
+        thisScript.tableRightDragCancel();
+        return;
       }
-      else if (env.dndCopyEnabled === true) {
-        allowed = 'copy';
-        effect = 'copy';
+
+      $(document).off('mousemove.foldersharerightdrag mouseup.foldersharerightdrag');
+      if (drag.$target !== null) {
+        drag.$target.removeClass('foldershare-draghover ' + thisScript.dragForbiddenClass);
       }
-      else {
-        allowed = 'move';
-        effect = 'move';
+      thisScript.dragBadgeHide();
+
+      if (drag.$target !== null && drag.allowed !== 'none') {
+        thisScript.dropMenuShow(
+          drag.env,
+          ev,
+          drag.allowed,
+          $('td.' + drag.env.gather.nameColumn + ' a', drag.$target).attr('data-foldershare-id'),
+          drag.list);
       }
 
-      ev.originalEvent.dataTransfer.effectAllowed = allowed;
-      ev.originalEvent.dataTransfer.dropEffect = effect;
-      $thisTable.attr(thisScript.tableDragEffectAllowed, allowed);
+      // Some browsers send the context menu event after the mouse up.
+      // Keep the drag until then so that the context menu stays blocked.
+      setTimeout(function () {
+        if (thisScript.rightDrag === drag) {
+          thisScript.tableRightDragCancel();
+        }
+      });
+    },
 
-      if (dragImageSupported === true) {
-        // The ghost table must be on the page in order to be rendered
-        // and used as the ghost table. So add it temporarily.
-        $('body').append($dragTable);
+    /**
+     * Cancels a right-button drag and cleans up.
+     */
+    tableRightDragCancel: function () {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var drag       = thisScript.rightDrag;
 
-        ev.originalEvent.dataTransfer.setDragImage(
-          $dragTable[0],
-          0,
-          (rowHeight/2));
+      $(document).off('.foldersharerightdrag');
 
-        // The ghost table must exist in the body long enough for it to be
-        // rendered for use as the drag image. But after that it is clutter
-        // that will show up at the end of the page. To remove it as soon
-        // as possible, we set a timeout function.
-        setTimeout(function() { $dragTable.remove(); });
+      if (drag !== null && drag.$target !== null) {
+        drag.$target.removeClass('foldershare-draghover ' + thisScript.dragForbiddenClass);
       }
 
-      return true;
+      thisScript.dragBadgeHide();
+      thisScript.rightDrag = null;
     },
 
     /**
-     * Handles the end of an entity row drag.
-     *
-     * An entity row drag copies or moves one or more table rows, depicting
-     * entities, and drops them into a folder or root folder. The start of
-     * the drag has already initialized the event's data transfer object
-     * to contain a list of dragged entity IDs.
-     *
-     * A drag can end in one of two ways:
-     * - The user dropped the drag.
-     * - The user canceled the drag (such as by the ESC key).
-     *
-     * If the user dropped the drag, the "drop" event behavior has already
-     * handled collecting the entity ID list from the data transfer and
-     * sending a copy or move command to the server.
+     * Shows the drop menu at the end of a right-button drag.
      *
-     * This method cleans up after either a drop or a cancel by resetting
-     * table attributes and unhighlighting whatever row was most recently
-     * under the cursor during the drag (if any).
+     * The menu offers "Move here" and "Copy here" items for the allowed
+     * effects, and a "Cancel" item.
      *
-     * @param ev
-     *   The row event to handle.
      * @param env
      *   The environment object.
-     *
-     * @return
-     *   Returns false.
+     * @param ev
+     *   The mouse event at which to position the menu.
+     * @param allowed
+     *   The drag effects allowed by the drop target.
+     * @param destinationId
+     *   The entity ID of the drop target.
+     * @param entityIdList
+     *   The entity IDs of the dragged items.
      */
-    tableRowDragEnd: function (ev, env) {
-      var $thisTr     = $(this);
-      var $thisTable  = env.gather.$table;
+    dropMenuShow: function (env, ev, allowed, destinationId, entityIdList) {
       var thisScript  = Drupal.foldershare.UIFolderTableMenu;
-      var oldRowIndex = Number($thisTable.attr(thisScript.tableDragRowIndex));
+      var utility     = Drupal.foldershare.utility;
+      var terminology = env.settings.foldershare.terminology;
 
-      //
-      // Unhighlight drag row
-      // --------------------
-      // The row most recently under the cursor during the drag may have
-      // been highlighted (if it was a folder). Unhighlight it.
-      if (isNaN(oldRowIndex) === false) {
-        // Note that the saved row index is from the event, which numbers
-        // rows with 1 for the 1st row. jQuery numbers rows with 0 for
-        // the 1st row.
-        $('tbody tr', $thisTable).eq(oldRowIndex-1).removeClass('foldershare-draghover');
+      $('.foldershare-folder-table-dropmenu').remove();
+
+      var html = '<ul class="foldershare-folder-table-dropmenu">';
+      if (allowed === 'copyMove' || allowed === 'move') {
+        html += '<li data-foldershare-command="' + thisScript.moveCommand +
+          '"><div>' + utility.getTerm(terminology, 'move here') + '</div></li>';
       }
+      if (allowed === 'copyMove' || allowed === 'copy') {
+        html += '<li data-foldershare-command="' + thisScript.copyCommand +
+          '"><div>' + utility.getTerm(terminology, 'copy here') + '</div></li>';
+      }
+      html += '<li>-</li><li><div>' +
+        utility.getTerm(terminology, 'cancel') + '</div></li></ul>';
 
-      //
-      // Reset state
-      // -----------
-      // Reset the table attributes saving the drag state.
-      $thisTable.attr(thisScript.tableDragOperand, 'none');
-      $thisTable.attr(thisScript.tableDragEffectAllowed, 'none');
-      $thisTable.attr(thisScript.tableDragRowIndex, 'NaN');
+      var $dropMenu = $(html);
+      env.gather.$subform.append($dropMenu);
 
-      return false;
+      var hide = function () {
+        $(document).off('mousedown.foldersharedropmenu keydown.foldersharedropmenu');
+        $dropMenu.remove();
+      };
+
+      $dropMenu.menu({
+        select: function (ev, ui) {
+          var command = ui.item.attr('data-foldershare-command');
+          hide();
+
+          if (typeof command !== 'undefined') {
+            thisScript.tableDropRows(env, command, destinationId, entityIdList);
+          }
+        }
+      });
+
+      $dropMenu.show().position({
+        my:        "left top",
+        at:        "left top",
+        of:        ev,
+        collision: "fit"
+      });
+      thisScript.eventTrigger(env, 'menuopen', { menu: 'drop', $menu: $dropMenu });
+
+      // Hide the menu on a click elsewhere or the ESC key.
+      $(document).on('mousedown.foldersharedropmenu', function (ev) {
+        if ($.contains($dropMenu[0], ev.target) === false) {
+          hide();
+        }
+      });
+      $(document).on('keydown.foldersharedropmenu', function (ev) {
+        if (ev.which === 27) {
+          hide();
+        }
+      });
     },
 
-    /**
-     * Handles entering a region during an entity or file drag.
+    /*--------------------------------------------------------------------
      *
-     * The drag in progress can be either an entity row drag or a file drag
-     * that is dragging a file in from off-browser. File drag events are
-     * ignored here. Only row drag events are handled.
+     * Drop zone.
      *
-     * A row drag entry event is generated every time the user's cursor crosses
-     * an element boundary and into the element during a drag. Element
-     * boundaries include the rows of the table, but also table cells and
-     * any elements within them (such as <div> or <a>).
+     * These functions manage the drop zone for files dragged in from
+     * off browser. While files are dragged over the page, an overlay
+     * covers the toolbar and table and names the page's folder. Files
+     * dropped anywhere outside of a folder row are uploaded into the
+     * page's folder. Drops onto folder rows are still handled by the
+     * row behaviors and upload into those folders.
      *
-     * If the event notes a cross into a new row, the old row (if any)
-     * is unhighlighted and the new row's kind checked. If the new row
-     * is for a folder or root folder, it is highlighted.
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Attaches the drop zone behaviors.
+     *
+     * The drop zone is only attached if file uploads are enabled and the
+     * page is for a folder.
      *
-     * @param ev
-     *   The row event to handle.
      * @param env
      *   The environment object.
-     *
-     * @return
-     *   Returns false.
      */
-    tableRowDragEnter: function (ev, env) {
-      var $thisTr    = $(this);
-      var $thisTable = env.gather.$table;
+    dropZoneAttach: function (env) {
       var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var utility    = Drupal.foldershare.utility;
+      var $top       = env.$topElement;
+      var page       = env.settings.foldershare.page;
+
+      // Remove any drop zone from a prior attach.
+      var prior = $top.data('foldershare-dropzone');
+      if (typeof prior !== 'undefined') {
+        document.removeEventListener('dragover', prior, true);
+        document.removeEventListener('drop', prior, true);
+        $top.removeData('foldershare-dropzone');
+      }
+      $('.' + thisScript.dropZoneClass, $top).remove();
+      $top.off('dragover.foldershare drop.foldershare');
 
-      switch ($thisTable.attr(thisScript.tableDragOperand)) {
-        default:
-        case 'none':
-        case 'files':
-          break;
+      if (env.dndUploadEnabled !== true || page.id === (-1)) {
+        return;
+      }
 
-        case 'rows':
-          // On a row drag, if the event notes a row crossing, update
-          // highlighting.
-          var oldRowIndex = Number($thisTable.attr(thisScript.tableDragRowIndex));
-          var newRowIndex = this.rowIndex;
+      //
+      // Create overlay
+      // --------------
+      // The overlay covers the top element, but passes all events through
+      // to the rows below so that drops onto folder rows still work.
+      var text = env.settings.foldershare.terminology.text.upload_drop_target;
+      if (typeof text === 'undefined') {
+        text = 'Drop files to upload them into "@name".';
+      }
+      text = text.replace('@name', page.name);
 
-          if (newRowIndex !== oldRowIndex) {
-            if (isNaN(oldRowIndex) === false) {
-              // The saved row index is from the event, which numbers
-              // rows with 1 for the 1st row. jQuery numbers rows with
-              // 0 for the 1st row.
-              $('tbody tr', $thisTable).eq(oldRowIndex-1).removeClass('foldershare-draghover');
-            }
+      var $overlay = $('<div class="' + thisScript.dropZoneClass + '"><span></span></div>');
+      $('span', $overlay).text(text);
+      $top.addClass(thisScript.dropZoneClass + '-container');
+      $top.append($overlay);
 
-            // Save the new row index.
-            $thisTable.attr(thisScript.tableDragRowIndex, newRowIndex);
+      //
+      // Show and hide overlay
+      // ---------------------
+      // Watch all file drags on the page during the capture phase, before
+      // row behaviors can stop the events. Show the overlay on each
+      // "dragover", and hide it shortly after they stop.
+      var hideTimer = null;
+      var show = function (ev) {
+        if (hideTimer !== null) {
+          clearTimeout(hideTimer);
+          hideTimer = null;
+        }
 
-            // If the current row is a folder, highlight it as an acceptable
-            // drop target. Update the allowed drag effect.
-            var $a = $('td.' + env.gather.nameColumn + ' a', $thisTr);
-            var rowKind = $a.attr('data-foldershare-kind');
-            var allowed = 'none';
-            var effect = 'none';
+        if (ev.type === 'drop' ||
+            thisScript.dropZoneIsFileDrag(ev) === false ||
+            (thisScript.dropZonePageWide === false &&
+             $.contains($top[0], ev.target) === false)) {
+          $top.removeClass(thisScript.dropZoneClass + '-active');
+          return;
+        }
+
+        $top.addClass(thisScript.dropZoneClass + '-active');
+        hideTimer = setTimeout(function () {
+          hideTimer = null;
+          $top.removeClass(thisScript.dropZoneClass + '-active');
+        }, thisScript.dropZoneHideDelay);
+      };
 
-            if (rowKind === 'folder' || rowKind === 'rootfolder') {
-              $thisTr.addClass('foldershare-draghover');
+      document.addEventListener('dragover', show, true);
+      document.addEventListener('drop', show, true);
+      $top.data('foldershare-dropzone', show);
 
-              if (env.dndCopyEnabled === true && env.dndMoveEnabled === true) {
-                allowed = 'copyMove';
-                effect = 'move';
-              }
-              else if (env.dndCopyEnabled === true) {
-                allowed = 'copy';
-                effect = 'copy';
-              }
-              else if (env.dndMoveEnabled === true) {
-                allowed = 'move';
-                effect = 'move';
-              }
-            }
+      //
+      // Accept drops
+      // ------------
+      // Row behaviors handle drops onto rows and stop the events. Drops
+      // anywhere else reach these behaviors and upload into the page's
+      // folder.
+      var over = function (ev) {
+        if (thisScript.dropZoneIsFileDrag(ev) === false) {
+          return true;
+        }
 
-            $thisTable.attr(thisScript.tableDragEffectAllowed, allowed);
-            ev.originalEvent.dataTransfer.effectAllowed = allowed;
-            ev.originalEvent.dataTransfer.dropEffect = effect;
-          }
-          break;
-      }
+        if (thisScript.checkFileDragSupport(ev, env) === false) {
+          return true;
+        }
 
-      return false;
+        ev.originalEvent.dataTransfer.dropEffect = 'copy';
+        return false;
+      };
+
+      var drop = function (ev) {
+        if (thisScript.dropZoneIsFileDrag(ev) === false) {
+          return true;
+        }
+
+        $top.removeClass(thisScript.dropZoneClass + '-active');
+        if (env.dndUploadEnabled === true) {
+          thisScript.tableFileDrop(ev, env, page.id);
+        }
+
+        return false;
+      };
+
+      $top.on('dragover.foldershare', over);
+      $top.on('drop.foldershare', drop);
+
+      if (thisScript.dropZonePageWide === true) {
+        $(document).off('dragover.foldersharedropzone drop.foldersharedropzone');
+        $(document).on('dragover.foldersharedropzone', over);
+        $(document).on('drop.foldersharedropzone', drop);
+      }
     },
 
     /**
-     * Handles the continuation of an entity or file drag.
-     *
-     * The drag in progress can be either an entity row drag or a file drag
-     * that is dragging a file in from off-browser. It is important
-     * to keep this behavior as fast as possible because browsers generate
-     * a large number of these events, whether the user's cursor is moving
-     * or not.
-     *
-     * For entity row drags, most processing is done on a "dragenter". This
-     * method merely reaffirms the current drag effect (e.g. copy or move).
-     *
-     * For file drags, most processing is done on a "dragleave". But on the
-     * first "dragover" event during a file drag, intial setup is done.
-     * Thereafter this method merely reaffirms the current drag effect.
+     * Returns true if a drag event is for files dragged in from off browser.
      *
      * @param ev
-     *   The row event to handle.
-     * @param env
-     *   The environment object.
+     *   The drag event.
      *
      * @return
-     *   Returns false and prevents further event processing.
+     *   Returns true for a file drag, and false for a row drag or any
+     *   other drag.
      */
-    tableRowDragOver: function (ev, env) {
-      var $thisTr    = $(this);
-      var $thisTable = env.gather.$table;
-      var thisScript = Drupal.foldershare.UIFolderTableMenu;
-
-      switch ($thisTable.attr(thisScript.tableDragOperand)) {
-        default:
-        case 'rows':
-        case 'files':
-          break;
-
-        case 'none':
-          // Since the drag operand is still 'none', this must be the first
-          // drag event for a file drag from off-browser.
-          //
-          // The event's dataTransfer property exists and can be configured
-          // at this point, BUT the list of files being dragged is not yet
-          // known. We therefore cannot confirm that the drag is valid yet.
-          //
-          // We can check if the browser supports dragged files for uploads.
-          // This tries to use the empty file list from the dataTransfer and
-          // set the input field's files. If this fails, the browser does not
-          // support setting the field.
-          if (thisScript.checkFileDragSupport(ev, env) === false) {
-            break;
-          }
+    dropZoneIsFileDrag: function (ev) {
+      var dataTransfer = (typeof ev.originalEvent === 'undefined') ?
+        ev.dataTransfer : ev.originalEvent.dataTransfer;
+      if (typeof dataTransfer === 'undefined' ||
+          dataTransfer === null ||
+          typeof dataTransfer.types === 'undefined') {
+        return false;
+      }
 
-          // Mark the table as having a file drag in progress. File drags
-          // are always 'copy' operations.
-          $thisTable.attr(thisScript.tableDragOperand, 'files');
-          $thisTable.attr(thisScript.tableDragEffectAllowed, 'copy');
-          $thisTable.attr(thisScript.tableDragRowIndex, this.rowIndex);
+      var types = Array.prototype.slice.call(dataTransfer.types);
+      return ($.inArray('Files', types) !== (-1) &&
+        $.inArray('foldershare/local-entity-list', types) === (-1));
+    },
 
-          ev.originalEvent.dataTransfer.dropEffect = 'copy';
-          ev.originalEvent.dataTransfer.effectAllowed = 'copy';
+    /*--------------------------------------------------------------------
+     *
+     * Confirmation.
+     *
+     * Commands the server marks as destructive, such as delete and move,
+     * show a dialog listing the affected items before they run. The user
+     * may turn the dialog off for a command until the browser tab is
+     * closed.
+     *
+     *--------------------------------------------------------------------*/
 
-          // Highlight the current row if it is a folder.
-          var $a = $('td.' + env.gather.nameColumn + ' a', $thisTr);
-          var rowKind = $a.attr('data-foldershare-kind');
-          if (rowKind === 'folder' || rowKind === 'rootfolder') {
-            $thisTr.addClass('foldershare-draghover');
-          }
-          break;
-      }
+    /**
+     * Confirms a destructive command, then runs it in the background.
+     *
+     * On success, the selection is cleared and the table refreshed. On
+     * failure, the server's error is shown in a dialog.
+     *
+     * @param env
+     *   The environment object.
+     * @param command
+     *   The command ID.
+     * @param destinationId
+     *   The destination entity ID, or null if there is none.
+     * @param entityIdList
+     *   The entity IDs of the affected items.
+     */
+    confirmRun: function (env, command, destinationId, entityIdList) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var utility    = Drupal.foldershare.utility;
 
-      ev.preventDefault();
-      ev.stopPropagation();
-      return false;
+      thisScript.confirmShow(env, command, destinationId, entityIdList, function () {
+        thisScript.serverCommandJson(
+          env,
+          command,
+          null,
+          destinationId,
+          entityIdList,
+          null)
+          .done(function (response) {
+            if (response.redirect !== '') {
+              window.location.href = response.redirect;
+              return;
+            }
+
+            thisScript.tableSelectNone(env);
+            thisScript.tableRefresh(env);
+          })
+          .fail(function (message) {
+            Drupal.dialog(
+              '<div><p>' + Drupal.checkPlain(message) + '</p></div>',
+              {
+                'title':   env.commands[command].label,
+                'buttons': [{
+                  'text':  utility.getTerm(env.settings.foldershare.terminology, 'close'),
+                  'click': function () {
+                    $(this).dialog('close');
+                  },
+                }],
+              }).showModal();
+
+            // Some items may have been changed before the failure.
+            thisScript.tableRefresh(env);
+          });
+      });
     },
 
     /**
-     * Handles leaving a region during an entity or file drag.
-     *
-     * The drag in progress can be either an entity row drag or a file drag
-     * that is dragging a file in from off-browser.
+     * Shows a dialog to confirm a destructive command.
      *
-     * For entity row drags, most processing is done on a "dragenter". This
-     * method does nothing.
-     *
-     * For file drags, most processing is done here. With a file drag, there
-     * is no unique ending event if the drag is canceled. All we get is a
-     * final "dragleave" and we cannot determine if the event is from a
-     * canceled drag or just a "dragleave" as the user's cursor is moving
-     * across an element boundary during a drag. This method is forced to
-     * assume the drag has been canceled and clean up for it since there will
-     * be no other opportunity to do so.
+     * The dialog lists the names and kinds of the affected items, and the
+     * destination folder, if any. If the user has turned off confirmation
+     * for the command, the command is confirmed without a dialog.
      *
-     * @param ev
-     *   The row event to handle.
      * @param env
      *   The environment object.
+     * @param command
+     *   The command ID.
+     * @param destinationId
+     *   The destination entity ID, or null if there is none.
+     * @param entityIdList
+     *   The entity IDs of the affected items.
+     * @param onConfirm
+     *   The function called when the user confirms the command.
      */
-    tableRowDragLeave: function (ev, env) {
-      var $thisTr    = $(this);
-      var $thisTable = env.gather.$table;
-      var thisScript = Drupal.foldershare.UIFolderTableMenu;
+    confirmShow: function (env, command, destinationId, entityIdList, onConfirm) {
+      var thisScript  = Drupal.foldershare.UIFolderTableMenu;
+      var utility     = Drupal.foldershare.utility;
+      var terminology = env.settings.foldershare.terminology;
+      var label       = env.commands[command].label;
 
-      switch ($thisTable.attr(thisScript.tableDragOperand)) {
-        default:
-        case 'rows':
-        case 'none':
-          break;
+      if (thisScript.confirmIsSkipped(command) === true) {
+        onConfirm();
+        return;
+      }
 
-        case 'files':
-          // Assume this is the last event of a canceled file drag, since
-          // we can't tell otherwise. End the file drag.
-          $thisTr.removeClass('foldershare-draghover');
-          $thisTable.attr(thisScript.tableDragOperand, 'none');
-          $thisTable.attr(thisScript.tableDragEffectAllowed, 'none');
-          $thisTable.attr(thisScript.tableDragRowIndex, 'NaN');
-          break;
+      //
+      // Build prompt
+      // ------------
+      // Name the command and, for moves, the destination folder.
+      var prompt;
+      if (destinationId === null) {
+        prompt = terminology.text.confirm_prompt;
+        if (typeof prompt === 'undefined') {
+          prompt = '@command these items?';
+        }
+      }
+      else {
+        prompt = terminology.text.confirm_prompt_destination;
+        if (typeof prompt === 'undefined') {
+          prompt = '@command these items into "@name"?';
+        }
+
+        prompt = prompt.replace(
+          '@name',
+          thisScript.confirmGetItem(env, destinationId).name);
       }
 
-      return false;
+      var text = '<div class="foldershare-confirm"><p><strong>' +
+        Drupal.checkPlain(prompt.replace('@command', label)) +
+        '</strong></p><ul>';
+
+      //
+      // List items
+      // ----------
+      // List each item's name and kind, up to a limit.
+      var n = Math.min(entityIdList.length, thisScript.confirmMaxItems);
+      for (var i = 0; i < n; ++i) {
+        var item = thisScript.confirmGetItem(env, entityIdList[i]);
+        text += '<li>' + Drupal.checkPlain(item.name);
+        if (item.kind !== '') {
+          text += ' <span class="foldershare-confirm-kind">(' +
+            Drupal.checkPlain(utility.getKindSingular(terminology, item.kind)) +
+            ')</span>';
+        }
+        text += '</li>';
+      }
+
+      if (entityIdList.length > n) {
+        var more = terminology.text.confirm_more;
+        if (typeof more === 'undefined') {
+          more = 'and @count more';
+        }
+        text += '<li>' + Drupal.checkPlain(
+          more.replace('@count', entityIdList.length - n)) + '</li>';
+      }
+
+      text += '</ul><label><input type="checkbox" class="foldershare-confirm-skip"> ' +
+        utility.getTerm(terminology, "don't ask again this session", false) +
+        '</label></div>';
+
+      Drupal.dialog(text, {
+        'title':   label,
+        'buttons': [
+          {
+            'text':  label,
+            'click': function () {
+              if ($('.foldershare-confirm-skip', this).is(':checked') === true) {
+                thisScript.confirmSetSkipped(command);
+              }
+
+              $(this).dialog('close');
+              onConfirm();
+            },
+          },
+          {
+            'text':  utility.getTerm(terminology, 'cancel'),
+            'click': function () {
+              $(this).dialog('close');
+            },
+          },
+        ],
+      }).showModal();
     },
 
     /**
-     * Handles a drop of an entity drag.
+     * Returns the name and kind of an item for a confirmation dialog.
      *
-     * The drop triggers a move or copy of the dragged entities into a
-     * subfolder.
+     * The name is read from the item's name column anchor on the page or,
+     * for items selected on other table pages, from the selection model.
+     * Ancestor folders are found in the ancestor menu.
      *
-     * @param ev
-     *   The row event to handle.
      * @param env
      *   The environment object.
+     * @param entityId
+     *   The entity ID.
      *
      * @return
-     *   Returns false and prevents further event processing.
+     *   Returns an object with 'name' and 'kind' properties. If the item
+     *   is not found, the name is the entity ID and the kind is empty.
      */
-    tableRowDragDrop: function (ev, env) {
-      var $thisTr    = $(this);
-      var $thisTable = env.gather.$table;
+    confirmGetItem: function (env, entityId) {
       var thisScript = Drupal.foldershare.UIFolderTableMenu;
+      var selector = '[data-foldershare-id="' + entityId + '"]';
 
-      // Get the entity ID under the drop row.
-      var $a = $('td.' + env.gather.nameColumn + ' a', $thisTr);
-      var rowKind = $a.attr('data-foldershare-kind');
-      var dropEntityId = $a.attr('data-foldershare-id');
-
-      // The data transfer's "dropEffect" is handled differently by
-      // different browsers:
-      //
-      // - Microsoft Edge and Mozilla Firefox set "dropEffect" to
-      //   "copy" or "move" when earlier "dragenter" or "dragover"
-      //   behaviors have constained the allowed effect to "copyMove".
-      //
-      // - Apple Safari sets "dropEffect" to "none" and "effectAllowed" to
-      //   "all", "copy", or "move" when we constrain the allowed effect to
-      //   "copyMove".
-      switch ($thisTable.attr(thisScript.tableDragOperand)) {
-        default:
-        case 'none':
-          break;
+      var $a = $('td.' + env.gather.nameColumn + ' a' + selector, env.gather.$tbody);
+      if ($a.length > 0) {
+        return {
+          'name': $a.eq(0).text(),
+          'kind': $a.eq(0).attr('data-foldershare-kind'),
+        };
+      }
 
-        case 'rows':
-          // Drop entity rows.
-          //
-          // Make sure the drop row is a folder.
-          if (rowKind !== 'folder' && rowKind !== 'rootfolder') {
-            // User error. Cannot drop onto a non-folder.
-            break;
-          }
+      var items = thisScript.selectionGetModel(env).items;
+      if (entityId in items === true) {
+        return {
+          'name': items[entityId].name,
+          'kind': items[entityId].kind,
+        };
+      }
 
-          // Get the drag's list of entity IDs and make sure the drop row's
-          // entity ID is not in the list.
-          var entityIdList = JSON.parse(ev.originalEvent.dataTransfer.getData(
-              'foldershare/local-entity-list'));
-          if ($.inArray(dropEntityId, entityIdList) !== (-1)) {
-            // User error. Cannot drop onto self.
-            break;
-          }
+      var $li = $('.foldershare-ancestormenu-menu li' + selector);
+      if ($li.length > 0) {
+        return {
+          'name': $.trim($li.eq(0).text()),
+          'kind': $li.eq(0).attr('data-foldershare-kind'),
+        };
+      }
 
-          // Determine if the operation is a copy or move.
-          var effect = ev.originalEvent.dataTransfer.dropEffect;
-          var command = null;
-          if (effect === 'none') {
-            switch (ev.originalEvent.dataTransfer.effectAllowed) {
-              case 'copyMove':
-              case 'linkMove':
-              case 'move':
-              case 'all':
-                effect = 'move';
-                break;
-
-              case 'copyLink':
-              case 'copy':
-                effect = 'copy';
-                break;
-            }
+      return {
+        'name': String(entityId),
+        'kind': '',
+      };
+    },
 
-            if (effect === 'none') {
-              // Still none. Cannot figure out effect.
-              break;
-            }
-          }
+    /**
+     * Returns true if the user has turned off confirmation for a command.
+     *
+     * @param command
+     *   The command ID.
+     *
+     * @return
+     *   Returns true if the command needs no confirmation.
+     */
+    confirmIsSkipped: function (command) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
 
-          switch (effect) {
-            case 'move':
-              command = thisScript.moveCommand;
-              break;
-            case 'copy':
-              command = thisScript.copyCommand;
-              break;
-          }
+      try {
+        var list = JSON.parse(
+          window.sessionStorage.getItem(thisScript.confirmSkipKey));
+        if (Array.isArray(list) === true && list.includes(command) === true) {
+          return true;
+        }
+      }
+      catch (er) {
+        // Session storage is not available or the list is malformed.
+      }
 
-          // Issue the copy or move command.
-          thisScript.serverCommandSetup(
-            env,
-            command,
-            null,
-            dropEntityId,
-            entityIdList,
-            null
-          );
-          thisScript.serverCommandSubmit(env);
-          break;
+      return (command in thisScript.confirmSkip === true);
+    },
 
-        case 'files':
-          // Drop files.
-          //
-          // Clean up at the end of a file drag.
-          $thisTr.removeClass('foldershare-draghover');
-          $thisTable.attr(thisScript.tableDragOperand, 'none');
-          $thisTable.attr(thisScript.tableDragEffectAllowed, 'none');
-          $thisTable.attr(thisScript.tableDragRowIndex, 'NaN');
+    /**
+     * Turns off confirmation for a command for the rest of the session.
+     *
+     * @param command
+     *   The command ID.
+     */
+    confirmSetSkipped: function (command) {
+      var thisScript = Drupal.foldershare.UIFolderTableMenu;
 
-          // If the drop row is not a folder or root folder, use the
-          // current page's folder, if any.
-          if (rowKind !== 'folder' && rowKind !== 'rootfolder') {
-            dropEntityId = env.settings.foldershare.page.id;
-            if (dropEntityId === (-1)) {
-              // There is no current page entity. Cannot drop here.
-              break;
-            }
-          }
+      thisScript.confirmSkip[command] = true;
 
-          thisScript.checkFileDragValid(ev, env,
-            function (ev, env, fileList) {
-              // Issue the upload command.
-              thisScript.serverCommandSetup(
-                env,
-                thisScript.uploadCommand,
-                dropEntityId,
-                null,
-                null,
-                fileList);
-              thisScript.serverCommandSubmit(env);
-            },
-            function (ev, env, fileList) {
-              // Tell the user the drag was not valid.
-              var text = '<div>';
-              if (fileList.length <= 1) {
-                var translated = env.settings.foldershare.terminology.text.upload_dnd_invalid_singular;
-                if (typeof translated === 'undefined') {
-                  text += '<p><strong>Drag-and-drop item cannot be uploaded.</strong></p>';
-                  text += '<p>You may not have access to the item, or it may be a folder. Folder upload is not supported.</p>';
-                }
-                else {
-                  text += translated;
-                }
-              }
-              else {
-                var translated = env.settings.foldershare.terminology.text.upload_dnd_invalid_plural;
-                if (typeof translated === 'undefined') {
-                  text += '<p><strong>Drag-and-drop items cannot be uploaded.</strong></p>';
-                  text += '<p>You may not have access to these items, or one of them may be a folder. Folder upload is not supported.</p>';
-                }
-                else {
-                  text += translated;
-                }
-              }
-              text += '</div>';
+      try {
+        var list = JSON.parse(
+          window.sessionStorage.getItem(thisScript.confirmSkipKey));
+        if (Array.isArray(list) === false) {
+          list = [];
+        }
 
-              Drupal.dialog(text, {}).showModal();
-            });
-          break;
+        list.push(command);
+        window.sessionStorage.setItem(
+          thisScript.confirmSkipKey,
+          JSON.stringify(list));
+      }
+      catch (er) {
+        // Session storage is not available. Confirmation is only turned
+        // off until the page is reloaded.
       }
+    },
 
-      ev.preventDefault();
-      ev.stopPropagation();
-      return false;
+    /*--------------------------------------------------------------------
+     *
+     * Events.
+     *
+     * Custom jQuery events are triggered on the top element so that other
+     * scripts may follow the selection and commands:
+     * - foldershare:selectionchange = the selection has changed. The
+     *   handler gets the selection, grouped by kind.
+     * - foldershare:menuopen = a menu has been shown. The handler gets an
+     *   object with 'menu' ('main', 'context', or 'drop') and '$menu'.
+     * - foldershare:beforecommand = a command is about to be sent. The
+     *   handler gets the command's operands and may change them, or
+     *   call preventDefault() to cancel the command.
+     * - foldershare:aftercommand = a command has been sent. The handler
+     *   gets the operands, plus the response or error for background
+     *   commands. For background uploads, the event is triggered when
+     *   the upload is finished.
+     * - foldershare:dragdrop = rows or files have been dropped onto a
+     *   folder. The handler may call preventDefault() to cancel the drop.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Triggers a custom event on the top element.
+     *
+     * @param env
+     *   The environment object.
+     * @param name
+     *   The event name, without the 'foldershare:' prefix.
+     * @param data
+     *   The data passed to event handlers.
+     *
+     * @return
+     *   Returns the jQuery event object.
+     */
+    eventTrigger: function (env, name, data) {
+      var ev = $.Event('foldershare:' + name);
+      env.$topElement.trigger(ev, [data]);
+      return ev;
     },
 
     /**
-     * Returns the current table row selection, grouped by entity kind.
+     * Triggers the 'foldershare:beforecommand' event.
      *
-     * The view table is scanned for selected rows. The entity ID, kind, and
-     * access information for each selected row are extracted and used to
-     * bin entities into an object with one property for each kind found.
-     * The value of the property is an array containing one object for each
-     * entity found of that property's kind. Each of those objects has 'id'
-     * and 'access' properties containing the corresponding values for the
-     * entity.
+     * The operands object has these properties, which handlers may change:
+     * - command = the command ID.
+     * - parentId = the parent entity ID.
+     * - destinationId = the destination entity ID, or null.
+     * - selectionIds = the array of selected entity IDs, or null.
+     * - files = the uploaded file list, or null.
      *
      * @param env
      *   The environment object.
+     * @param operands
+     *   The command's operands.
      *
      * @return
-     *   The returned object contains one property for each entity kind
-     *   found. The value for each property is an array of objects that each
-     *   contain an entity ID and access grants for that entity.
+     *   Returns false if a handler canceled the command, and true otherwise.
      */
-    tableGetSelectionIdsByKind: function (env) {
-      var $table = env.gather.$table;
-      var $tbody = env.gather.$tbody;
-      var result = { };
-
-      $('tr.selected td.' + env.gather.nameColumn + ' a', $tbody).each(
-        function (index, element) {
-          // Get the entity ID, kind, and access for the entity on the row.
-          // If any of these is missing, the row is malformed and ignored.
-          var entityId = $(this).attr('data-foldershare-id');
-          var kind     = $(this).attr('data-foldershare-kind');
-          var access   = $(this).attr('data-foldershare-access');
-
-          if (typeof entityId === 'undefined' ||
-            typeof kind       === 'undefined' ||
-            typeof access     === 'undefined' ) {
-            // Fail. Something is missing. Ignore the row.
-            return true;
-          }
-
-          // Decode the kind and access, and parse the access into JSON.
-          // If this fails, the row is malformed and ignored.
-          try {
-            access = access.split(',');
-          }
-          catch (err) {
-            // Fail. Parse error. Ignore the row.
-            return true;
-          }
-
-          // Add this row into the selection. Use the row kind to group
-          // rows, and save the entity ID and access array.
-          if (typeof result[kind] === 'undefined') {
-            result[kind] = [];
-          }
-
-          result[kind].push({
-            "id":     entityId,
-            "access": access
-          });
+    eventBeforeCommand: function (env, operands) {
+      var ev = Drupal.foldershare.UIFolderTableMenu.eventTrigger(
+        env,
+        'beforecommand',
+        operands);
 
-          return true;
-        });
+      return (ev.isDefaultPrevented() === false);
+    },
 
-      return result;
+    /**
+     * Triggers the 'foldershare:aftercommand' event.
+     *
+     * @param env
+     *   The environment object.
+     * @param operands
+     *   The command's operands.
+     * @param response
+     *   The server's response for a background command, the counts of
+     *   'done', 'failed', and 'canceled' files for a background upload,
+     *   or null.
+     * @param error
+     *   The error message for a failed background command or upload,
+     *   or null.
+     */
+    eventAfterCommand: function (env, operands, response, error) {
+      Drupal.foldershare.UIFolderTableMenu.eventTrigger(
+        env,
+        'aftercommand',
+        $.extend({}, operands, {
+          response: response,
+          error:    error
+        }));
     },
 
     /**
-     * Returns the current table row selection as an array of entity IDs.
+     * Triggers the 'foldershare:dragdrop' event.
      *
-     * The view table is scanned for selected rows. The entity ID for each
-     * selected row is added to an array and the array returned.
+     * The drop object has these properties:
+     * - operand = 'rows' or 'files'.
+     * - command = the copy, move, or upload command ID.
+     * - destinationId = the entity ID of the folder dropped onto.
+     * - entityIds = the array of dropped entity IDs, or null.
+     * - files = the dropped file list, or null.
      *
      * @param env
-     *   the environment object.
+     *   The environment object.
+     * @param drop
+     *   The drop description.
      *
      * @return
-     *   Returns an array of entity IDs for selected rows.
+     *   Returns false if a handler canceled the drop, and true otherwise.
      */
-    tableGetSelectionIds: function (env) {
-      var $table = env.gather.$table;
-      var $tbody = env.gather.$tbody;
-      var result = [];
-
-      $('tr.selected td.' + env.gather.nameColumn + ' a', $tbody).each(
-        function (index, element) {
-          var entityId = $(this).attr('data-foldershare-id');
-          if (typeof entityId === 'undefined') {
-            // Fail. ID is missing. Ignore the row.
-            return true;
-          }
-          result.push(entityId);
-          return true;
-        });
+    eventDragDrop: function (env, drop) {
+      var ev = Drupal.foldershare.UIFolderTableMenu.eventTrigger(
+        env,
+        'dragdrop',
+        drop);
 
-      return result;
+      return (ev.isDefaultPrevented() === false);
     },
 
     /*--------------------------------------------------------------------
@@ -2985,6 +9204,59 @@
      *
      *--------------------------------------------------------------------*/
 
+    /**
+     * Validates that a destination meets a command's constraints.
+     *
+     * Each command has destination constraints that limit the command to
+     * use only folders or root folders as destinations, and require that
+     * the user have an access grant on the destination, such as "update".
+     *
+     * This mimics similar checking on the server and is used to reject
+     * drag-and-drop targets that the server would reject.
+     *
+     * @param env
+     *   The environment object.
+     * @param commandId
+     *   A ID of the command to check for use with the destination.
+     * @param kind
+     *   The kind of the destination.
+     * @param access
+     *   An array of access operations granted on the destination.
+     *
+     * @return
+     *   Returns true if the command's destination constraints are met by
+     *   the destination, and false otherwise.
+     */
+    checkDestinationConstraints: function (env, commandId, kind, access) {
+      if (commandId in env.commands === false) {
+        return false;
+      }
+
+      // Get the command's destination constraints.
+      var constraints = env.commands[commandId].destinationConstraints;
+
+      //
+      // Check destination kind
+      // ----------------------
+      // Insure the kind of the destination is supported by the command.
+      var kinds = constraints['kinds'];
+      if ($.inArray('any', kinds) === (-1) &&
+          $.inArray(kind, kinds) === (-1)) {
+        return false;
+      }
+
+      //
+      // Check destination access
+      // ------------------------
+      // Insure the destination grants the command's access.
+      var op = constraints['access'];
+      if (op !== 'none' && $.inArray(op, access) === (-1)) {
+        return false;
+      }
+
+      return true;
+    },
+
     /**
      * Validates that the selection meets a command's constraints.
      *
@@ -3013,7 +9285,7 @@
       // Setup
       // -----
       // Get the command's selection constraints.
-      var constraints = env.settings.foldershare.commands[commandId].selectionConstraints;
+      var constraints = env.commands[commandId].selectionConstraints;
 
       //
       // Check selection size
@@ -6,19 +6,25 @@
  * groups (e.g. "personal", "public", etc.). Each group looks like a folder.
  * To keep the UI consistent between this table and pages showing a list of
  * root folders, or the contents of a folder, this UI creates a menu button
- * and pull-down menu that lists commands that operate upon root folder groups.
- * That command list is very abbreviated... it only includes "Open...".
+ * and pull-down menu of commands.
  *
- * The "Open..." command requires a selection of a single root folder group
- * to open, so this script supports selecting single rows in the table.
- * Double-clicking a row opens the row's group by advancing to its page.
- * Right-clicking on a row shows a context menu with "Open...".
+ * The menu is driven by the same server command list as folder tables,
+ * and culled by the same rules. The page has no page entity, so commands
+ * are available if they accept a parent kind of "none", such as creating
+ * a new root folder. Groups are not entities, so commands that require a
+ * selection are also culled, except for "Open...". Opening a group
+ * advances to the group's page.
+ *
+ * Rows in the table may be selected the same way as in folder tables,
+ * including control/command-click to toggle a row, shift-click to select
+ * a range, and arrow keys to move the selection. Double-clicking a row,
+ * or pressing Enter, opens the row's group. Right-clicking on a row shows
+ * a context menu of commands for the selected groups, including
+ * "Open in New Tab" to open every selected group in its own tab.
  *
  * Unlike folder tables, this table does not support:
- * - Multi-row selection.
  * - Drag-and-drop of rows.
  * - Drag-and-drop of files.
- * - A file dialog for uploading.
  *
  * This script requires that each row have a name column and that that
  * column's value in each row includes an anchor tag with a URL that leads
@@ -33,12 +39,14 @@
 
   // Check pre-requisits.
   //
-  // The utility library must have been loaded before this script.
+  // The utility library and folder table menu script must have been
+  // loaded before this script.
   if ('foldershare' in Drupal === false ||
-      'utility' in Drupal.foldershare === false) {
+      'utility' in Drupal.foldershare === false ||
+      'UIFolderTableMenu' in Drupal.foldershare === false) {
     console.log(
       "%cFolderShare: Javascript files included in wrong order%c\n" +
-      "%cfoldershare.ui.rootfoldergroupstablemenu.js requires that foldershare.ui.utility.js be included first.",
+      "%cfoldershare.ui.rootfoldergroupstablemenu.js requires that foldershare.ui.utility.js and foldershare.ui.foldertablemenu.js be included first.",
       'font-weight: bold',
       'font-weight: normal',
       'padding-left: 2em',
@@ -48,6 +56,33 @@
 
   Drupal.foldershare.UIRootFolderGroupsTableMenu = {
 
+    /*--------------------------------------------------------------------
+     *
+     * Constants.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * The name of the module's standard open command.
+     *
+     * On this page, the command opens the selected root folder group
+     * instead of being sent to the server.
+     */
+    openCommand: 'foldersharecommand_open',
+
+    /**
+     * The name of this page's command to open groups in new tabs.
+     *
+     * The command is not a server command. It is added to this page's
+     * menus and opens each selected group in a new browser tab.
+     */
+    openNewTabCommand: 'foldershare_open_new_tab',
+
+    /**
+     * The kind used for root folder groups in a selection.
+     */
+    groupKind: 'rootfoldergroup',
+
     /*--------------------------------------------------------------------
      *
      * Initialize.
@@ -64,8 +99,9 @@
      * Attaches the module's root folder groups table menu UI behaviors.
      *
      * The root folder groups table menu UI includes
-     * - A command menu that only includes "Open...".
+     * - A command menu of commands available on a page with no page entity.
      * - A menu button used to present the command menu.
+     * - A context menu for table rows.
      * - Table row selection.
      *
      * All UI elements and related elements are found, validated,
@@ -138,12 +174,18 @@
         //
         // Gather configuration
         // --------------------
-        // Find the table of root folder groups.
+        // Find the command form and the table of root folder groups.
         if (thisObject.gather(env) === false) {
           // Fail. UI elements could not be found.
           return true;
         }
 
+        //
+        // Gather commands
+        // ---------------
+        // Cull the server's command list into main and context menu lists.
+        thisObject.gatherCommands(env);
+
         //
         // Build UI
         // --------
@@ -161,10 +203,11 @@
     /**
      * Gathers UI elements from the page.
      *
-     * This function searches for the UI's elements and saves them into the
-     * environment:
-     * - env.gather.$form      = the <form> for the menu button.
-     * - env.gather.$table     = the <table> of root folder groups.
+     * The page's command form has the same hidden command fields as a
+     * folder table's form, so they are found the same way. This saves
+     * the form, its fields, and the table into the environment, as
+     * described by UIFolderTableMenu.gather(). It also checks that the
+     * table has a name column:
      * - env.gather.nameColumn = the group name table column.
      *
      * @param env
@@ -175,10 +218,11 @@
      *   Returns TRUE on success and FALSE otherwise.
      */
     gather: function (env) {
-      var utility    = Drupal.foldershare.utility;
-      var base       = 'foldershare-root-folder-groups-table';
-      var nameColumn = 'views-field-name';
+      var utility = Drupal.foldershare.utility;
 
+      //
+      // Find form and table
+      // -------------------
       // The page structure contains a toolbar and table wrapper <div>,
       // then two child <div>s containing the toolbar and table:
       //
@@ -187,35 +231,12 @@
       //   <div class="foldershare-root-folder-groups-table">...</div>
       // </div>
       //
-      // The toolbar <div> contains a form into which to place the menu
-      // button. The form is not used for anything else.
+      // The toolbar <div> contains the command form, into which to put
+      // the menu button and menus.
       //
       // The table <div> contains a <table> listing root folder groups.
-      // One column should be a 'name' column that contains group names
-      // and anchors with URLs leading to individual group pages.
-      //
-      // Find toolbar form
-      // -----------------
-      // Find the form into which to put the menu button.
-      var cls = base + '-menu-form';
-
-      var $form = $('.' + cls, env.$topElement).eq(0);
-      if ($form.length === 0) {
-        utility.printMalformedError(
-          "The required <form> with class '" + cls + "' could not be found.");
-        return false;
-      }
-
-      //
-      // Find table
-      // ----------
-      // Find the table of root folder groups.
-      cls = 'views-table';
-
-      var $table = $('div.' + base + ' table.' + cls, env.$topElement).eq(0);
-      if ($table.length === 0) {
-        utility.printMalformedError(
-          "The required <table> with class '" + cls + "' could not be found.");
+      if (Drupal.foldershare.UIFolderTableMenu.gather(env) === false) {
+        // Fail. The form or table could not be found.
         return false;
       }
 
@@ -224,23 +245,127 @@
       // -------------------------
       // Operations to open a root folder group need to know the group's
       // name cell and the anchor within it in order to trigger that anchor.
-      var $td = $('td.' + nameColumn, $table);
+      var nameColumn = env.gather.nameColumn;
+      var $td = $('td.' + nameColumn, env.gather.$table);
       if ($td.length === 0) {
         utility.printMalformedError(
           "The required table column with class '" + nameColumn + "' could not be found.");
         return false;
       }
 
+      return true;
+    },
+
+    /**
+     * Gathers the commands for the main and context menus.
+     *
+     * Commands are culled and categorized by UIFolderTableMenu.gatherCommands()
+     * using the page's settings. Since the page has no page entity, only
+     * commands that accept a parent kind of "none" remain.
+     *
+     * Root folder groups are not entities, so a selection of groups cannot
+     * be sent to the server. Commands that require a selection are culled,
+     * except for the open command, which is handled here.
+     *
+     * An "Open in New Tab" command is then added after the open command.
+     * It accepts one or more selected groups. The command is only added
+     * to this page's menu lists, not to the server's command list.
+     *
+     * @param env
+     *   The environment object.
+     *
+     * @return
+     *   Always returns true.
+     */
+    gatherCommands: function (env) {
+      var thisScript = Drupal.foldershare.UIRootFolderGroupsTableMenu;
+
+      Drupal.foldershare.UIFolderTableMenu.gatherCommands(env);
+
+      var cull = function (commands, categories) {
+        for (var [cat, value] of categories) {
+          value.commandIds = value.commandIds.filter(function (commandId) {
+            var types = commands[commandId].selectionConstraints.types;
+            if (commandId === thisScript.openCommand ||
+                types.includes('none') === true) {
+              return true;
+            }
+
+            delete commands[commandId];
+            return false;
+          });
+
+          if (value.commandIds.length === 0) {
+            categories.delete(cat);
+          }
+        }
+      };
+
+      cull(env.mainCommands, env.mainCategories);
+      cull(env.contextCommands, env.contextCategories);
+
       //
-      // Update environment
-      // ------------------
-      // Save information.
-      env['gather'] = {
-        '$form':      $form,
-        '$table':     $table,
-        'nameColumn': nameColumn,
+      // Add open in new tab
+      // -------------------
+      // The command's definition has the same fields as a server command
+      // so that menus can treat it like the other commands.
+      var commandId = thisScript.openNewTabCommand;
+      var label = Drupal.foldershare.utility.getTerm(
+        env.settings.foldershare.terminology,
+        'open_new_tab');
+
+      var def = {
+        id: commandId,
+        label: label,
+        menuNameDefault: label,
+        menuName: label,
+        tooltip: label,
+        description: '',
+        category: 'open',
+        weight: 0,
+        parentConstraints: {
+          kinds: ['none'],
+          access: 'none',
+        },
+        selectionConstraints: {
+          types: ['one', 'many'],
+          kinds: ['any'],
+          access: 'view',
+        },
+        destinationConstraints: {
+          kinds: ['none'],
+          access: 'none',
+        },
+        specialHandling: [],
+      };
+
+      var add = function (commands, categories) {
+        commands[commandId] = def;
+
+        if (categories.has('open') === false) {
+          // Put a new open category first, as it would be on the server.
+          var categoryTerms = env.settings.foldershare.terminology.categories;
+          var entries = Array.from(categories);
+          categories.clear();
+          categories.set('open', {
+            'name': categoryTerms.hasOwnProperty('open') === true ?
+              categoryTerms['open'] : 'open',
+            'commandIds': [],
+          });
+          for (var [cat, value] of entries) {
+            categories.set(cat, value);
+          }
+        }
+
+        // Add the command just after the open command, if any.
+        var commandIds = categories.get('open').commandIds;
+        var index = commandIds.indexOf(thisScript.openCommand);
+        commandIds.splice(index + 1, 0, commandId);
       };
 
+      add(env.mainCommands, env.mainCategories);
+      add(env.contextCommands, env.contextCategories);
+
       return true;
     },
 
@@ -265,69 +390,68 @@
      *   Returns TRUE on success and FALSE otherwise.
      */
     build: function (env) {
-      var utility     = Drupal.foldershare.utility;
-      var base        = 'foldershare-root-folder-groups-table';
-      var terminology = env.settings.foldershare.terminology;
+      var thisScript   = Drupal.foldershare.UIRootFolderGroupsTableMenu;
+      var folderScript = Drupal.foldershare.UIFolderTableMenu;
+      var utility      = Drupal.foldershare.utility;
+      var base         = 'foldershare-root-folder-groups-table';
+      var terminology  = env.settings.foldershare.terminology;
 
       var menuLabel = utility.getTerm(terminology, 'menu');
-      var openLabel = utility.getTerm(terminology, 'open');
 
-      var $form  = env.gather.$form;
-      var $table = env.gather.$table;
-      var $tbody = $table.find('tbody');
-      var nameColumn = env.gather.nameColumn;
+      var $subform = env.gather.$subform;
+      var $table   = env.gather.$table;
+      var $tbody   = env.gather.$tbody;
 
       //
       // Create main menu button
       // -----------------------
-      // Create the main menu button and append it to the form.
+      // Create the main menu button and append it to the command subform.
       // If there is a button already there, remove it first.
       var cls = base + '-mainmenu-button';
 
-      $('.' + cls, $form).remove();
+      $('.' + cls, $subform).remove();
 
-      $form.prepend(
+      $subform.prepend(
         '<button type="button" class="' + cls + '">' +
         '<span>' + menuLabel + '</span>' +
         '</button>');
 
-      var $menuButton = $('.' + cls, $form);
+      var $menuButton = $('.' + cls, $subform);
       $menuButton.button().show();
 
       //
       // Create main menu
       // ----------------
-      // Create the main menu HTML and append it to the form.
+      // Create the main menu HTML and append it to the command subform.
       // If there is a menu already there, remove it first.
       cls = base + '-mainmenu';
 
-      var menuHtml = '<ul class="hidden ' + cls + '">' +
-        '<li data-foldershare-command="open"><div>' +
-        openLabel + '</div></li></ul>';
-
-      $('.' + cls, $form).remove();
+      $('.' + cls, $subform).remove();
 
-      $form.append(menuHtml);
+      $subform.append(thisScript.buildMenu(
+        cls,
+        env.mainCategories,
+        env.mainCommands));
 
-      var $menu = $('.' + cls, $form);
+      var $menu = $('.' + cls, $subform);
       $menu.menu().hide();
       $menu.removeClass('hidden');
 
       //
       // Create context menu
       // -------------------
-      // Create the context menu HTML and append it to the form.
+      // Create the context menu HTML and append it to the command subform.
       // If there is a menu already there, remove it first.
       cls = base + '-contextmenu';
 
-      menuHtml = '<ul class="hidden ' + cls + '"><li><div>' +
-        openLabel + '</div></li></ul>';
-
-      $('.' + cls, $form).remove();
+      $('.' + cls, $subform).remove();
 
-      $form.append(menuHtml);
+      $subform.append(thisScript.buildMenu(
+        cls,
+        env.contextCategories,
+        env.contextCommands));
 
-      var $contextMenu = $('.' + cls, $form);
+      var $contextMenu = $('.' + cls, $subform);
       $contextMenu.menu().hide();
       $contextMenu.removeClass('hidden');
 
@@ -336,7 +460,7 @@
       // --------------------------------
       // When the main menu button is pressed, show the main menu.
       // When the menu is about to be shown, update all menu items to
-      // enable/disable based on the selection.
+      // enable/disable and adjust the text to reflect the selection.
       $menuButton.off('click.foldershare');
       $menuButton.on('click.foldershare', function (ev) {
         if ($menu.menu().is(":visible")) {
@@ -345,14 +469,8 @@
           return false;
         }
 
-        // If there is no selection, disable the menu. Otherwise enable.
-        if ($('tr.selected', $tbody).length === 0) {
-          $('.ui-menu-item', $menu).addClass('ui-state-disabled').removeClass('ui-state-enabled');
-        }
-        else {
-          $('.ui-menu-item', $menu).addClass('ui-state-enabled').removeClass('ui-state-disabled');
-
-        }
+        // Update the menu's text based on the selection.
+        thisScript.menuUpdate(env, $menu, env.mainCommands);
 
         // Position the menu and show it.
         $menu.show().position({
@@ -371,19 +489,18 @@
       });
 
       //
-      // Attach main & context menu item behaviors
-      // -----------------------------------------
-      // When a menu item is selected, follow the selected row's anchor.
+      // Attach main menu item behavior
+      // ------------------------------
+      // When a menu item is selected, trigger the command.
       $menu.off('menuselect.foldershare');
       $menu.on('menuselect.foldershare', function (ev, ui) {
         // Insure the menu is hidden.
         $menu.menu().hide();
 
-        // Get the first selected row. Get the anchor URL and load it.
-        var $tr = $('tr.selected', $tbody).eq(0);
-
-        var $a = $('td.' + nameColumn + ' a', $tr);
-        $a[0].click();
+        // Run the command.
+        thisScript.commandRun(
+          env,
+          $(ui.item).attr('data-foldershare-command'));
 
         return true;
       });
@@ -397,24 +514,41 @@
         // Insure the menu is hidden.
         $contextMenu.menu().hide();
 
-        // Get the first selected row. Get the anchor URL and load it.
-        var $tr = $('tr.selected', $table).eq(0);
-
-        var $a = $('td.' + env.gather.nameColumn + ' a', $tr);
-        $a[0].click();
+        // Run the command.
+        thisScript.commandRun(
+          env,
+          $(ui.item).attr('data-foldershare-command'));
 
         return true;
       });
 
+      //
+      // Attach upload behavior
+      // ----------------------
+      // When a file dialog is closed, and there is a file selection,
+      // submit the command form set up when the menu command was selected.
+      env.gather.$uploadInput.off('change.foldershare');
+      env.gather.$uploadInput.on(
+        'change.foldershare',
+        function (ev, ui) {
+          if (this.files.length === 0) {
+            return;
+          }
+
+          folderScript.serverCommandSubmit(env);
+        });
+
       //
       // Context menu right-click
       // ------------------------
-      // Attach a row behavior to present the context menu. Typically this
-      // event is generated by a right-click, but it also may be presented
-      // by a special context menu keyboard key.
-      $('tr', $tbody).off('contextmenu.foldershare');
-      $('tr', $tbody).on(
+      // Row behaviors are delegated from the table body, as on folder
+      // pages. Attach a row behavior to present the context menu.
+      // Typically this event is generated by a right-click, but it also
+      // may be presented by a special context menu keyboard key.
+      $tbody.off('.foldershare');
+      $tbody.on(
         'contextmenu.foldershare',
+        'tr',
         function (ev) {
           if ($contextMenu.menu().is(":visible")) {
             // When the menu is already visible, hide it.
@@ -422,25 +556,16 @@
           }
           else {
             // If the current row is NOT selected, select it (clearing any
-            // prior selection). Otherwise get the current selection.
+            // prior selection). Otherwise keep the current selection, which
+            // may include multiple rows.
             var $thisTr = $(this);
             if ($thisTr.hasClass("selected") === false) {
-              // Clear the current selection.
-              $('tr', $tbody).each( function() {
-                $(this).toggleClass('selected', false);
-              });
-
-              // If the row index is within the table, select the row.
-              if (this.rowIndex > 0) {
-                $thisTr.toggleClass('selected', true);
-              }
-
-              // A click can sometimes cause a text selection if the mouse
-              // moved a little between mouse down and up. Such a text
-              // selection is meaningless here, so disable it.
-              window.getSelection().removeAllRanges();
+              thisScript.tableSelectRow(env, $thisTr);
             }
 
+            // Update the menu's text based on the selection.
+            thisScript.menuUpdate(env, $contextMenu, env.contextCommands);
+
             // Position the menu and show it.
             $contextMenu.show().position({
               my:        "left top",
@@ -462,42 +587,686 @@
       // Add open behavior
       // -----------------
       // For each body row, add a double-click behavior that opens the
-      // view page of the row's entity.
-      $('tr', $tbody).off('dblclick.foldershare');
-      $('tr', $tbody).on(
+      // view page of the row's group.
+      $tbody.on(
         'dblclick.foldershare',
+        'tr',
         function (ev) {
-          var $a = $('td.' + nameColumn + ' a', $(this));
-          $a[0].click();
+          thisScript.openRow(env, $(this));
         });
 
       //
       // Add selection behavior
       // ----------------------
       // For each body row, add behaviors that respond to mouse clicks and
-      // touch screen touches.
+      // touch screen touches. As on folder pages, control/command-click
+      // toggles a row and shift-click selects a range of rows.
+      $tbody.on(
+        'click.foldershare',
+        'tr',
+        function (ev) {
+          thisScript.tableClickSelect.call(this, ev, env);
+        });
+
+      $tbody.on(
+        'touchend.foldershare',
+        'tr',
+        function (ev) {
+          thisScript.tableTouchSelect.call(this, ev, env);
+        });
+
       //
-      // Selection only allows one row to be selected at a time. So on each
-      // click/touch, clear the current selection (if any) and then select
-      // the clicked/touched row.
-      $('tr', $tbody).once('row-click-touch').on(
-        'click.foldershare touchend.foldershare',
+      // Add keyboard behavior
+      // ---------------------
+      // Make the table focusable so that it receives key events, then
+      // add a behavior that moves the focus row, changes the selection,
+      // and opens rows.
+      $table.attr('tabindex', '0');
+      $table.attr(folderScript.tableFocusRowIndex, 'NaN');
+      $table.attr(folderScript.tableAnchorRowIndex, 'NaN');
+
+      $table.off('keydown.foldershare');
+      $table.on(
+        'keydown.foldershare',
         function (ev) {
-          // Clear the current selection.
-          $('tr', $tbody).each( function() {
-            $(this).toggleClass('selected', false);
-          });
+          return thisScript.tableKeyDown.call(this, ev, env);
+        });
+
+      return true;
+    },
+
+    /**
+     * Builds the <ul> for a menu.
+     *
+     * The categorized list of commands suitable for the user and page is
+     * used to create HTML containing a nested <ul> list. Each <li> in the
+     * list is either an available command or the name of a submenu.
+     *
+     * @param cls
+     *   The class for the menu's <ul>.
+     * @param categories
+     *   The sorted list of categories and their command IDs.
+     * @param commands
+     *   The list of commands, with one property per command ID.
+     *
+     * @return
+     *   Returns HTML for the menu.
+     */
+    buildMenu: function (cls, categories, commands) {
+      var maxBeforeSub = Drupal.foldershare.UIFolderTableMenu.maxCommandsBeforeSubmenu;
+
+      // Start the <ul>.
+      var html = '<ul class="hidden ' + cls + '">';
+
+      // Loop through all categories.
+      var addSeparator = false;
+      for (var [cat, value] of categories) {
+        // Add a separator before the next category of commands.
+        if (addSeparator === true) {
+          html += '<li>-</li>';
+        }
+        addSeparator = true;
+
+        // Create a submenu if the category is large enough.
+        var addSubmenu = false;
+        if (value.commandIds.length > maxBeforeSub) {
+          html += '<li><div>' + value.name + '</div><ul>';
+          addSubmenu = true;
+        }
+
+        // Add the category's commands.
+        for (var index in value.commandIds) {
+          var commandId = value.commandIds[index];
+          var label = commands[commandId].menuNameDefault;
+          html += '<li data-foldershare-command="' + commandId + '"><div>' + label + '</div></li>';
+        }
+
+        if (addSubmenu === true) {
+          html += '</ul></li>';
+        }
+      }
+
+      html += '</ul>';
+
+      return html;
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Menu.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Updates a menu to enable/disable commands based on the selection.
+     *
+     * Each command's selection constraints are checked against the
+     * selected groups, just as on folder pages. Commands that take no
+     * selection are enabled only when no group is selected, and the open
+     * command is enabled when a single group is selected. The open in new
+     * tab command is not a server command, so it is simply enabled when
+     * any groups are selected.
+     *
+     * @param env
+     *   The environment object.
+     * @param $menu
+     *   The menu.
+     * @param commands
+     *   The menu's list of commands, with one property per command ID.
+     */
+    menuUpdate: function (env, $menu, commands) {
+      var thisScript   = Drupal.foldershare.UIRootFolderGroupsTableMenu;
+      var folderScript = Drupal.foldershare.UIFolderTableMenu;
+
+      // Get the selection. There could be none.
+      var selection = thisScript.selectionGetByKind(env);
+      var nSelected = 0;
+      for (var k in selection) {
+        nSelected += selection[k].length;
+      }
+
+      // Get operand text describing the selection. This text may be
+      // inserted into menu item labels.
+      var operand = folderScript.menuGetOperandText(env, selection);
+
+      // Loop through the menu and enable items that are suitable for the
+      // current selection, and disable those that are not.
+      $('.ui-menu-item', $menu).each( function() {
+        var $item = $(this);
+
+        // Skip separators and submenu names.
+        var commandId = $item.attr('data-foldershare-command');
+        if (typeof commandId === 'undefined' ||
+            commandId in commands === false) {
+          return true;
+        }
+
+        var enabled = false;
+        if (commandId === thisScript.openNewTabCommand) {
+          enabled = (nSelected > 0);
+        }
+        else {
+          enabled = folderScript.checkSelectionConstraints(
+            env,
+            nSelected,
+            selection,
+            commandId);
+        }
+
+        var text = '';
+        if (enabled === false) {
+          $item.removeClass('ui-state-enabled');
+          $item.addClass('ui-state-disabled');
+          text = commands[commandId].menuNameDefault;
+        }
+        else {
+          $item.removeClass('ui-state-disabled');
+          $item.addClass('ui-state-enabled');
+          text = commands[commandId].menuName.replace('@operand', operand);
+        }
+
+        $('div', $item).eq(0).text(text);
+      });
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Selection.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Returns the selected rows.
+     *
+     * @param env
+     *   The environment object.
+     *
+     * @return
+     *   Returns a jQuery object for the selected <tr>s, in table order.
+     */
+    selectionGetRows: function (env) {
+      return $('tr.selected', env.gather.$tbody);
+    },
+
+    /**
+     * Returns the table's rows.
+     *
+     * Rows without a name column, such as a generic empty table message,
+     * are skipped.
+     *
+     * @param env
+     *   The environment object.
+     *
+     * @return
+     *   Returns a jQuery object for the <tr>s, in table order.
+     */
+    tableGetRows: function (env) {
+      return $('tr', env.gather.$tbody).filter(function () {
+        return $('td.' + env.gather.nameColumn, this).length !== 0;
+      });
+    },
+
+    /**
+     * Moves the keyboard focus row.
+     *
+     * The focus row is marked with the 'foldershare-focus' class, as on
+     * folder pages. The focus does not change the selection.
+     *
+     * @param env
+     *   The environment object.
+     * @param rowIndex
+     *   The row index (1 for the 1st row) of the new focus row.
+     * @param setAnchor
+     *   When true, the row also becomes the anchor for extending the
+     *   selection with shift-click and shift-arrow keys.
+     */
+    tableSetFocusRow: function (env, rowIndex, setAnchor) {
+      var thisScript   = Drupal.foldershare.UIRootFolderGroupsTableMenu;
+      var folderScript = Drupal.foldershare.UIFolderTableMenu;
+      var $table       = env.gather.$table;
+
+      $('tr.foldershare-focus', env.gather.$tbody).removeClass('foldershare-focus');
+
+      // Row indexes are 1-based, but jQuery element indexes are 0-based.
+      var $tr = thisScript.tableGetRows(env).eq(rowIndex - 1);
+      if (rowIndex < 1 || $tr.length === 0) {
+        $table.attr(folderScript.tableFocusRowIndex, 'NaN');
+        return;
+      }
+
+      $tr.addClass('foldershare-focus');
+      $table.attr(folderScript.tableFocusRowIndex, rowIndex);
+      if (setAnchor === true) {
+        $table.attr(folderScript.tableAnchorRowIndex, rowIndex);
+      }
+    },
+
+    /**
+     * Selects a single row, clearing any previous selection.
+     *
+     * The row also becomes the focus and anchor row.
+     *
+     * @param env
+     *   The environment object.
+     * @param $tr
+     *   The row to select.
+     */
+    tableSelectRow: function (env, $tr) {
+      var thisScript = Drupal.foldershare.UIRootFolderGroupsTableMenu;
+      var rowIndex   = thisScript.tableGetRows(env).index($tr) + 1;
+
+      thisScript.tableSelectRange(env, rowIndex, rowIndex, true);
+      thisScript.tableSetFocusRow(env, rowIndex, true);
+    },
+
+    /**
+     * Selects a range of rows.
+     *
+     * @param env
+     *   The environment object.
+     * @param fromIndex
+     *   The row index (1 for the 1st row) at one end of the range.
+     * @param toIndex
+     *   The row index at the other end of the range. It may be before
+     *   or after fromIndex.
+     * @param clearOther
+     *   (optional, default = true) When true, rows outside of the range
+     *   are unselected.
+     */
+    tableSelectRange: function (env, fromIndex, toIndex, clearOther) {
+      var thisScript = Drupal.foldershare.UIRootFolderGroupsTableMenu;
+      var first      = Math.min(fromIndex, toIndex);
+      var last       = Math.max(fromIndex, toIndex);
+
+      if (typeof clearOther === 'undefined') {
+        clearOther = true;
+      }
+
+      thisScript.tableGetRows(env).each(function (index) {
+        var inRange = (index + 1 >= first && index + 1 <= last);
+        if (inRange === true) {
+          $(this).toggleClass('selected', true);
+        }
+        else if (clearOther === true) {
+          $(this).toggleClass('selected', false);
+        }
+      });
+    },
+
+    /**
+     * Handles a mouse click selection event on a table row.
+     *
+     * Mouse selection supports the same keyboard modifiers as folder
+     * tables:
+     *
+     * - For all platforms, if there are no keyboard modifiers, then a mouse
+     *   click clears any previous selection and selects the clicked row.
+     *
+     * - For all platforms, if the shift key is down during a click, the
+     *   selection is set to the rows from the anchor row (the most recent
+     *   row clicked without shift) through the clicked row.
+     *
+     * - For Windows and Linux platforms, if the control key is down during a
+     *   click, a selected row is toggled.
+     *
+     * - For Mac platforms, if the command (meta) key is down during a
+     *   click, a selected row is toggled.
+     *
+     * @param ev
+     *   The row event to handle.
+     * @param env
+     *   The environment object.
+     */
+    tableClickSelect: function (ev, env) {
+      var $tr          = $(this);
+      var thisScript   = Drupal.foldershare.UIRootFolderGroupsTableMenu;
+      var folderScript = Drupal.foldershare.UIFolderTableMenu;
+      var $table       = env.gather.$table;
+
+      // If the clicked-on row does not have a name column, then ignore.
+      // This can happen for an empty table with a generic empty message
+      // and no name column.
+      var rowIndex = thisScript.tableGetRows(env).index(this) + 1;
+      if (rowIndex < 1) {
+        return;
+      }
+
+      var isMac = (navigator.appVersion.indexOf("Mac") != -1);
+
+      // Check for keyboard modifiers and mimic Windows/Linux/Mac behavior.
+      // If more than one modifier is held down, the control/command
+      // modifier has a higher priority than the shift modifier.
+      if ((isMac === true && ev.metaKey === true) ||
+          (isMac === false && ev.ctrlKey === true)) {
+        // Control/Command-click. Toggle the row.
+        $tr.toggleClass('selected');
+        thisScript.tableSetFocusRow(env, rowIndex, true);
+      }
+      else if (ev.shiftKey === true) {
+        // Shift-click. Select from the anchor row through this row. With
+        // no anchor, select from the first row.
+        var anchor = Number($table.attr(folderScript.tableAnchorRowIndex));
+        if (isNaN(anchor) === true) {
+          anchor = 1;
+          $table.attr(folderScript.tableAnchorRowIndex, anchor);
+        }
+
+        thisScript.tableSelectRange(env, anchor, rowIndex, true);
+        thisScript.tableSetFocusRow(env, rowIndex, false);
+      }
+      else {
+        // Click. Start a new selection.
+        thisScript.tableSelectRow(env, $tr);
+      }
+
+      $table[0].focus({ preventScroll: true });
+
+      // A click can sometimes cause a text selection if the mouse
+      // moved a little between mouse down and up. Such a text
+      // selection is meaningless here, so disable it.
+      window.getSelection().removeAllRanges();
+    },
+
+    /**
+     * Handles a touch selection event on a table row.
+     *
+     * Touch selection toggles the selected item on/off. It ignores keyboard
+     * modifiers and therefore does not support range selection.
+     *
+     * @param ev
+     *   The row event to handle.
+     * @param env
+     *   The environment object.
+     */
+    tableTouchSelect: function (ev, env) {
+      var thisScript = Drupal.foldershare.UIRootFolderGroupsTableMenu;
+
+      var rowIndex = thisScript.tableGetRows(env).index(this) + 1;
+      if (rowIndex < 1) {
+        return;
+      }
+
+      $(this).toggleClass('selected');
+      thisScript.tableSetFocusRow(env, rowIndex, true);
+
+      // Some browsers will also send mouse events after a touch event.
+      // Such a "ghost click" is not useful here, so disable it.
+      ev.preventDefault();
+    },
+
+    /**
+     * Returns the selection, grouped by kind.
+     *
+     * The selection has the same form as a folder table's selection so
+     * that it can be checked against command selection constraints. All
+     * selected rows are root folder groups. Groups have no entity ID and
+     * may always be viewed.
+     *
+     * @param env
+     *   The environment object.
+     *
+     * @return
+     *   Returns an object with one property for the group kind, if there
+     *   is a selection. The value is an array of objects with 'id' and
+     *   'access' properties.
+     */
+    selectionGetByKind: function (env) {
+      var thisScript = Drupal.foldershare.UIRootFolderGroupsTableMenu;
+      var selection = {};
+
+      var $rows = thisScript.selectionGetRows(env);
+      if ($rows.length === 0) {
+        return selection;
+      }
+
+      selection[thisScript.groupKind] = $rows.map(function () {
+        return {
+          'id':     (-1),
+          'access': ['view'],
+        };
+      }).get();
+
+      return selection;
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Keyboard.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Handles a key press while the table has the keyboard focus.
+     *
+     * Supported keys are the same as for folder tables in list view:
+     * - Up/Down arrows move the focus row and select it.
+     * - Shift with an arrow moves the focus row and extends the selection.
+     * - Home/End move the focus to the first or last row.
+     * - Mod-A selects all rows.
+     * - Escape clears the selection.
+     * - Enter opens the focus row, like a double-click.
+     *
+     * @param ev
+     *   The key event to handle.
+     * @param env
+     *   The environment object.
+     *
+     * @return
+     *   Returns false if the key was handled, and true otherwise so that
+     *   the browser's default behavior continues.
+     */
+    tableKeyDown: function (ev, env) {
+      var thisScript   = Drupal.foldershare.UIRootFolderGroupsTableMenu;
+      var folderScript = Drupal.foldershare.UIFolderTableMenu;
+      var $table       = env.gather.$table;
+
+      var $rows  = thisScript.tableGetRows(env);
+      var nRows  = $rows.length;
+      var focus  = Number($table.attr(folderScript.tableFocusRowIndex));
+      var anchor = Number($table.attr(folderScript.tableAnchorRowIndex));
+      var newFocus = NaN;
+
+      switch (folderScript.keyboardGetShortcut(ev)) {
+        case 'ArrowUp':
+        case 'Shift+ArrowUp':
+          newFocus = isNaN(focus) === true ? nRows : Math.max(1, focus - 1);
+          break;
+
+        case 'ArrowDown':
+        case 'Shift+ArrowDown':
+          newFocus = isNaN(focus) === true ? 1 : Math.min(nRows, focus + 1);
+          break;
+
+        case 'Home':
+        case 'Shift+Home':
+          newFocus = 1;
+          break;
+
+        case 'End':
+        case 'Shift+End':
+          newFocus = nRows;
+          break;
+
+        case 'Mod+A':
+          $rows.toggleClass('selected', true);
+          return false;
 
-          // If the row index is within the table, select the row.
-          if (this.rowIndex > 0) {
-            $(this).toggleClass('selected', true);
+        case 'Escape':
+          $rows.toggleClass('selected', false);
+          return false;
+
+        case 'Enter':
+          // Open the focus row, just like a double-click on the row.
+          if (isNaN(focus) === false) {
+            thisScript.openRow(env, $rows.eq(focus - 1));
           }
+          return false;
+
+        default:
+          return true;
+      }
+
+      if (nRows === 0 || isNaN(newFocus) === true) {
+        return false;
+      }
+
+      if (ev.shiftKey === true) {
+        // Extend the selection from the anchor through the new focus row.
+        if (isNaN(anchor) === true) {
+          anchor = isNaN(focus) === true ? newFocus : focus;
+          $table.attr(folderScript.tableAnchorRowIndex, anchor);
+        }
+        thisScript.tableSelectRange(env, anchor, newFocus, true);
+        thisScript.tableSetFocusRow(env, newFocus, false);
+      }
+      else {
+        // Select just the new focus row.
+        thisScript.tableSelectRange(env, newFocus, newFocus, true);
+        thisScript.tableSetFocusRow(env, newFocus, true);
+      }
+
+      return false;
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Commands.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Runs a command chosen from a menu.
+     *
+     * The open command opens the selected group, and the open in new tab
+     * command opens all selected groups in new tabs. Other commands take no
+     * selection, so they are sent to the server with the page's parent ID
+     * of (-1) and an empty selection. Commands that upload files show the
+     * browser's file dialog first, and the upload field's change behavior
+     * submits the form when the dialog closes.
+     *
+     * @param env
+     *   The environment object.
+     * @param command
+     *   The id/name of the command.
+     */
+    commandRun: function (env, command) {
+      var thisScript   = Drupal.foldershare.UIRootFolderGroupsTableMenu;
+      var folderScript = Drupal.foldershare.UIFolderTableMenu;
+
+      if (command === thisScript.openCommand) {
+        thisScript.openRow(env, thisScript.selectionGetRows(env).eq(0));
+        return;
+      }
+
+      if (command === thisScript.openNewTabCommand) {
+        thisScript.openRowsInNewTab(env, thisScript.selectionGetRows(env));
+        return;
+      }
+
+      var def = env.commands[command];
+      if (typeof def.callback === 'function') {
+        // Run a registered command in the browser.
+        var operands = {
+          command:       command,
+          parentId:      env.settings.foldershare.page.id,
+          destinationId: null,
+          selectionIds:  [],
+          files:         null
+        };
 
-          // A click can sometimes cause a text selection if the mouse
-          // moved a little between mouse down and up. Such a text
-          // selection is meaningless here, so disable it.
-          window.getSelection().removeAllRanges();
+        if (folderScript.eventBeforeCommand(env, operands) === false) {
+          return;
+        }
+
+        Drupal.foldershare.commands.run(command, {
+          commandId:    command,
+          parentId:     operands.parentId,
+          selectionIds: operands.selectionIds,
+          selection:    {},
+          env:          env,
         });
+
+        folderScript.eventAfterCommand(env, operands, null, null);
+        return;
+      }
+
+      // Fill the server form.
+      if (folderScript.serverCommandSetup(env, command, null, null, [], null) === false) {
+        return;
+      }
+
+      if (def.specialHandling.includes('upload') === true) {
+        // Show file dialog.
+        env.gather.$uploadInput.click();
+      }
+      else {
+        // Submit form.
+        folderScript.serverCommandSubmit(env);
+      }
+    },
+
+    /**
+     * Opens a row's root folder group.
+     *
+     * The row's name column anchor is clicked to advance to the group's
+     * page.
+     *
+     * @param env
+     *   The environment object.
+     * @param $tr
+     *   The row to open.
+     */
+    openRow: function (env, $tr) {
+      var $a = $('td.' + env.gather.nameColumn + ' a', $tr);
+      if ($a.length !== 0) {
+        $a[0].click();
+      }
+    },
+
+    /**
+     * Opens rows' root folder groups in new browser tabs.
+     *
+     * Each row's name column anchor URL is opened in a new tab, in table
+     * order. Pop-up blockers often allow only the first tab opened for a
+     * click. If any tabs are blocked, a dialog lists the groups that were
+     * not opened.
+     *
+     * @param env
+     *   The environment object.
+     * @param $rows
+     *   The rows to open.
+     */
+    openRowsInNewTab: function (env, $rows) {
+      var blocked = [];
+      $rows.each(function () {
+        var $a = $('td.' + env.gather.nameColumn + ' a', this);
+        if ($a.length !== 0 &&
+            window.open($a.attr('href'), '_blank') === null) {
+          blocked.push($a.text());
+        }
+      });
+
+      if (blocked.length === 0) {
+        return;
+      }
+
+      var text = '<div>';
+      var translated = env.settings.foldershare.terminology.text.open_new_tab_blocked;
+      if (typeof translated === 'undefined') {
+        text += '<p><strong>Some groups could not be opened in new tabs.</strong></p>';
+        text += '<p>The web browser blocked these tabs. Allow pop-ups for this site and try again:</p>';
+      }
+      else {
+        text += translated;
+      }
+
+      text += '<ul>';
+      for (var i = 0; i < blocked.length; ++i) {
+        text += '<li>' + Drupal.checkPlain(blocked[i]) + '</li>';
+      }
+      text += '</ul></div>';
+
+      Drupal.dialog(text, {}).showModal();
     },
 
   };
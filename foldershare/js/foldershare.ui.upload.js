@@ -0,0 +1,1021 @@
+/**
+ * @file
+ * Implements the FolderShare asynchronous file upload user interface.
+ *
+ * The upload UI sends files to the server one at a time in the background,
+ * without leaving the page. Each file is posted to the module's file upload
+ * form, which adds the file to a destination folder and returns a JSON
+ * result. While files are sent, a progress panel shows each file's progress
+ * and transfer rate, along with totals for the whole upload. A cancel button
+ * stops the upload. When the upload is done, the folder table is refreshed
+ * to show the new files.
+ *
+ * Uploads started while another upload is in progress are added to the
+ * end of the current upload.
+ *
+ * Dropped folders are uploaded by walking the dropped folder trees. Each
+ * folder is recreated on the server with the new folder command, then
+ * the folder's files are uploaded into the new folder.
+ *
+ * Browsers that cannot report upload progress fall back to submitting
+ * the folder table menu's form, which uploads all files at once.
+ *
+ * @ingroup foldershare
+ * @see \Drupal\foldershare\Form\FileUpload
+ * @see \Drupal\foldershare\Form\UIFolderTableMenu
+ */
+(function ($, Drupal, drupalSettings) {
+
+  'use strict';
+
+  // Check pre-requisits.
+  //
+  // The utility library must have been loaded before this script.
+  if ('foldershare' in Drupal === false ||
+      'utility' in Drupal.foldershare === false) {
+    console.log(
+      "%cFolderShare: Javascript files included in wrong order%c\n" +
+      "%cfoldershare.ui.upload.js requires that foldershare.ui.utility.js be included first.",
+      'font-weight: bold',
+      'font-weight: normal',
+      'padding-left: 2em',
+      'padding-left: 0');
+    window.stop()
+  }
+
+  Drupal.foldershare.UIUpload = {
+
+    /*--------------------------------------------------------------------
+     *
+     * Constants.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * The class of the upload progress panel.
+     */
+    panelClass: 'foldershare-upload-panel',
+
+    /**
+     * The number of milliseconds to leave a successful upload's panel
+     * visible before removing it.
+     */
+    panelHideDelay: 4000,
+
+    /**
+     * The command used to create folders for dropped folder trees.
+     */
+    newFolderCommand: 'foldersharecommand_new_folder',
+
+    /*--------------------------------------------------------------------
+     *
+     * Fields.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * The upload in progress, if any.
+     *
+     * The upload object has:
+     * - env = the folder table environment that started the upload.
+     * - entries = an array of file entries, in upload order.
+     * - index = the index of the entry being uploaded.
+     * - xhr = the XMLHttpRequest sending the current entry.
+     * - formFields = the hidden fields of the upload form.
+     * - startTime = the time the upload started, in milliseconds.
+     * - canceled = true if the user canceled the upload.
+     * - $panel = the progress panel.
+     * - listeners = an array of objects with 'entries' and 'onFinish'
+     *   properties, one for each start that has a finish callback.
+     *
+     * Each file entry has:
+     * - file = the File to upload.
+     * - parentId = the entity ID of the destination folder.
+     * - loaded = the number of bytes sent so far.
+     * - startTime = the time the entry started sending, in milliseconds.
+     * - status = 'pending', 'sending', 'done', 'failed', or 'canceled'.
+     * - message = an error message, if the entry failed.
+     * - $row = the entry's row in the progress panel.
+     */
+    upload: null,
+
+    /*--------------------------------------------------------------------
+     *
+     * Upload.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Returns true if asynchronous uploads are supported.
+     *
+     * Support requires a browser that can post form data and report
+     * upload progress, and a page that provides the upload form's URL.
+     *
+     * @param env
+     *   The folder table environment object.
+     *
+     * @return
+     *   Returns true if supported, and false otherwise.
+     */
+    isSupported: function (env) {
+      if (typeof window.FormData === 'undefined' ||
+          typeof window.XMLHttpRequest === 'undefined' ||
+          'upload' in new XMLHttpRequest() === false) {
+        return false;
+      }
+
+      return ('upload' in env.settings.foldershare &&
+        typeof env.settings.foldershare.upload.url === 'string');
+    },
+
+    /**
+     * Starts uploading files into a folder.
+     *
+     * If an upload is already in progress, the files are added to the end
+     * of it. Otherwise a new upload is started and its progress panel shown.
+     *
+     * @param env
+     *   The folder table environment object.
+     * @param parentId
+     *   The entity ID of the folder to upload into.
+     * @param files
+     *   The FileList or array of File objects to upload.
+     * @param onFinish
+     *   (optional, default = null = none) The function to call when the
+     *   upload is finished. See notifyListener() for its arguments.
+     */
+    start: function (env, parentId, files, onFinish) {
+      var thisScript = Drupal.foldershare.UIUpload;
+
+      if (typeof onFinish === 'undefined') {
+        onFinish = null;
+      }
+
+      // Copy the files into a list of upload entries. The caller's file
+      // list may be reset as soon as this returns, such as when the file
+      // input field is cleared.
+      var entries = [];
+      for (var i = 0; i < files.length; ++i) {
+        entries.push({
+          'file':      files[i],
+          'parentId':  String(parentId),
+          'loaded':    0,
+          'startTime': 0,
+          'status':    'pending',
+          'message':   '',
+          '$row':      null,
+        });
+      }
+
+      var listener = {
+        'entries':  entries,
+        'onFinish': onFinish,
+      };
+
+      if (entries.length === 0) {
+        thisScript.notifyListener(env, listener);
+        return;
+      }
+
+      var upload = thisScript.upload;
+      if (upload !== null) {
+        // Add the files to the upload in progress.
+        for (var i = 0; i < entries.length; ++i) {
+          upload.entries.push(entries[i]);
+          thisScript.panelAddEntry(upload, entries[i]);
+        }
+        upload.listeners.push(listener);
+        thisScript.panelUpdateTotal(upload);
+        return;
+      }
+
+      // Start a new upload.
+      upload = {
+        'env':        env,
+        'entries':    entries,
+        'index':      0,
+        'xhr':        null,
+        'formFields': null,
+        'startTime':  Date.now(),
+        'canceled':   false,
+        '$panel':     null,
+        'listeners':  [listener],
+      };
+      thisScript.upload = upload;
+
+      thisScript.panelBuild(upload);
+
+      // Get the upload form's hidden fields, then send the first file.
+      thisScript.getFormFields(upload, function () {
+        thisScript.sendNext(upload);
+      });
+    },
+
+    /**
+     * Cancels the upload in progress.
+     *
+     * The file being sent is aborted, and all files not yet sent are
+     * marked as canceled.
+     *
+     * @param upload
+     *   The upload object.
+     */
+    cancel: function (upload) {
+      var thisScript = Drupal.foldershare.UIUpload;
+
+      if (upload.canceled === true) {
+        return;
+      }
+
+      upload.canceled = true;
+
+      for (var i = upload.index; i < upload.entries.length; ++i) {
+        var entry = upload.entries[i];
+        if (entry.status === 'pending' || entry.status === 'sending') {
+          entry.status = 'canceled';
+          thisScript.panelUpdateEntry(upload, entry);
+        }
+      }
+
+      // Aborting calls the request's abort handler, which finishes up.
+      if (upload.xhr !== null) {
+        upload.xhr.abort();
+      }
+      else {
+        thisScript.finish(upload);
+      }
+    },
+
+    /**
+     * Gets the hidden fields of the server's file upload form.
+     *
+     * Drupal forms include hidden build ID, form ID, and token fields
+     * that must be posted back with the form. These are found by getting
+     * the form's page once at the start of an upload.
+     *
+     * @param upload
+     *   The upload object.
+     * @param onDone
+     *   The function to call when the fields are known.
+     */
+    getFormFields: function (upload, onDone) {
+      var thisScript = Drupal.foldershare.UIUpload;
+
+      $.get(upload.env.settings.foldershare.upload.url)
+        .done(function (html) {
+          var $page = $('<div>').append($.parseHTML(html));
+          var $form = $('input[name="files[file]"]', $page).closest('form');
+
+          upload.formFields = {};
+          $('input[type="hidden"]', $form).each(function () {
+            upload.formFields[this.name] = this.value;
+          });
+
+          onDone();
+        })
+        .fail(function (xhr) {
+          // Without the form's fields, no file can be sent.
+          for (var i = 0; i < upload.entries.length; ++i) {
+            upload.entries[i].status = 'failed';
+            upload.entries[i].message = xhr.statusText;
+            thisScript.panelUpdateEntry(upload, upload.entries[i]);
+          }
+          upload.index = upload.entries.length;
+          thisScript.finish(upload);
+        });
+    },
+
+    /**
+     * Sends the next pending file of the upload.
+     *
+     * When there are no more files to send, the upload is finished.
+     *
+     * @param upload
+     *   The upload object.
+     */
+    sendNext: function (upload) {
+      var thisScript = Drupal.foldershare.UIUpload;
+
+      if (upload.canceled === true ||
+          upload.index >= upload.entries.length) {
+        thisScript.finish(upload);
+        return;
+      }
+
+      var entry = upload.entries[upload.index];
+      entry.status = 'sending';
+      entry.startTime = Date.now();
+      thisScript.panelUpdateEntry(upload, entry);
+
+      // Build the form data, including the upload form's hidden fields.
+      var data = new FormData();
+      for (var name in upload.formFields) {
+        data.append(name, upload.formFields[name]);
+      }
+      data.append('parentId', entry.parentId);
+      data.append('files[file]', entry.file, entry.file.name);
+      data.append('op', 'Upload');
+
+      var xhr = new XMLHttpRequest();
+      upload.xhr = xhr;
+
+      xhr.upload.addEventListener('progress', function (ev) {
+        if (ev.lengthComputable === true) {
+          entry.loaded = ev.loaded;
+          thisScript.panelUpdateEntry(upload, entry);
+          thisScript.panelUpdateTotal(upload);
+        }
+      });
+
+      xhr.addEventListener('load', function () {
+        var response = null;
+        try {
+          response = JSON.parse(xhr.responseText);
+        }
+        catch (err) {
+          // The response is not JSON. The form did not reach its submit
+          // handler, such as when the form token has expired.
+          response = null;
+        }
+
+        if (xhr.status === 200 && response !== null) {
+          entry.status = 'done';
+          entry.loaded = entry.file.size;
+        }
+        else {
+          entry.status = 'failed';
+          entry.message = (response !== null && response.message !== '') ?
+            response.message : xhr.statusText;
+        }
+
+        thisScript.sendDone(upload, entry);
+      });
+
+      xhr.addEventListener('error', function () {
+        entry.status = 'failed';
+        entry.message = xhr.statusText;
+        thisScript.sendDone(upload, entry);
+      });
+
+      xhr.addEventListener('abort', function () {
+        entry.status = 'canceled';
+        thisScript.sendDone(upload, entry);
+      });
+
+      xhr.open('POST', upload.env.settings.foldershare.upload.url);
+      xhr.setRequestHeader('X-Requested-With', 'XMLHttpRequest');
+      xhr.send(data);
+    },
+
+    /**
+     * Handles the end of sending one file, then sends the next.
+     *
+     * @param upload
+     *   The upload object.
+     * @param entry
+     *   The file entry that is done.
+     */
+    sendDone: function (upload, entry) {
+      var thisScript = Drupal.foldershare.UIUpload;
+
+      upload.xhr = null;
+      thisScript.panelUpdateEntry(upload, entry);
+      thisScript.panelUpdateTotal(upload);
+
+      ++upload.index;
+      thisScript.sendNext(upload);
+    },
+
+    /**
+     * Finishes an upload.
+     *
+     * If any files were uploaded, the folder table is refreshed to show
+     * them. If all files were uploaded, the progress panel is removed
+     * after a short delay. Otherwise it stays up so that the user can
+     * see which files failed.
+     *
+     * @param upload
+     *   The upload object.
+     */
+    finish: function (upload) {
+      var thisScript = Drupal.foldershare.UIUpload;
+      var utility    = Drupal.foldershare.utility;
+      var terminology = upload.env.settings.foldershare.terminology;
+
+      thisScript.upload = null;
+
+      var nDone = 0;
+      for (var i = 0; i < upload.entries.length; ++i) {
+        if (upload.entries[i].status === 'done') {
+          ++nDone;
+        }
+      }
+
+      var $panel = upload.$panel;
+      $('.' + thisScript.panelClass + '-cancel', $panel).remove();
+      $('.' + thisScript.panelClass + '-close', $panel).show();
+
+      var title = 'upload complete';
+      if (upload.canceled === true) {
+        title = 'upload canceled';
+      }
+      else if (nDone !== upload.entries.length) {
+        title = 'upload failed';
+      }
+      $('.' + thisScript.panelClass + '-title', $panel).text(
+        utility.getTerm(terminology, title));
+
+      if (nDone > 0) {
+        Drupal.foldershare.UIFolderTableMenu.tableRefresh(upload.env);
+      }
+
+      if (nDone === upload.entries.length) {
+        setTimeout(function () {
+          $panel.remove();
+        }, thisScript.panelHideDelay);
+      }
+
+      for (var i = 0; i < upload.listeners.length; ++i) {
+        thisScript.notifyListener(upload.env, upload.listeners[i]);
+      }
+    },
+
+    /**
+     * Calls the finish callback for one start of an upload.
+     *
+     * The callback is called with two arguments:
+     * - result = an object with the number of the start's files that are
+     *   'done', 'failed', and 'canceled'.
+     * - error = the error messages for failed files, a canceled message
+     *   if files were canceled, or null if all files were uploaded.
+     *
+     * @param env
+     *   The folder table environment object.
+     * @param listener
+     *   The object with the start's 'entries' and 'onFinish' callback.
+     */
+    notifyListener: function (env, listener) {
+      if (listener.onFinish === null) {
+        return;
+      }
+
+      var result = {
+        'done':     0,
+        'failed':   0,
+        'canceled': 0,
+      };
+      var messages = [];
+
+      for (var i = 0; i < listener.entries.length; ++i) {
+        var entry = listener.entries[i];
+        if (entry.status in result === true) {
+          ++result[entry.status];
+        }
+        if (entry.status === 'failed') {
+          messages.push(entry.file.name + ': ' + entry.message);
+        }
+      }
+
+      var error = null;
+      if (messages.length > 0) {
+        error = messages.join(' ');
+      }
+      else if (result.canceled > 0) {
+        error = Drupal.foldershare.utility.getTerm(
+          env.settings.foldershare.terminology,
+          'upload canceled');
+      }
+
+      listener.onFinish(result, error);
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Folder trees.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Starts uploading dropped files and folder trees into a folder.
+     *
+     * The dropped items are file system entries from a drag-and-drop.
+     * Folder entries are walked depth-first. For each folder, a new folder
+     * is created on the server, and then the folder's files and subfolders
+     * are handled the same way within the new folder. When all folders
+     * have been created, the files are uploaded.
+     *
+     * Folders that cannot be created or read are skipped, along with their
+     * contents, and listed in a dialog at the end.
+     *
+     * @param env
+     *   The folder table environment object.
+     * @param parentId
+     *   The entity ID of the folder to upload into.
+     * @param entries
+     *   The array of FileSystemEntry objects that were dropped.
+     * @param onFinish
+     *   (optional, default = null = none) The function to call when all
+     *   of the dropped files are uploaded. See notifyListener() for its
+     *   arguments. The counts and errors cover all of the dropped files,
+     *   and the errors include folders that were skipped.
+     */
+    startEntries: function (env, parentId, entries, onFinish) {
+      var thisScript = Drupal.foldershare.UIUpload;
+
+      if (typeof onFinish === 'undefined') {
+        onFinish = null;
+      }
+
+      // The walk object has:
+      // - env = the folder table environment.
+      // - groups = an array of objects with 'parentId' and 'files'
+      //   properties for files to upload into each folder.
+      // - errors = an array of error messages.
+      // - onFinish = the function to call when the upload is finished.
+      var walk = {
+        'env':      env,
+        'groups':   [],
+        'errors':   [],
+        'onFinish': onFinish,
+      };
+
+      thisScript.walkEntries(walk, parentId, entries).always(function () {
+        thisScript.walkDone(walk);
+      });
+    },
+
+    /**
+     * Walks a list of file system entries within a folder.
+     *
+     * @param walk
+     *   The walk object.
+     * @param parentId
+     *   The entity ID of the folder to contain the entries.
+     * @param entries
+     *   The array of FileSystemEntry objects to walk.
+     *
+     * @return
+     *   Returns a jQuery promise resolved when the walk is done.
+     */
+    walkEntries: function (walk, parentId, entries) {
+      var thisScript = Drupal.foldershare.UIUpload;
+
+      var fileEntries = [];
+      var folderEntries = [];
+      for (var i = 0; i < entries.length; ++i) {
+        if (entries[i].isDirectory === true) {
+          folderEntries.push(entries[i]);
+        }
+        else if (entries[i].isFile === true) {
+          fileEntries.push(entries[i]);
+        }
+      }
+
+      // Get the folder's files first, then walk each subfolder in turn.
+      var promise = thisScript.getEntryFiles(walk, fileEntries).then(
+        function (files) {
+          if (files.length > 0) {
+            walk.groups.push({
+              'parentId': parentId,
+              'files':    files,
+            });
+          }
+        });
+
+      $.each(folderEntries, function (index, folderEntry) {
+        promise = promise.then(function () {
+          return thisScript.walkFolder(walk, parentId, folderEntry);
+        });
+      });
+
+      return promise;
+    },
+
+    /**
+     * Creates a folder on the server, then walks the folder's entries.
+     *
+     * If the folder's name is already in use in the parent, the server
+     * appends a number to make the new folder's name unique.
+     * @param walk
+     *   The walk object.
+     * @param parentId
+     *   The entity ID of the folder to contain the new folder.
+     * @param folderEntry
+     *   The FileSystemDirectoryEntry for the folder.
+     *
+     * @return
+     *   Returns a jQuery promise resolved when the walk is done.
+     */
+    walkFolder: function (walk, parentId, folderEntry) {
+      var thisScript = Drupal.foldershare.UIUpload;
+
+      return Drupal.foldershare.UIFolderTableMenu.serverCommandJson(
+        walk.env,
+        thisScript.newFolderCommand,
+        parentId,
+        null,
+        null,
+        {
+          'name':        folderEntry.name,
+          'allowRename': true,
+        })
+        .then(
+          function (response) {
+            var folderId = response.createdIds[0];
+            return thisScript.readFolder(walk, folderEntry).then(
+              function (entries) {
+                return thisScript.walkEntries(walk, folderId, entries);
+              });
+          },
+          function (message) {
+            // Skip the folder and its contents.
+            walk.errors.push(folderEntry.fullPath + ': ' + message);
+          });
+    },
+
+    /**
+     * Reads all of the entries in a folder.
+     *
+     * @param walk
+     *   The walk object.
+     * @param folderEntry
+     *   The FileSystemDirectoryEntry for the folder.
+     *
+     * @return
+     *   Returns a jQuery promise resolved with an array of FileSystemEntry
+     *   objects. If the folder cannot be read, the array contains those
+     *   entries read before the error.
+     */
+    readFolder: function (walk, folderEntry) {
+      var deferred = $.Deferred();
+      var reader = folderEntry.createReader();
+      var entries = [];
+
+      // Entries are returned in batches. Keep reading until a batch
+      // is empty.
+      var readBatch = function () {
+        reader.readEntries(
+          function (batch) {
+            if (batch.length === 0) {
+              deferred.resolve(entries);
+              return;
+            }
+
+            for (var i = 0; i < batch.length; ++i) {
+              entries.push(batch[i]);
+            }
+            readBatch();
+          },
+          function (error) {
+            walk.errors.push(folderEntry.fullPath + ': ' + error.message);
+            deferred.resolve(entries);
+          });
+      };
+      readBatch();
+
+      return deferred.promise();
+    },
+
+    /**
+     * Gets the File objects for a list of file entries.
+     *
+     * @param walk
+     *   The walk object.
+     * @param fileEntries
+     *   The array of FileSystemFileEntry objects.
+     *
+     * @return
+     *   Returns a jQuery promise resolved with an array of File objects.
+     *   Files that cannot be read are skipped.
+     */
+    getEntryFiles: function (walk, fileEntries) {
+      var promises = [];
+      var files = [];
+
+      $.each(fileEntries, function (index, fileEntry) {
+        var deferred = $.Deferred();
+        fileEntry.file(
+          function (file) {
+            files.push(file);
+            deferred.resolve();
+          },
+          function (error) {
+            walk.errors.push(fileEntry.fullPath + ': ' + error.message);
+            deferred.resolve();
+          });
+        promises.push(deferred.promise());
+      });
+
+      return $.when.apply($, promises).then(function () {
+        return files;
+      });
+    },
+
+    /**
+     * Finishes walking folder trees and starts uploading their files.
+     *
+     * @param walk
+     *   The walk object.
+     */
+    walkDone: function (walk) {
+      var thisScript = Drupal.foldershare.UIUpload;
+
+      if (walk.errors.length > 0) {
+        var text = '<div>';
+        var translated = walk.env.settings.foldershare.terminology.text.upload_dnd_folder_failed;
+        if (typeof translated === 'undefined') {
+          text += '<p><strong>Some dropped folders could not be uploaded.</strong></p>';
+          text += '<p>The folders below, and their contents, were skipped:</p>';
+        }
+        else {
+          text += translated;
+        }
+
+        text += '<ul>';
+        for (var i = 0; i < walk.errors.length; ++i) {
+          text += '<li>' + Drupal.checkPlain(walk.errors[i]) + '</li>';
+        }
+        text += '</ul></div>';
+
+        Drupal.dialog(text, {}).showModal();
+      }
+
+      // Check the files against the server's upload limits.
+      var tableMenu = Drupal.foldershare.UIFolderTableMenu;
+      var rejected = [];
+      var nValid = 0;
+      for (var i = 0; i < walk.groups.length; ++i) {
+        var check = tableMenu.checkUploadFiles(
+          walk.env,
+          walk.groups[i].files,
+          true);
+        walk.groups[i].files = check.valid;
+        rejected = rejected.concat(check.rejected);
+        nValid += check.valid.length;
+      }
+
+      //
+      // Combine results
+      // ---------------
+      // Each group's files are uploaded by a separate start. Add up their
+      // results and report them once the last of them is finished.
+      var result = {
+        'done':     0,
+        'failed':   0,
+        'canceled': 0,
+      };
+      var messages = walk.errors.slice();
+      for (var i = 0; i < rejected.length; ++i) {
+        messages.push(rejected[i].name + ': ' + rejected[i].reason);
+      }
+
+      var finish = function () {
+        if (walk.onFinish !== null) {
+          walk.onFinish(result, (messages.length > 0) ? messages.join(' ') : null);
+        }
+      };
+
+      var nPending = walk.groups.length;
+      var groupDone = function (groupResult, error) {
+        for (var status in result) {
+          result[status] += groupResult[status];
+        }
+        if (error !== null && $.inArray(error, messages) === (-1)) {
+          messages.push(error);
+        }
+        if (--nPending === 0) {
+          finish();
+        }
+      };
+
+      var upload = function () {
+        if (nValid === 0) {
+          // There are no files to upload, but there may be new folders.
+          tableMenu.tableRefresh(walk.env);
+          finish();
+          return;
+        }
+
+        for (var i = 0; i < walk.groups.length; ++i) {
+          thisScript.start(
+            walk.env,
+            walk.groups[i].parentId,
+            walk.groups[i].files,
+            groupDone);
+        }
+      };
+
+      if (rejected.length === 0) {
+        upload();
+        return;
+      }
+
+      // Ask the user about the valid files. Either way, show the new folders.
+      tableMenu.showUploadRejected(walk.env, rejected, nValid, upload,
+        function () {
+          tableMenu.tableRefresh(walk.env);
+          finish();
+        });
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Progress panel.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Builds the progress panel for an upload and adds it to the page.
+     *
+     * @param upload
+     *   The upload object.
+     */
+    panelBuild: function (upload) {
+      var thisScript  = Drupal.foldershare.UIUpload;
+      var utility     = Drupal.foldershare.utility;
+      var terminology = upload.env.settings.foldershare.terminology;
+      var cls         = thisScript.panelClass;
+
+      // Remove any panel left from a prior upload.
+      $('.' + cls, upload.env.$topElement).remove();
+
+      var $panel = $(
+        '<div class="' + cls + '" role="status">' +
+        '<div class="' + cls + '-header">' +
+        '<span class="' + cls + '-title"></span>' +
+        '<button type="button" class="' + cls + '-cancel"></button>' +
+        '<button type="button" class="' + cls + '-close"></button>' +
+        '</div>' +
+        '<table class="' + cls + '-files"><tbody></tbody></table>' +
+        '<div class="' + cls + '-total">' +
+        '<span class="' + cls + '-total-label"></span>' +
+        '<progress max="100" value="0"></progress>' +
+        '<span class="' + cls + '-percent"></span>' +
+        '<span class="' + cls + '-rate"></span>' +
+        '</div>' +
+        '</div>');
+
+      $('.' + cls + '-title', $panel).text(
+        utility.getTerm(terminology, 'uploading'));
+      $('.' + cls + '-total-label', $panel).text(
+        utility.getTerm(terminology, 'total'));
+
+      $('.' + cls + '-cancel', $panel)
+        .text(utility.getTerm(terminology, 'cancel'))
+        .on('click.foldershare', function () {
+          thisScript.cancel(upload);
+          return false;
+        });
+
+      $('.' + cls + '-close', $panel)
+        .text(utility.getTerm(terminology, 'close'))
+        .hide()
+        .on('click.foldershare', function () {
+          $panel.remove();
+          return false;
+        });
+
+      upload.$panel = $panel;
+      upload.env.$topElement.append($panel);
+
+      for (var i = 0; i < upload.entries.length; ++i) {
+        thisScript.panelAddEntry(upload, upload.entries[i]);
+      }
+      thisScript.panelUpdateTotal(upload);
+    },
+
+    /**
+     * Adds a file entry's row to the progress panel.
+     *
+     * @param upload
+     *   The upload object.
+     * @param entry
+     *   The file entry.
+     */
+    panelAddEntry: function (upload, entry) {
+      var thisScript = Drupal.foldershare.UIUpload;
+      var cls        = thisScript.panelClass;
+
+      entry.$row = $(
+        '<tr>' +
+        '<td class="' + cls + '-name"></td>' +
+        '<td><progress max="100" value="0"></progress></td>' +
+        '<td class="' + cls + '-percent"></td>' +
+        '<td class="' + cls + '-rate"></td>' +
+        '</tr>');
+      $('.' + cls + '-name', entry.$row).text(entry.file.name);
+
+      $('.' + cls + '-files tbody', upload.$panel).append(entry.$row);
+      thisScript.panelUpdateEntry(upload, entry);
+    },
+
+    /**
+     * Updates a file entry's row in the progress panel.
+     *
+     * @param upload
+     *   The upload object.
+     * @param entry
+     *   The file entry.
+     */
+    panelUpdateEntry: function (upload, entry) {
+      var thisScript  = Drupal.foldershare.UIUpload;
+      var utility     = Drupal.foldershare.utility;
+      var terminology = upload.env.settings.foldershare.terminology;
+      var cls         = thisScript.panelClass;
+
+      if (entry.$row === null) {
+        return;
+      }
+
+      var percent = thisScript.getPercent(entry.loaded, entry.file.size);
+      var rate = '';
+      switch (entry.status) {
+        case 'sending':
+          rate = thisScript.getRate(entry.loaded, entry.startTime);
+          break;
+
+        case 'done':
+          percent = 100;
+          break;
+
+        case 'failed':
+        case 'canceled':
+          rate = utility.getTerm(terminology, entry.status);
+          break;
+      }
+
+      entry.$row.attr('data-foldershare-upload-status', entry.status);
+      entry.$row.attr('title', entry.message);
+      $('progress', entry.$row).val(percent);
+      $('.' + cls + '-percent', entry.$row).text(percent + '%');
+      $('.' + cls + '-rate', entry.$row).text(rate);
+    },
+
+    /**
+     * Updates the progress panel's totals.
+     *
+     * @param upload
+     *   The upload object.
+     */
+    panelUpdateTotal: function (upload) {
+      var thisScript = Drupal.foldershare.UIUpload;
+      var cls        = thisScript.panelClass;
+
+      var total = 0;
+      var loaded = 0;
+      for (var i = 0; i < upload.entries.length; ++i) {
+        var entry = upload.entries[i];
+        total += entry.file.size;
+        loaded += (entry.status === 'done') ? entry.file.size : entry.loaded;
+      }
+
+      var percent = thisScript.getPercent(loaded, total);
+      var $total = $('.' + cls + '-total', upload.$panel);
+      $('progress', $total).val(percent);
+      $('.' + cls + '-percent', $total).text(percent + '%');
+      $('.' + cls + '-rate', $total).text(
+        thisScript.getRate(loaded, upload.startTime));
+    },
+
+    /**
+     * Returns a whole-number percentage.
+     *
+     * @param loaded
+     *   The number of bytes sent.
+     * @param total
+     *   The total number of bytes to send.
+     *
+     * @return
+     *   The percentage, from 0 to 100. An empty total is 100% sent.
+     */
+    getPercent: function (loaded, total) {
+      if (total <= 0) {
+        return 100;
+      }
+
+      return Math.min(100, Math.floor((loaded * 100) / total));
+    },
+
+    /**
+     * Returns human-readable transfer rate text.
+     *
+     * @param loaded
+     *   The number of bytes sent.
+     * @param startTime
+     *   The time sending started, in milliseconds.
+     *
+     * @return
+     *   The rate text, such as "1.5 MB/s".
+     */
+    getRate: function (loaded, startTime) {
+      var seconds = (Date.now() - startTime) / 1000;
+      if (seconds <= 0) {
+        return '';
+      }
+
+      return Drupal.foldershare.utility.formatSize(
+        Math.round(loaded / seconds)) + '/s';
+    },
+  };
+
+})(jQuery, Drupal, drupalSettings);
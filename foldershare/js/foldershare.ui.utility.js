@@ -130,6 +130,40 @@
       return term;
     },
 
+    /**
+     * Returns a human-readable storage size.
+     *
+     * This mimics Drupal's format_size() on the server. Sizes below 1 KB
+     * are shown in bytes. Larger sizes are shown with two decimal places
+     * and a KB, MB, GB, etc. suffix, using 1 KB = 1024 bytes.
+     *
+     * @param bytes
+     *   The size in bytes.
+     *
+     * @return
+     *   The formatted size.
+     */
+    formatSize: function (bytes) {
+      var units = ['KB', 'MB', 'GB', 'TB', 'PB', 'EB'];
+
+      bytes = Number(bytes);
+      if (isNaN(bytes) === true || bytes < 0) {
+        bytes = 0;
+      }
+
+      if (bytes < 1024) {
+        return bytes + ((bytes === 1) ? ' byte' : ' bytes');
+      }
+
+      var i = -1;
+      do {
+        bytes /= 1024;
+        ++i;
+      } while (bytes >= 1024 && i < units.length - 1);
+
+      return (Math.round(bytes * 100) / 100) + ' ' + units[i];
+    },
+
     /*--------------------------------------------------------------------
      *
      * Print utilities.
@@ -408,6 +408,8 @@ class FolderShareCommand extends Plugin {
    * lists special case handling required by the command. Valid values are:
    * - 'create': the command creates FolderShare objects, so create access
    *   is required by the user.
+   * - 'destructive': the command deletes or moves FolderShare objects, so
+   *   the user interface asks the user to confirm before it is executed.
    * - 'upload': the command uploads files, so special file processing is
    *   required.
    *
@@ -224,6 +224,18 @@ class Constants {
    */
   const ROUTE_DOWNLOAD = 'entity.foldershare.download';
 
+  /**
+   * The route to the folder contents list.
+   *
+   * The argument 'foldershare' must contain the entity ID of a folder.
+   * The route returns a JSON window of the folder's children.
+   *
+   * This must match the route in 'MODULE.routing.yml'.
+   *
+   * @var string
+   */
+  const ROUTE_FOLDERSHARE_LIST = 'entity.foldershare.list';
+
   /**
    * The route to the usage page.
    *
@@ -0,0 +1,244 @@
+<?php
+
+namespace Drupal\foldershare\Controller;
+
+use Drupal\Core\Controller\ControllerBase;
+use Drupal\Core\Database\Database;
+
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpKernel\Exception\NotFoundHttpException;
+
+use Drupal\foldershare\Entity\FolderShare;
+use Drupal\foldershare\Entity\FolderShareAccessControlHandler;
+
+/**
+ * Defines a class to list a window of a folder's contents as JSON.
+ *
+ * <B>Warning:</B> This class is strictly internal to the FolderShare
+ * module. The class's existance, name, and content may change from
+ * release to release without any promise of backwards compatability.
+ *
+ * This controller returns a range of a folder's children, sorted and
+ * optionally filtered by name. The folder table's Javascript uses it to
+ * show very large folders as a single scrolling list, fetching only the
+ * rows near those shown.
+ *
+ * The response is a JSON object with:
+ * - total: the number of children matching the filter.
+ * - offset: the index of the first child returned.
+ * - items: an array of objects, one per child, with the child's entity
+ *   ID, kind, name, MIME type, size, changed time, owner name, access
+ *   grants, view URL, and icon classes.
+ *
+ * @ingroup foldershare
+ */
+class FolderShareList extends ControllerBase {
+
+  /*--------------------------------------------------------------------
+   *
+   * Constants.
+   *
+   *--------------------------------------------------------------------*/
+
+  /**
+   * The number of children returned when no limit is requested.
+   *
+   * @var int
+   */
+  const DEFAULT_LIMIT = 100;
+
+  /**
+   * The maximum number of children returned for one request.
+   *
+   * @var int
+   */
+  const MAXIMUM_LIMIT = 500;
+
+  /**
+   * The fields that the list may be sorted on.
+   *
+   * @var string[]
+   */
+  const SORT_FIELDS = [
+    'name',
+    'changed',
+    'size',
+    'kind',
+  ];
+
+  /*--------------------------------------------------------------------
+   *
+   * List.
+   *
+   *--------------------------------------------------------------------*/
+
+  /**
+   * Returns a window of a folder's children as JSON.
+   *
+   * The request's query may include:
+   * - offset: the index of the first child to return (default = 0).
+   * - limit: the number of children to return (default = 100).
+   * - order: the field to sort on: 'name', 'changed', 'size', or 'kind'
+   *   (default = 'name'). Children that sort the same are sorted by name.
+   * - sort: 'asc' or 'desc' (default = 'asc').
+   * - filter: text that each child's name or kind must contain.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object.
+   * @param \Drupal\foldershare\Entity\FolderShare $foldershare
+   *   The folder to list. NOTE: Because this function is the target of a
+   *   route with an entity argument, the name of the function argument
+   *   here *must be* named after the argument name: 'foldershare'.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The JSON response listing the children.
+   *
+   * @throws \Symfony\Component\HttpKernel\Exception\NotFoundHttpException
+   *   Thrown if the entity is not a folder.
+   */
+  public function list(Request $request, FolderShare $foldershare = NULL) {
+    //
+    // Validate arguments
+    // ------------------
+    // Only folders have children. Out of range query values are clamped.
+    if ($foldershare === NULL || $foldershare->isFolderOrRootFolder() === FALSE) {
+      throw new NotFoundHttpException();
+    }
+
+    $offset = max(0, (int) $request->query->get('offset', 0));
+    $limit = (int) $request->query->get('limit', self::DEFAULT_LIMIT);
+    $limit = min(max(1, $limit), self::MAXIMUM_LIMIT);
+
+    $order = $request->query->get('order', 'name');
+    if (in_array($order, self::SORT_FIELDS, TRUE) === FALSE) {
+      $order = 'name';
+    }
+
+    $direction = ($request->query->get('sort') === 'desc') ? 'DESC' : 'ASC';
+    $filter = trim((string) $request->query->get('filter', ''));
+
+    //
+    // Query children
+    // --------------
+    // Count the matching children, then get the IDs in the window.
+    $connection = Database::getConnection();
+    $query = $connection->select(FolderShare::BASE_TABLE, 'fs');
+    $query->addField('fs', 'id', 'id');
+    $query->condition('parentid', $foldershare->id(), '=');
+
+    if ($filter !== '') {
+      $like = '%' . $connection->escapeLike($filter) . '%';
+      $query->condition(
+        $query->orConditionGroup()
+          ->condition('name', $like, 'LIKE')
+          ->condition('kind', $like, 'LIKE'));
+    }
+
+    $total = (int) $query->countQuery()->execute()->fetchField();
+
+    $query->orderBy($order, $direction);
+    if ($order !== 'name') {
+      $query->orderBy('name', $direction);
+    }
+
+    $query->range($offset, $limit);
+
+    $ids = [];
+    foreach ($query->execute()->fetchAll() as $result) {
+      $ids[] = (int) $result->id;
+    }
+
+    //
+    // Describe children
+    // -----------------
+    // Load the window's children and return what the table shows.
+    $items = [];
+    $dateFormatter = \Drupal::service('date.formatter');
+    $entities = FolderShare::loadMultiple($ids);
+
+    foreach ($ids as $id) {
+      if (isset($entities[$id]) === FALSE) {
+        continue;
+      }
+
+      $entity = $entities[$id];
+      $access = [];
+      $summary = FolderShareAccessControlHandler::getAccessSummary($entity);
+      foreach ($summary as $op => $tf) {
+        if ($tf === TRUE) {
+          $access[] = $op;
+        }
+      }
+
+      $owner = $entity->getOwner();
+      $items[] = [
+        'id'          => (int) $entity->id(),
+        'kind'        => $entity->getKind(),
+        'name'        => $entity->getName(),
+        'mime'        => $entity->getMimeType(),
+        'size'        => (int) $entity->getSize(),
+        'changed'     => (int) $entity->getChangedTime(),
+        'changedText' => $dateFormatter->format(
+          $entity->getChangedTime(),
+          'foldershare_date_time'),
+        'owner'       => ($owner === NULL) ? '' : $owner->getDisplayName(),
+        'access'      => $access,
+        'url'         => $entity->toUrl()->toString(),
+        'classes'     => $this->getIconClasses($entity),
+      ];
+    }
+
+    return new JsonResponse([
+      'total'  => $total,
+      'offset' => $offset,
+      'items'  => $items,
+    ]);
+  }
+
+  /**
+   * Returns the icon classes for an entity.
+   *
+   * The classes match those added by the FolderShareName field formatter
+   * so that listed items get the same icons as table rows built by Views.
+   *
+   * @param \Drupal\foldershare\Entity\FolderShare $entity
+   *   The entity.
+   *
+   * @return string[]
+   *   The classes.
+   *
+   * @see \Drupal\foldershare\Plugin\Field\FieldFormatter\FolderShareName
+   */
+  private function getIconClasses(FolderShare $entity) {
+    $classes = [
+      'file',
+    ];
+
+    switch ($entity->getKind()) {
+      case FolderShare::FOLDER_KIND:
+        $classes[] = 'file--mime-folder-directory';
+        $classes[] = 'file--folder';
+        break;
+
+      case FolderShare::ROOT_FOLDER_KIND:
+        $classes[] = 'file--mime-rootfolder-directory';
+        $classes[] = 'file--folder';
+        break;
+
+      default:
+        $mime = $entity->getMimeType();
+        $classes[] = 'file--mime-' . strtr(
+          $mime,
+          [
+            '/'   => '-',
+            '.'   => '-',
+          ]);
+        $classes[] = 'file--' . file_icon_class($mime);
+        break;
+    }
+
+    return $classes;
+  }
+
+}
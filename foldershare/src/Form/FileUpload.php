@@ -5,6 +5,7 @@ namespace Drupal\foldershare\Form;
 use Drupal\Core\Form\FormBase;
 use Drupal\Core\Form\FormStateInterface;
 
+use Symfony\Component\HttpFoundation\JsonResponse;
 use Symfony\Component\HttpKernel\Exception\AccessDeniedHttpException;
 use Symfony\Component\HttpKernel\Exception\BadRequestHttpException;
 use Symfony\Component\HttpKernel\Exception\NotFoundHttpException;
@@ -26,6 +27,11 @@ use Drupal\foldershare\Entity\Exception\NotFoundException;
  * into a folder. It exists solely because the Drupal 8.5 (and earlier)
  * REST module does not support base class features needed for file uploads.
  *
+ * The form is also posted to by the folder table's Javascript in order
+ * to upload files one at a time with progress feedback. Those uploads name
+ * the destination folder by entity ID instead of by path, and receive a
+ * JSON response instead of a page.
+ *
  * The route to this form requires authentication, so there is a current
  * user.
  *
@@ -62,9 +68,13 @@ class FileUpload extends FormBase {
     //
     // Define form
     // -----------
-    // The form has two fields:
+    // The form has three fields:
     // - A file field that triggers the file upload.
     // - A destination field that names where the uploaded file should go.
+    // - A parent ID field that names the destination folder by entity ID.
+    //
+    // Web service clients set the path. Browser uploads set the parent ID.
+    // One or the other is required, which is checked on submit.
     $form['file'] = [
       '#type'  => 'file',
       '#title' => 'The local file to upload.',
@@ -74,7 +84,14 @@ class FileUpload extends FormBase {
     $form['path'] = [
       '#type'  => 'textfield',
       '#title' => 'The path destination for the file.',
-      '#required' => TRUE,
+      '#required' => FALSE,
+    ];
+
+    $form['parentId'] = [
+      '#type'  => 'textfield',
+      '#title' => 'The entity ID of the destination folder for the file.',
+      '#maxlength' => 24,
+      '#required' => FALSE,
     ];
 
     $form['actions']['#type'] = 'actions';
@@ -103,6 +120,17 @@ class FileUpload extends FormBase {
    * {@inheritdoc}
    */
   public function submitForm(array &$form, FormStateInterface $formState) {
+    //
+    // Upload by parent ID
+    // -------------------
+    // Browser uploads name the destination folder by entity ID and
+    // expect a JSON response describing the result.
+    $parentId = $formState->getValue('parentId');
+    if (empty($parentId) === FALSE) {
+      $formState->setResponse($this->uploadToParent((int) $parentId));
+      return;
+    }
+
     //
     // Get destination
     // ---------------
@@ -281,4 +309,74 @@ class FileUpload extends FormBase {
     }
   }
 
+  /**
+   * Adds the uploaded file to a parent folder and returns a JSON response.
+   *
+   * The response's status code is 200 on success, and an HTTP error code
+   * otherwise. The response's JSON content always includes a 'message'
+   * that describes an error, or is empty on success. On success, the
+   * content also includes the uploaded File object's 'id' and 'name'.
+   *
+   * @param int $parentId
+   *   The entity ID of the folder to upload the file into.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   Returns the response.
+   */
+  protected function uploadToParent(int $parentId) {
+    // Load the parent and confirm it is a folder. This will fail if:
+    // - The parent ID is invalid.
+    // - The parent is not a folder or root folder.
+    $parent = FolderShare::load($parentId);
+    if ($parent === NULL || $parent->isFolderOrRootFolder() === FALSE) {
+      return new JsonResponse(
+        [
+          'message' => (string) t(
+            Messages::HTTP_UPLOAD_PARENT_INVALID,
+            [
+              '@id' => $parentId,
+            ]),
+        ],
+        404);
+    }
+
+    // Verify the user has access. This will fail if:
+    // - The user does not have update access to the parent.
+    $access = $parent->access('update', NULL, TRUE);
+    if ($access->isAllowed() === FALSE) {
+      $message = $access->getReason();
+      if (empty($message) === TRUE) {
+        $message = t(
+          Messages::HTTP_UPLOAD_FOLDER_ACCESS_DENIED,
+          [
+            '@path' => $parent->getName(),
+          ]);
+      }
+
+      return new JsonResponse(['message' => (string) $message], 403);
+    }
+
+    // Add the file, allowing automatic file renaming. This will fail if:
+    // - There were any of several problems during the file upload.
+    // - The file name is illegal.
+    // - The folder is locked.
+    try {
+      $results = $parent->addUploadFiles('file', TRUE);
+    }
+    catch (\Exception $e) {
+      return new JsonResponse(['message' => $e->getMessage()], 400);
+    }
+
+    $entry = array_shift($results);
+    if ($entry === NULL || is_string($entry) === TRUE) {
+      return new JsonResponse(['message' => (string) $entry], 400);
+    }
+
+    return new JsonResponse([
+      'message' => '',
+      'id'      => (int) $entry->id(),
+      'name'    => $entry->getFilename(),
+    ]);
+  }
+
 }
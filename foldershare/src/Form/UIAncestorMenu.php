@@ -13,6 +13,7 @@ use Symfony\Component\DependencyInjection\ContainerInterface;
 
 use Drupal\foldershare\Constants;
 use Drupal\foldershare\Entity\FolderShare;
+use Drupal\foldershare\Entity\FolderShareAccessControlHandler;
 
 /**
  * Creates a form and menu button to select among ancestor folders.
@@ -147,6 +148,10 @@ class UIAncestorMenu extends FormBase {
     //
     // File classes are added so that themes can style the item with
     // folder icons.
+    //
+    // The ancestor's entity ID, kind, and the user's access are also
+    // included as attributes, as on the names in folder tables. Javascript
+    // uses these to make ancestors drop targets for dragged rows.
     $menuHtml = "<ul class=\"hidden $menuClass\">";
 
     if ($pageEntity !== NULL) {
@@ -184,7 +189,20 @@ class UIAncestorMenu extends FormBase {
             ' file--mime-' . $mimes[0] . '-' . $mimes[1];
         }
 
-        $menuHtml .= "<li data-foldershare-url=\"$url\"><div><span class=\"$fileClasses\"></span>$name</div></li>";
+        // Get the entity attributes.
+        $access = [];
+        $summary = FolderShareAccessControlHandler::getAccessSummary($item);
+        foreach ($summary as $op => $tf) {
+          if ($tf === TRUE) {
+            $access[] = $op;
+          }
+        }
+
+        $attr = 'data-foldershare-id="' . $item->id() . '" ' .
+          'data-foldershare-kind="' . Html::escape($item->getKind()) . '" ' .
+          'data-foldershare-access="' . Html::escape(implode(',', $access)) . '"';
+
+        $menuHtml .= "<li data-foldershare-url=\"$url\" $attr><div><span class=\"$fileClasses\"></span>$name</div></li>";
       }
     }
 
@@ -2,6 +2,7 @@
 
 namespace Drupal\foldershare\Form;
 
+use Drupal\Core\Database\Database;
 use Drupal\Core\Form\FormBase;
 use Drupal\Core\Form\FormStateInterface;
 use Drupal\Core\Render\Element\File;
@@ -11,6 +12,7 @@ use Drupal\Core\Ajax\RedirectCommand;
 use Drupal\Core\Url;
 
 use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\JsonResponse;
 
 use Drupal\foldershare\Constants;
 use Drupal\foldershare\Settings;
@@ -40,6 +42,11 @@ use Drupal\foldershare\Form\EditCommand;
  * - A file field used to specify uploaded files.
  * - A submit button.
  *
+ * Javascript may also post the form in the background and ask for a JSON
+ * response, such as to create folders while uploading a folder tree. In
+ * this case Javascript provides any further command parameters, and the
+ * command is executed without prompting the user with a configuration form.
+ *
  * This form is hidden and none of its fields are intended to be directly
  * set by a user. Instead, Javascript fills in the form based upon the
  * current row selection, the results of a drag-and-drop, or the file choices
@@ -111,6 +118,23 @@ class UIFolderTableMenu extends FormBase {
     'administer',
   ];
 
+  /**
+   * The IDs of commands that may be executed with a JSON response.
+   *
+   * Javascript runs these commands in the background with parameters it
+   * has already collected, such as a new name typed into a table row, or
+   * after its own confirmation dialog. Other commands that have a
+   * configuration form are redirected to that form instead.
+   *
+   * @var string[]
+   */
+  static private $JSON_COMMANDS = [
+    'foldersharecommand_new_folder',
+    'foldersharecommand_rename',
+    'foldersharecommand_delete',
+    'foldersharecommand_move',
+  ];
+
   /*--------------------------------------------------------------------
    *
    * Fields.
@@ -135,6 +159,16 @@ class UIFolderTableMenu extends FormBase {
    */
   protected $command;
 
+  /**
+   * The error message from command pre-validation, if any.
+   *
+   * For JSON responses, pre-validation errors are saved here instead of
+   * set on the form, and then returned in the response on submit.
+   *
+   * @var string
+   */
+  protected $commandError = '';
+
   /*--------------------------------------------------------------------
    *
    * Construction.
@@ -203,6 +237,9 @@ class UIFolderTableMenu extends FormBase {
       $pageEntityId = (int) (-1);
       $pageEntity   = NULL;
       $kind         = 'none';
+      $name         = '';
+      $count        = (-1);
+      $size         = (-1);
       $perm         = FolderShareAccessControlHandler::getAccessSummary(NULL);
     }
     else {
@@ -212,10 +249,16 @@ class UIFolderTableMenu extends FormBase {
       $pageEntityId = (int) $args[0];
       $pageEntity   = FolderShare::load($pageEntityId);
       if ($pageEntity !== NULL) {
-        $kind = $pageEntity->getKind();
+        $kind  = $pageEntity->getKind();
+        $name  = $pageEntity->getName();
+        $count = $this->getChildCount($pageEntity);
+        $size  = $pageEntity->getSize();
       }
       else {
-        $kind = 'none';
+        $kind  = 'none';
+        $name  = '';
+        $count = (-1);
+        $size  = (-1);
       }
 
       $perm = FolderShareAccessControlHandler::getAccessSummary($pageEntity);
@@ -269,6 +312,17 @@ class UIFolderTableMenu extends FormBase {
       $categoryTerms[$cat] = t($cat);
     }
 
+    // Get upload limits. Javascript checks files against these before
+    // uploading. An empty extensions list allows all extensions.
+    $extensions = [];
+    $extensionsString = FolderShare::getFileAllowedExtensions();
+    if (empty($extensionsString) === FALSE) {
+      $extensions = mb_split(' ', mb_strtolower($extensionsString));
+    }
+
+    $maxFileSize   = Settings::getUploadMaximumFileSize();
+    $maxFileNumber = Settings::getUploadMaximumFileNumber();
+
     $form['#attached']['drupalSettings']['foldershare'] = [
       'ajaxEnabled'   => self::ENABLE_AJAX,
       'module'        => [
@@ -278,6 +332,9 @@ class UIFolderTableMenu extends FormBase {
       'page'          => [
         'id'          => $pageEntityId,
         'kind'        => $kind,
+        'name'        => $name,
+        'count'       => $count,
+        'size'        => $size,
       ],
       'user'          => [
         'id'          => $user->id(),
@@ -293,13 +350,90 @@ class UIFolderTableMenu extends FormBase {
           'upload_dnd_not_supported' => t(Messages::UPLOAD_DND_NOT_SUPPORTED),
           'upload_dnd_invalid_singular' => t(Messages::UPLOAD_DND_INVALID_SINGULAR),
           'upload_dnd_invalid_plural' => t(Messages::UPLOAD_DND_INVALID_PLURAL),
+          'upload_dnd_folder_failed' => t(Messages::UPLOAD_DND_FOLDER_FAILED),
+          'upload_invalid_files' => t(Messages::UPLOAD_INVALID_FILES),
+          'upload_invalid_extension' => t(Messages::UPLOAD_INVALID_EXTENSION),
+          'upload_invalid_size' => t(
+            Messages::UPLOAD_INVALID_SIZE,
+            [
+              '@maxsize' => format_size($maxFileSize),
+            ]),
+          'upload_invalid_number' => t(
+            Messages::UPLOAD_INVALID_NUMBER,
+            [
+              '@maxnumber' => $maxFileNumber,
+            ]),
+          'upload valid files' => t('upload valid files'),
+          // Javascript replaces '@name' with the page's raw name so that
+          // the name is not HTML-escaped twice.
+          'upload_drop_target' => t(Messages::UPLOAD_DROP_TARGET),
+          'uploading' => t('uploading'),
+          'upload complete' => t('upload complete'),
+          'upload canceled' => t('upload canceled'),
+          'upload failed' => t('upload failed'),
+          'total'     => t('total'),
+          'cancel'    => t('cancel'),
+          'close'     => t('close'),
+          'failed'    => t('failed'),
+          'canceled'  => t('canceled'),
+          'move'      => t('move'),
+          'copy'      => t('copy'),
+          'move here' => t('move here'),
+          'copy here' => t('copy here'),
+          'selected'  => t('selected'),
+          'selection_other_pages' => t('(@other on other pages)'),
+          'clear selection' => t('clear selection'),
+          'commands'  => t('commands'),
+          'search commands' => t('search commands'),
+          'no matching commands' => t('no matching commands'),
+          'confirm_prompt' => t(Messages::CONFIRM_PROMPT),
+          'confirm_prompt_destination' => t(Messages::CONFIRM_PROMPT_DESTINATION),
+          'confirm_more' => t('and @count more'),
+          "don't ask again this session" => t("don't ask again this session"),
+          'new_folder_name' => t(FolderShare::NEW_PREFIX) . t('folder'),
+          'kind'      => t('kind'),
+          'preview'   => t('preview'),
+          'preview_none' => t('Select an item to preview it.'),
+          'preview_loading' => t('Loading...'),
+          'preview_not_supported' => t('This file cannot be previewed.'),
+          'preview_too_large' => t('This file is too large to preview.'),
+          'preview_failed' => t('The file could not be loaded.'),
+          'grid'      => t('grid'),
+          'filter'    => t('filter'),
         ],
         'categories'  => $categoryTerms,
       ],
       'categories'    => self::$MENU_WELL_KNOWN_COMMAND_CATEGORIES,
       'commands'      => Settings::getAllowedCommandDefinitions(),
+      'upload'        => [
+        'url'         => Url::fromRoute('entity.foldershare.upload')->toString(),
+        'extensions'  => $extensions,
+        'maxFileSize' => $maxFileSize,
+        'maxFileNumber' => $maxFileNumber,
+      ],
+      'download'      => [
+        // The placeholder is replaced by an entity ID in Javascript.
+        'url'         => Url::fromRoute(
+          Constants::ROUTE_DOWNLOAD,
+          [
+            'encoded' => 'ENTITYID',
+          ])->toString(),
+        'placeholder' => 'ENTITYID',
+      ],
     ];
 
+    // Folders may list their contents as JSON, which Javascript uses to
+    // show very large folders as a single scrolling list.
+    if ($pageEntity !== NULL && $pageEntity->isFolderOrRootFolder() === TRUE) {
+      $form['#attached']['drupalSettings']['foldershare']['list'] = [
+        'url'         => Url::fromRoute(
+          Constants::ROUTE_FOLDERSHARE_LIST,
+          [
+            Constants::ROUTE_FOLDERSHARE_ID => $pageEntityId,
+          ])->toString(),
+      ];
+    }
+
     //
     // Create UI
     // ---------
@@ -316,6 +450,8 @@ class UIFolderTableMenu extends FormBase {
     $selectionClass     = $uiClass . '-selection';
     $parentIdClass      = $uiClass . '-parentId';
     $destinationIdClass = $uiClass . '-destinationId';
+    $configurationClass = $uiClass . '-configuration';
+    $responseClass      = $uiClass . '-response';
 
     // When AJAX is enabled, add an AJAX callback to the submit button.
     $submitAjax = '';
@@ -422,6 +558,35 @@ class UIFolderTableMenu extends FormBase {
           '#default_value'   => $formState->getValue($destinationIdClass),
         ],
 
+        // Add the configuration field that gives additional command
+        // parameters, such as the name for a new folder. Javascript sets
+        // this field when it executes a command in the background and
+        // already knows the parameters the command's configuration form
+        // would otherwise prompt for.
+        //
+        // The configuration field is optional. Most commands don't use it.
+        //
+        // Implementation note: The textfield may be left empty or set to
+        // a JSON-encoded object of named parameters.
+        $configurationClass  => [
+          '#type'            => 'textfield',
+          '#maxlength'       => 524288,
+          '#size'            => 1,
+          '#default_value'   => '',
+        ],
+
+        // Add the response field that selects the type of response. When
+        // Javascript posts the form in the background, it sets this to
+        // 'json' to get a JSON response instead of a page.
+        //
+        // The response field is optional. It is normally left empty.
+        $responseClass       => [
+          '#type'            => 'textfield',
+          '#maxlength'       => 8,
+          '#size'            => 1,
+          '#default_value'   => '',
+        ],
+
         // Add the file field for uploading files. Later, when a user
         // selects a command that needs to upload a file, Javascript invokes
         // the browser's file dialog to set this field.
@@ -457,6 +622,30 @@ class UIFolderTableMenu extends FormBase {
     return $form;
   }
 
+  /**
+   * Returns the number of children in a folder.
+   *
+   * The children are counted by the database rather than by loading
+   * their IDs, which could be a long list for a large folder.
+   *
+   * @param \Drupal\foldershare\Entity\FolderShare $entity
+   *   The entity whose children are counted.
+   *
+   * @return int
+   *   Returns the number of children, or zero if the entity is not
+   *   a folder.
+   */
+  protected function getChildCount(FolderShare $entity) {
+    if ($entity->isFolderOrRootFolder() === FALSE) {
+      return 0;
+    }
+
+    $query = Database::getConnection()->select(FolderShare::BASE_TABLE, 'fs');
+    $query->condition('parentid', $entity->id(), '=');
+
+    return (int) $query->countQuery()->execute()->fetchField();
+  }
+
   /**
    * Process the file field in the view UI form to add extension handling.
    *
@@ -519,7 +708,10 @@ class UIFolderTableMenu extends FormBase {
     $selectionClass     = $uiClass . '-selection';
     $parentIdClass      = $uiClass . '-parentId';
     $destinationIdClass = $uiClass . '-destinationId';
+    $configurationClass = $uiClass . '-configuration';
+    $responseClass      = $uiClass . '-response';
     $uploadClass        = $uiClass . '-upload';
+    $jsonResponse       = ($formState->getValue($responseClass) === 'json');
 
     //
     // Get parent ID (if any)
@@ -549,6 +741,9 @@ class UIFolderTableMenu extends FormBase {
     // -----------
     // The command's plugin ID is set in the command field. Get it and
     // the command definition.
+    $this->command = NULL;
+    $this->commandError = '';
+
     $commandId = $formState->getValue($commandClass);
     if (empty($commandId) === TRUE) {
       // Fail. This should never happen. The field is required, so the form
@@ -590,12 +785,25 @@ class UIFolderTableMenu extends FormBase {
       'uploadClass'   => $uploadClass,
     ];
 
+    // Add further parameters, if any. These cannot replace the operands
+    // above, and only parameters the command defines are kept.
+    $parameters = json_decode($formState->getValue($configurationClass), TRUE);
+    if (is_array($parameters) === TRUE) {
+      $configuration += $this->filterCommandParameters($commandId, $parameters);
+    }
+
     //
     // Prevalidate
     // -----------
     // Create a command instance and pre-validate.
     $command = $this->prevalidateCommand($commandId, $configuration);
     if (is_string($command) === TRUE) {
+      if ($jsonResponse === TRUE) {
+        // Report the error in the JSON response, not in a form page.
+        $this->commandError = $command;
+        return;
+      }
+
       $formState->setErrorByName($commandClass, $command);
       return;
     }
@@ -616,6 +824,15 @@ class UIFolderTableMenu extends FormBase {
     //
     // Setup
     // -----
+    // If a JSON response is requested, execute the command and respond.
+    $uiClass       = 'foldershare-folder-table-menu';
+    $responseClass = $uiClass . '-response';
+    if ($formState->getValue($responseClass) === 'json') {
+      $formState->setResponse($this->submitFormJson());
+      $this->command = NULL;
+      return;
+    }
+
     // If AJAX is in use, let the AJAX callback handle the command.
     // It is automatically called after calling this function.
     if (self::ENABLE_AJAX === TRUE) {
@@ -650,17 +867,8 @@ class UIFolderTableMenu extends FormBase {
     // hosts the form.
     try {
       if ($this->command->hasConfigurationForm() === TRUE) {
-        $parameters = [
-          'pluginId'      => $this->command->getPluginId(),
-          'configuration' => $this->command->getConfiguration(),
-          'url'           => \Drupal::request()->getRequestUri(),
-        ];
-
-        $encoded = base64_encode(json_encode($parameters));
-
-        $formState->setRedirect(
-          'entity.foldersharecommand.plugin',
-          ['encoded' => $encoded]);
+        $formState->setRedirectUrl(
+          $this->getConfigurationFormUrl($this->command));
         return;
       }
     }
@@ -689,6 +897,141 @@ class UIFolderTableMenu extends FormBase {
     $this->command = NULL;
   }
 
+  /*--------------------------------------------------------------------
+   *
+   * Form submit (JSON)
+   *
+   *--------------------------------------------------------------------*/
+
+  /**
+   * Executes the command and returns a JSON response.
+   *
+   * Only commands listed in $JSON_COMMANDS are executed, using the
+   * parameters provided with the form and without redirecting to a
+   * configuration form. Commands that redirect to another page, or other
+   * commands that have a configuration form, are not executed, and the
+   * URL of that page or form is returned instead. Other commands are
+   * not executed and an error is returned.
+   *
+   * The response's JSON content always includes:
+   * - 'messages' = an associative array with 'status', 'warning', and
+   *   'error' keys, each for an array of messages.
+   * - 'createdIds' = an array of entity IDs for new items, if any.
+   * - 'redirect' = the URL to go to, or an empty string.
+   *
+   * The response's status code is 200 on success, 403 if the user does
+   * not have access, and 400 for all other errors.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   Returns the response.
+   */
+  protected function submitFormJson() {
+    $content = [
+      'messages'   => [
+        'status'   => [],
+        'warning'  => [],
+        'error'    => [],
+      ],
+      'createdIds' => [],
+      'redirect'   => '',
+    ];
+
+    //
+    // Report pre-validation errors
+    // ----------------------------
+    // If pre-validation failed, there is no command to execute.
+    if ($this->command === NULL) {
+      $content['messages']['error'][] = $this->commandError;
+      return new JsonResponse($content, 400);
+    }
+
+    //
+    // Redirect to page
+    // ----------------
+    // If the command needs to redirect to a special page, return the URL.
+    if ($this->command->hasRedirect() === TRUE) {
+      $url = $this->command->getRedirect();
+      if (empty($url) === TRUE) {
+        $url = Url::fromRoute('<current>');
+      }
+
+      $content['redirect'] = $url->toString();
+      return new JsonResponse($content);
+    }
+
+    //
+    // Redirect to form
+    // ----------------
+    // Commands that are not meant to run in the background get their
+    // configuration form, which may validate or confirm the command.
+    if (in_array($this->command->getPluginId(), self::$JSON_COMMANDS, TRUE) === FALSE) {
+      try {
+        if ($this->command->hasConfigurationForm() === TRUE) {
+          $content['redirect'] =
+            $this->getConfigurationFormUrl($this->command)->toString();
+          return new JsonResponse($content);
+        }
+      }
+      catch (\Exception $e) {
+        $content['messages']['error'][] = $e->getMessage();
+        return new JsonResponse($content, 400);
+      }
+
+      $content['messages']['error'][] = (string) t(
+        'The "@command" command cannot be run in the background.',
+        [
+          '@command' => $this->command->getPluginDefinition()['label'],
+        ]);
+      return new JsonResponse($content, 400);
+    }
+
+    //
+    // Execute
+    // -------
+    // Validate, check permissions, then execute. Messages are returned
+    // in the response instead of being posted to the page.
+    try {
+      $this->command->validateConfiguration();
+    }
+    catch (\Exception $e) {
+      $content['messages']['error'][] = $e->getMessage();
+      return new JsonResponse($content, 400);
+    }
+
+    if ($this->command->access(\Drupal::currentUser(), FALSE) === FALSE) {
+      $content['messages']['error'][] = (string) t(
+        'You do not have sufficient permissions to perform the "@command" command on the selected items.',
+        [
+          '@command' => $this->command->getPluginDefinition()['label'],
+        ]);
+      return new JsonResponse($content, 403);
+    }
+
+    try {
+      $this->command->clearExecuteMessages();
+      $this->command->execute();
+    }
+    catch (\Exception $e) {
+      $content['messages']['error'][] = $e->getMessage();
+      return new JsonResponse($content, 400);
+    }
+
+    foreach ($this->command->getExecuteMessages() as $type => $list) {
+      if (isset($content['messages'][$type]) === FALSE) {
+        $type = 'status';
+      }
+
+      foreach ($list as $message) {
+        $content['messages'][$type][] = (string) $message;
+      }
+    }
+
+    $content['createdIds'] = $this->command->getExecuteCreatedIds();
+
+    $status = empty($content['messages']['error']) === TRUE ? 200 : 400;
+    return new JsonResponse($content, $status);
+  }
+
   /*--------------------------------------------------------------------
    *
    * Form submit (AJAX)
@@ -839,6 +1182,60 @@ class UIFolderTableMenu extends FormBase {
    *
    *--------------------------------------------------------------------*/
 
+  /**
+   * Returns the command parameters that a command defines.
+   *
+   * Parameters posted by Javascript are kept only if their names are
+   * keys of the command's default configuration. Others are dropped.
+   *
+   * @param string $commandId
+   *   The command plugin ID.
+   * @param array $parameters
+   *   The posted parameters.
+   *
+   * @return array
+   *   Returns the parameters the command defines. The array is empty if
+   *   the command is not recognized.
+   */
+  protected function filterCommandParameters(
+    string $commandId,
+    array $parameters) {
+
+    if ($this->commandPluginManager === NULL ||
+        $this->commandPluginManager->getDefinition($commandId, FALSE) === NULL) {
+      return [];
+    }
+
+    $defaults = $this->commandPluginManager
+      ->createInstance($commandId, [])
+      ->defaultConfiguration();
+
+    return array_intersect_key($parameters, $defaults);
+  }
+
+  /**
+   * Returns the URL of the page hosting a command's configuration form.
+   *
+   * @param \Drupal\foldershare\Plugin\FolderShareCommand\FolderShareCommandInterface $command
+   *   The command. The configuration should already be set.
+   *
+   * @return \Drupal\Core\Url
+   *   Returns the URL.
+   */
+  protected function getConfigurationFormUrl(FolderShareCommandInterface $command) {
+    $parameters = [
+      'pluginId'      => $command->getPluginId(),
+      'configuration' => $command->getConfiguration(),
+      'url'           => \Drupal::request()->getRequestUri(),
+    ];
+
+    return Url::fromRoute(
+      'entity.foldersharecommand.plugin',
+      [
+        'encoded' => base64_encode(json_encode($parameters)),
+      ]);
+  }
+
   /**
    * Creates an instance of a command and pre-validates it.
    *
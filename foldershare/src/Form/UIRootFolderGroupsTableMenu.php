@@ -2,35 +2,36 @@
 
 namespace Drupal\foldershare\Form;
 
-use Drupal\Core\Form\FormBase;
 use Drupal\Core\Form\FormStateInterface;
 
-use Symfony\Component\DependencyInjection\ContainerInterface;
-
 use Drupal\foldershare\Constants;
+use Drupal\foldershare\Messages;
 
 /**
  * Creates a form for the root folder groups table menu.
  *
- * This form manages a very abbreviated menu that contains a single
- * specialized "Open folder..." command. The command simply opens a new page
- * for a selected root folder group (e.g. "personal", "public", etc.).
+ * The root folder groups page lists well-known root folder groups (e.g.
+ * "personal", "public", etc.). The page has no page entity, so its menu
+ * offers the same commands as a root folder list: those whose parent
+ * constraints accept a parent kind of "none", such as creating a new
+ * root folder.
+ *
+ * This form extends the file and folder table menu form. It uses the same
+ * command list, hidden command fields, validation, and command execution,
+ * but it is always built as if there is no page entity.
  *
- * Javascript creates a menu button and a pull-down menu containing the
- * "Open folder..." command. Javascript also creates a context menu of the
- * same command on table rows. Scripting handles single-item selection
- * of a root folder group to open, and double-click to open.
+ * Javascript creates a menu button and a pull-down menu of commands, culled
+ * by the same rules as on folder pages. Javascript also creates a context
+ * menu for table rows. Since groups are not entities, the only command
+ * that operates upon selected groups is "Open", which Javascript handles
+ * by advancing to the group's page. Javascript adds an "Open in New Tab"
+ * command that opens every selected group. Scripting handles row selection,
+ * multi-row selection, keyboard navigation, and double-click to open.
  *
  * Unlike a full file and folder table, the root folder groups table does
  * not support:
- * - Multi-row selection.
  * - Drag-and-drop of rows.
  * - Drag-and-drop of files.
- * - A file dialog for uploading.
- *
- * Technically, a form is not required since it just uses Javascript to
- * reload the page associated with the selected row. The form is never
- * submitted.
  *
  * <B>Warning:</B> This class is strictly internal to the FolderShare
  * module. The class's existance, name, and content may change from
@@ -38,40 +39,7 @@ use Drupal\foldershare\Constants;
  *
  * @ingroup foldershare
  */
-class UIRootFolderGroupsTableMenu extends FormBase {
-
-  /*--------------------------------------------------------------------
-   *
-   * Construction.
-   *
-   *--------------------------------------------------------------------*/
-
-  /**
-   * Constructs a new form.
-   */
-  public function __construct() {
-  }
-
-  /**
-   * {@inheritdoc}
-   */
-  public static function create(ContainerInterface $container) {
-    return new static();
-  }
-
-  /*--------------------------------------------------------------------
-   *
-   * Form setup.
-   *
-   *--------------------------------------------------------------------*/
-
-  /**
-   * {@inheritdoc}
-   */
-  public function getFormId() {
-    $name = str_replace('\\', '_', get_class($this));
-    return mb_convert_case($name, MB_CASE_LOWER);
-  }
+class UIRootFolderGroupsTableMenu extends UIFolderTableMenu {
 
   /*--------------------------------------------------------------------
    *
@@ -83,96 +51,31 @@ class UIRootFolderGroupsTableMenu extends FormBase {
    * {@inheritdoc}
    */
   public function buildForm(array $form, FormStateInterface $formState = NULL) {
+    //
+    // Build command form
+    // ------------------
+    // The page has no page entity, so the parent form's settings give a
+    // page kind of 'none' and the commands available for root lists.
+    $form = parent::buildForm($form, $formState);
+
+    //
     // Form setup
     // ----------
-    // Add the form's ID as a class for styling.
-    //
-    // The 'drupalSettings' attribute defines arbitrary data that can be
-    // attached to the page. Here we use it to:
-    // - Give the page type.
-    // - Give the ID and human-readable name of this module.
-    // - Give translations for various terms.
+    // Add the form's ID as a class for styling and so that Javascript
+    // can tell this form from a folder table's form.
     $form['#attributes']['class'][] =
       'foldershare-root-folder-groups-table-menu-form';
 
-    $user = \Drupal::currentUser();
-    $moduleName = \Drupal::service('module_handler')->getName(Constants::MODULE);
-
-    $form['#attached']['drupalSettings']['foldershare'] = [
-      'module'        => [
-        'id'          => Constants::MODULE,
-        'title'       => $moduleName,
-      ],
-      'page'          => [
-        'id'          => (-1),
-        'kind'        => 'rootfoldergroups',
-      ],
-      'user'          => [
-        'id'          => $user->id(),
-        'accountName' => $user->getAccountName(),
-        'displayName' => $user->getDisplayName(),
-      ],
-      'terminology'   => [
-        'text'        => [
-          'menu'      => t('menu'),
-          'open'      => t('Open Folder...'),
-        ],
-      ],
-    ];
-
-    //
-    // Create UI
-    // ---------
-    // The UI is primarily built by Javascript based upon the command list
-    // and other information in the settings attached to the form above.
-    // The remainder of the form contains input fields and a submit button
-    // for sending a command's ID and operands back to the server.
-    //
-    // Set up classes.
-    $uiClass = 'foldershare-root-folder-groups-table-menu';
+    $form['foldershare-folder-table-menu']['#attached']['library'][] =
+      Constants::LIBRARY_MAINUI;
 
-    $form[$uiClass] = [
-      '#type'       => 'container',
-      '#weight'     => -100,
-      '#attached'   => [
-        'library'   => [
-          Constants::LIBRARY_MAINUI,
-        ],
-      ],
-      '#attributes' => [
-        'class'     => [
-          $uiClass,
-        ],
-      ],
-    ];
+    // Add terms for commands handled only by Javascript.
+    $form['#attached']['drupalSettings']['foldershare']['terminology']['text']['open_new_tab'] =
+      t('Open in New Tab');
+    $form['#attached']['drupalSettings']['foldershare']['terminology']['text']['open_new_tab_blocked'] =
+      t(Messages::OPEN_NEW_TAB_BLOCKED);
 
     return $form;
   }
 
-  /*--------------------------------------------------------------------
-   *
-   * Form validate
-   *
-   *--------------------------------------------------------------------*/
-
-  /**
-   * {@inheritdoc}
-   */
-  public function validateForm(array &$form, FormStateInterface $formState) {
-    // Do nothing.
-  }
-
-  /*--------------------------------------------------------------------
-   *
-   * Form submit
-   *
-   *--------------------------------------------------------------------*/
-
-  /**
-   * {@inheritdoc}
-   */
-  public function submitForm(array &$form, FormStateInterface $formState) {
-    // Do nothing.
-  }
-
 }
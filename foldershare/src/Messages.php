@@ -140,6 +140,14 @@ EOS;
 
   const CHOWN_DESCRIPTION_MULTIPLE_ITEMS = <<<'EOS'
 Change the owner of these @kinds, including all of their contents.
+EOS;
+
+  const CONFIRM_PROMPT = <<<'EOS'
+@command these items?
+EOS;
+
+  const CONFIRM_PROMPT_DESTINATION = <<<'EOS'
+@command these items into "@name"?
 EOS;
 
   const COPY_DESCRIPTION_ONE_FOLDER = <<<'EOS'
@@ -188,6 +196,11 @@ EOS;
 
   const MOVE_DESCRIPTION_MULTIPLE_ITEMS = <<<'EOS'
 Move these @kinds, including all of their contents.
+EOS;
+
+  const OPEN_NEW_TAB_BLOCKED = <<<'EOS'
+<p><strong>Some groups could not be opened in new tabs.</strong></p>
+<p>The web browser blocked these tabs. Allow pop-ups for this site and try again:</p>
 EOS;
 
   const RENAME_DESCRIPTION_WITHIN_FOLDER = <<<'EOS'
@@ -225,12 +238,38 @@ EOS;
 
   const UPLOAD_DND_INVALID_SINGULAR = <<<'EOS'
 <p><strong>Drag-and-drop item cannot be uploaded.</strong></p>
-<p>You may not have access to the item, or it may be a folder. Folder upload is not supported.</p>
+<p>You may not have access to the item, or it may be a folder. Folder upload is not supported by this web browser.</p>
 EOS;
 
   const UPLOAD_DND_INVALID_PLURAL = <<<'EOS'
 <p><strong>Drag-and-drop items cannot be uploaded.</strong></p>
-<p>You may not have access to these items, or one of them may be a folder. Folder upload is not supported.</p>
+<p>You may not have access to these items, or one of them may be a folder. Folder upload is not supported by this web browser.</p>
+EOS;
+
+  const UPLOAD_DND_FOLDER_FAILED = <<<'EOS'
+<p><strong>Some dropped folders could not be uploaded.</strong></p>
+<p>The folders below, and their contents, were skipped:</p>
+EOS;
+
+  const UPLOAD_DROP_TARGET = <<<'EOS'
+Drop files to upload them into "@name".
+EOS;
+
+  const UPLOAD_INVALID_FILES = <<<'EOS'
+<p><strong>Some files cannot be uploaded.</strong></p>
+<p>The files below do not meet the web site's upload limits:</p>
+EOS;
+
+  const UPLOAD_INVALID_EXTENSION = <<<'EOS'
+The file type is not allowed.
+EOS;
+
+  const UPLOAD_INVALID_SIZE = <<<'EOS'
+The file is larger than the maximum allowed size of @maxsize.
+EOS;
+
+  const UPLOAD_INVALID_NUMBER = <<<'EOS'
+No more than @maxnumber files may be uploaded at once.
 EOS;
 
   /*---------------------------------------------------------------------
@@ -670,6 +709,10 @@ EOS;
 
   const HTTP_UPLOAD_FOLDER_ACCESS_DENIED = <<<'EOS'
 You are not authorized to upload files into "@path".
+EOS;
+
+  const HTTP_UPLOAD_PARENT_INVALID = <<<'EOS'
+The upload destination "@id" could not be found or is not a folder.
 EOS;
 
   const HTTP_COMMAND_ACCESS_DENIED = <<<'EOS'
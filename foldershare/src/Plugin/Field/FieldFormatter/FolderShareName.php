@@ -8,6 +8,8 @@ use Drupal\Core\Field\FormatterBase;
 use Drupal\Core\Form\FormStateInterface;
 use Drupal\Core\Entity\EntityInterface;
 use Drupal\Component\Utility\Html;
+use Drupal\image\Entity\ImageStyle;
+use Drupal\image\ImageStyleInterface;
 
 use Drupal\foldershare\Entity\FolderShare;
 use Drupal\foldershare\Entity\FolderShareAccessControlHandler;
@@ -32,6 +34,17 @@ use Drupal\foldershare\Entity\FolderShareAccessControlHandler;
  */
 class FolderShareName extends FormatterBase {
 
+  /*---------------------------------------------------------------------
+   *
+   * Constants.
+   *
+   *---------------------------------------------------------------------*/
+
+  /**
+   * The image style used for image thumbnails in UI attributes.
+   */
+  const THUMBNAIL_STYLE = 'thumbnail';
+
   /*---------------------------------------------------------------------
    *
    * Configuration.
@@ -190,6 +203,13 @@ class FolderShareName extends FormatterBase {
     $doLink       = $this->getSetting('linkToEntity') !== 0;
     $doAttributes = $this->getSetting('addAttributes') !== 0;
 
+    // Load the thumbnail image style once for all items. The style is
+    // NULL if a site has deleted it.
+    $thumbnailStyle = NULL;
+    if ($doAttributes === TRUE) {
+      $thumbnailStyle = ImageStyle::load(self::THUMBNAIL_STYLE);
+    }
+
     // Loop through items.
     $build = [];
     foreach ($entities as $delta => $entity) {
@@ -199,7 +219,8 @@ class FolderShareName extends FormatterBase {
         $langCode,
         $doIcon,
         $doLink,
-        $doAttributes);
+        $doAttributes,
+        $thumbnailStyle);
     }
 
     return $build;
@@ -225,6 +246,9 @@ class FolderShareName extends FormatterBase {
    * @param bool $doAttributes
    *   When TRUE, the entity name will be marked with entity attributes that
    *   a scripting user interface may use to recognize the entity.
+   * @param \Drupal\image\ImageStyleInterface $thumbnailStyle
+   *   (optional, default = NULL = no thumbnail) The image style used for
+   *   the entity's thumbnail attribute.
    *
    * @return array
    *   The render element to present the field.
@@ -234,7 +258,8 @@ class FolderShareName extends FormatterBase {
     $langCode,
     $doIcon = TRUE,
     $doLink = TRUE,
-    $doAttributes = TRUE) {
+    $doAttributes = TRUE,
+    ImageStyleInterface $thumbnailStyle = NULL) {
 
     //
     // Setup
@@ -262,7 +287,13 @@ class FolderShareName extends FormatterBase {
         $prefix . 'id'     => $entity->id(),
         $prefix . 'kind'   => $kind,
         $prefix . 'access' => implode(',', $access),
+        $prefix . 'changed' => $entity->getChangedTime(),
       ];
+
+      $thumbnail = $this->getThumbnailUrl($entity, $thumbnailStyle);
+      if ($thumbnail !== '') {
+        $attr[$prefix . 'thumbnail'] = $thumbnail;
+      }
     }
 
     $classes = [];
@@ -338,4 +369,48 @@ class FolderShareName extends FormatterBase {
     return $render;
   }
 
+  /**
+   * Returns the URL of an image thumbnail for the entity.
+   *
+   * The thumbnail is the image style derivative of the entity's image or
+   * file, if it is a type of image supported by the image toolkit.
+   *
+   * @param \Drupal\Core\Entity\EntityInterface $entity
+   *   The entity.
+   * @param \Drupal\image\ImageStyleInterface $style
+   *   (optional, default = NULL = none) The thumbnail image style.
+   *
+   * @return string
+   *   Returns the thumbnail URL, or an empty string if the entity is not
+   *   an image or the image style is not available.
+   */
+  protected function getThumbnailUrl(
+    EntityInterface $entity,
+    ImageStyleInterface $style = NULL) {
+
+    switch ($entity->getKind()) {
+      case FolderShare::IMAGE_KIND:
+        $file = $entity->getImage();
+        break;
+
+      case FolderShare::FILE_KIND:
+        $file = $entity->getFile();
+        break;
+
+      default:
+        return '';
+    }
+
+    if ($file === NULL || $style === NULL) {
+      return '';
+    }
+
+    $uri = $file->getFileUri();
+    if ($style->supportsUri($uri) === FALSE) {
+      return '';
+    }
+
+    return $style->buildUrl($uri);
+  }
+
 }
@@ -68,10 +68,18 @@ class FolderShareStorageSize extends FormatterBase {
     // Loop through all items and generate corresponding markup.
     // This uses the standard Drupal core 'format_size' function to convert an
     // integer value to a string with an appropriate byte amount suffix.
+    //
+    // The size in bytes is included as an attribute so that Javascript
+    // can total the sizes of selected items.
     $elements = [];
     foreach ($items as $delta => $item) {
       $elements[$delta] = [
-        '#markup' => format_size($item->value, $langcode),
+        '#type'       => 'html_tag',
+        '#tag'        => 'span',
+        '#value'      => format_size($item->value, $langcode),
+        '#attributes' => [
+          'data-foldershare-size' => (int) $item->value,
+        ],
       ];
     }
 
@@ -30,6 +30,9 @@ use Drupal\foldershare\Entity\FolderShare;
  *  description     = @Translation("Delete files and folders, and all of their content."),
  *  category        = "delete",
  *  weight          = 10,
+ *  specialHandling = {
+ *    "destructive",
+ *  },
  *  parentConstraints = {
  *    "kinds"   = {
  *      "none",
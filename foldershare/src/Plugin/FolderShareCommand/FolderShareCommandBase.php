@@ -133,6 +133,18 @@ abstract class FolderShareCommandBase extends PluginBase implements Configurable
    */
   private $executeMessages;
 
+  /**
+   * The entity IDs of items created by the command.
+   *
+   * Commands that create new files or folders may record the new entity
+   * IDs so that user interfaces can find and present the new items.
+   *
+   * @var int[]
+   * @see ::addExecuteCreatedId
+   * @see ::getExecuteCreatedIds
+   */
+  private $executeCreatedIds = [];
+
   /**
    * A flag indicating if the entire command has been validated.
    *
@@ -1023,6 +1035,7 @@ abstract class FolderShareCommandBase extends PluginBase implements Configurable
    */
   public function clearExecuteMessages() {
     $this->executeMessages = [];
+    $this->executeCreatedIds = [];
   }
 
   /**
@@ -1065,6 +1078,23 @@ abstract class FolderShareCommandBase extends PluginBase implements Configurable
     $this->executeMessages[$type][] = $message;
   }
 
+  /**
+   * {@inheritdoc}
+   */
+  public function getExecuteCreatedIds() {
+    return $this->executeCreatedIds;
+  }
+
+  /**
+   * Appends the entity ID of an item created by the command.
+   *
+   * @param int $id
+   *   The entity ID of a new file or folder.
+   */
+  protected function addExecuteCreatedId(int $id) {
+    $this->executeCreatedIds[] = $id;
+  }
+
   /*---------------------------------------------------------------------
    *
    * Redirects.
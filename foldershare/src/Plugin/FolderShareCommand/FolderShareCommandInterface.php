@@ -287,7 +287,7 @@ interface FolderShareCommandInterface extends PluginFormInterface, ExecutableInt
    *---------------------------------------------------------------------*/
 
   /**
-   * Clears any saved execution messages.
+   * Clears any saved execution messages and created entity IDs.
    */
   public function clearExecuteMessages();
 
@@ -313,4 +313,16 @@ interface FolderShareCommandInterface extends PluginFormInterface, ExecutableInt
    */
   public function getExecuteMessages(string $type);
 
+  /**
+   * Returns the entity IDs of items created by the most recent execution.
+   *
+   * Commands that create files or folders may record the new entity IDs.
+   * User interfaces may use these to find and present the new items.
+   *
+   * @return int[]
+   *   Returns an array of entity IDs. The array is empty if the command
+   *   did not create anything, or does not record created items.
+   */
+  public function getExecuteCreatedIds();
+
 }
@@ -36,6 +36,7 @@ use Drupal\foldershare\Entity\Exception\ValidationException;
  *  weight          = 30,
  *  specialHandling = {
  *    "create",
+ *    "destructive",
  *  },
  *  parentConstraints = {
  *    "kinds"   = {
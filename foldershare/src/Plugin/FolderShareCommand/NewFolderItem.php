@@ -11,10 +11,15 @@ use Drupal\foldershare\Entity\FolderShare;
  *
  * The command creates a new folder in the current parent folder, if any.
  * If there is no parent folder, the command creates a new root folder.
- * The new folder is empty and has a default name.
+ * The new folder is empty and has a default name, unless a name is given.
  *
  * Configuration parameters:
  * - 'parentId': the parent folder, if any.
+ * - 'name': (optional) the new folder's name. If the name is in use,
+ *   the command fails. If no name is given, a default name is used, with
+ *   a number appended if needed to make it unique.
+ * - 'allowRename': (optional) when TRUE, a number is appended to a given
+ *   name that is in use, instead of failing.
  *
  * @ingroup foldershare
  *
@@ -48,6 +53,26 @@ use Drupal\foldershare\Entity\FolderShare;
  */
 class NewFolderItem extends FolderShareCommandBase {
 
+  /*--------------------------------------------------------------------
+   *
+   * Configuration.
+   *
+   * These functions initialize a default configuration for the command.
+   *
+   *--------------------------------------------------------------------*/
+
+  /**
+   * {@inheritdoc}
+   */
+  public function defaultConfiguration() {
+    // Include room for an optional name in the configuration, and
+    // whether to number that name if it is in use.
+    $config = parent::defaultConfiguration();
+    $config['name'] = '';
+    $config['allowRename'] = FALSE;
+    return $config;
+  }
+
   /*--------------------------------------------------------------------
    *
    * Execute.
@@ -63,14 +88,23 @@ class NewFolderItem extends FolderShareCommandBase {
     //
     // Get the parent folder, if any. When there is none, create a root
     // folder. Otherwise create a folder within the parent.
+    //
+    // The default name is numbered to make it unique, but a name chosen
+    // by the user is used as-is and fails if it is already in use, unless
+    // the caller allows it to be numbered too.
+    $name = (string) $this->configuration['name'];
+    $allowRename = (empty($name) === TRUE ||
+      $this->configuration['allowRename'] === TRUE);
     $parent = $this->getParent();
     if ($parent === NULL) {
-      $newFolder = FolderShare::createRootFolder('');
+      $newFolder = FolderShare::createRootFolder($name, $allowRename);
     }
     else {
-      $newFolder = $parent->createFolder('');
+      $newFolder = $parent->createFolder($name, $allowRename);
     }
 
+    $this->addExecuteCreatedId((int) $newFolder->id());
+
     $this->addExecuteMessage(t(
       Messages::NEWFOLDER_DONE,
       [
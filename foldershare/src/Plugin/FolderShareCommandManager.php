@@ -667,6 +667,8 @@ class FolderShareCommandManager extends DefaultPluginManager implements Categori
    *   by the user.
    * - 'createroot': the command creates root folders, so create root access
    *   is required by the user.
+   * - 'destructive': the command deletes or moves content, so the user
+   *   interface asks for confirmation.
    * - 'upload': the command uploads files, so file upload handling must
    *   be done prior to invoking the command.
    *
@@ -700,6 +702,7 @@ class FolderShareCommandManager extends DefaultPluginManager implements Categori
       switch ($h) {
         case 'create':
         case 'createroot':
+        case 'destructive':
         case 'upload':
           break;
 
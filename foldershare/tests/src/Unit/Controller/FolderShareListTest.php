@@ -0,0 +1,243 @@
+<?php
+
+namespace Drupal\Tests\foldershare\Unit\Controller;
+
+use Drupal\KernelTests\KernelTestBase;
+use Drupal\Tests\user\Traits\UserCreationTrait;
+
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpKernel\Exception\NotFoundHttpException;
+
+use Drupal\foldershare\Constants;
+use Drupal\foldershare\Controller\FolderShareList;
+use Drupal\foldershare\Entity\FolderShare;
+
+/**
+ * Tests the JSON folder list used by virtual folder tables.
+ *
+ * @group foldershare
+ *
+ * @coversDefaultClass \Drupal\foldershare\Controller\FolderShareList
+ */
+class FolderShareListTest extends KernelTestBase {
+
+  use UserCreationTrait;
+
+  /**
+   * {@inheritdoc}
+   */
+  public static $modules = [
+    'system',
+    'user',
+    'datetime',
+    'field',
+    'file',
+    'filter',
+    'image',
+    'link',
+    'media',
+    'options',
+    'text',
+    'views',
+    'foldershare',
+  ];
+
+  /**
+   * The names of the folder's children, in name order.
+   *
+   * @var string[]
+   */
+  private static $CHILD_NAMES = [
+    'Alpha',
+    'Bravo',
+    'Charlie',
+    'Delta',
+    'Echo',
+  ];
+
+  /**
+   * The folder listed by the tests.
+   *
+   * @var \Drupal\foldershare\Entity\FolderShare
+   */
+  private $folder;
+
+  /*---------------------------------------------------------------------
+   * Setup
+   *---------------------------------------------------------------------*/
+
+  /**
+   * Set up a test.
+   */
+  public function setUp() {
+    parent::setUp();
+
+    $this->installSchema('system', ['sequences']);
+    $this->installSchema('foldershare', ['foldershare_usage']);
+    $this->installEntitySchema('user');
+    $this->installEntitySchema('file');
+    $this->installEntitySchema(FolderShare::ENTITY_TYPE_ID);
+    $this->installConfig(['foldershare']);
+
+    // User 1 bypasses permissions, so create it first and test as others.
+    $this->createUser();
+    $this->setCurrentUser($this->createUser([
+      Constants::VIEW_PERMISSION,
+      Constants::AUTHOR_PERMISSION,
+    ]));
+
+    // Create the children out of name order.
+    $this->folder = FolderShare::createRootFolder('Top');
+    foreach (array_reverse(self::$CHILD_NAMES) as $name) {
+      $this->folder->createFolder($name);
+    }
+  }
+
+  /*---------------------------------------------------------------------
+   * Utilities
+   *---------------------------------------------------------------------*/
+
+  /**
+   * Lists a folder and returns the decoded response.
+   *
+   * @param array $query
+   *   The request's query values.
+   * @param \Drupal\foldershare\Entity\FolderShare $folder
+   *   (optional, default = NULL = the test folder) The folder to list.
+   *
+   * @return array
+   *   Returns the decoded JSON content.
+   */
+  private function getList(array $query, FolderShare $folder = NULL) {
+    if ($folder === NULL) {
+      $folder = $this->folder;
+    }
+
+    $controller = FolderShareList::create($this->container);
+    $response = $controller->list(Request::create('/', 'GET', $query), $folder);
+
+    $this->assertEquals(200, $response->getStatusCode());
+    return json_decode($response->getContent(), TRUE);
+  }
+
+  /**
+   * Returns the names of the items in a list response.
+   *
+   * @param array $content
+   *   The decoded JSON content.
+   *
+   * @return string[]
+   *   Returns the names, in list order.
+   */
+  private function getNames(array $content) {
+    return array_column($content['items'], 'name');
+  }
+
+  /*---------------------------------------------------------------------
+   * Tests
+   *---------------------------------------------------------------------*/
+
+  /**
+   * Tests the default window and order.
+   */
+  public function testDefaults() {
+    $content = $this->getList([]);
+
+    $this->assertEquals(count(self::$CHILD_NAMES), $content['total']);
+    $this->assertEquals(0, $content['offset']);
+    $this->assertEquals(self::$CHILD_NAMES, $this->getNames($content));
+  }
+
+  /**
+   * Tests that out of range offsets and limits are clamped.
+   */
+  public function testOffsetLimitClamping() {
+    $content = $this->getList(['offset' => -5, 'limit' => 2]);
+    $this->assertEquals(0, $content['offset']);
+    $this->assertEquals(['Alpha', 'Bravo'], $this->getNames($content));
+
+    $content = $this->getList(['offset' => 1, 'limit' => 0]);
+    $this->assertEquals(['Bravo'], $this->getNames($content));
+
+    $content = $this->getList(['offset' => 3, 'limit' => 100000]);
+    $this->assertEquals(['Delta', 'Echo'], $this->getNames($content));
+
+    $content = $this->getList(['offset' => 100]);
+    $this->assertEquals(count(self::$CHILD_NAMES), $content['total']);
+    $this->assertEmpty($content['items']);
+  }
+
+  /**
+   * Tests that only whitelisted sort fields are used.
+   */
+  public function testOrderWhitelist() {
+    $content = $this->getList(['order' => 'name', 'sort' => 'desc']);
+    $this->assertEquals(
+      array_reverse(self::$CHILD_NAMES),
+      $this->getNames($content));
+
+    // Unknown fields sort by name, without a database error.
+    $content = $this->getList(['order' => 'uid; DROP TABLE foldershare']);
+    $this->assertEquals(self::$CHILD_NAMES, $this->getNames($content));
+
+    $content = $this->getList(['order' => 'id']);
+    $this->assertEquals(self::$CHILD_NAMES, $this->getNames($content));
+
+    // Children of the same kind sort by name.
+    $content = $this->getList(['order' => 'kind']);
+    $this->assertEquals(self::$CHILD_NAMES, $this->getNames($content));
+  }
+
+  /**
+   * Tests that the filter matches names and kinds.
+   */
+  public function testFilter() {
+    $content = $this->getList(['filter' => 'ha']);
+    $this->assertEquals(2, $content['total']);
+    $this->assertEquals(['Alpha', 'Charlie'], $this->getNames($content));
+
+    $content = $this->getList(['filter' => FolderShare::FOLDER_KIND]);
+    $this->assertEquals(count(self::$CHILD_NAMES), $content['total']);
+
+    // LIKE wildcards are matched literally.
+    $content = $this->getList(['filter' => '%']);
+    $this->assertEquals(0, $content['total']);
+    $this->assertEmpty($content['items']);
+  }
+
+  /**
+   * Tests that only folders may be listed.
+   */
+  public function testNotFolder() {
+    $this->expectException(NotFoundHttpException::class);
+
+    $controller = FolderShareList::create($this->container);
+    $controller->list(Request::create('/'), NULL);
+  }
+
+  /**
+   * Tests that users without view access are denied the list.
+   */
+  public function testAccessDenied() {
+    $accessManager = $this->container->get('access_manager');
+    $parameters = [
+      'foldershare' => $this->folder->id(),
+    ];
+
+    $this->assertTrue($accessManager->checkNamedRoute(
+      'entity.foldershare.list',
+      $parameters,
+      $this->container->get('current_user')));
+
+    $this->assertFalse($accessManager->checkNamedRoute(
+      'entity.foldershare.list',
+      $parameters,
+      $this->createUser([])));
+
+    $this->assertFalse($accessManager->checkNamedRoute(
+      'entity.foldershare.list',
+      $parameters,
+      $this->createUser([Constants::VIEW_PERMISSION])));
+  }
+
+}
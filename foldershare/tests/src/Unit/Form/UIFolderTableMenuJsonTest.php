@@ -0,0 +1,251 @@
+<?php
+
+namespace Drupal\Tests\foldershare\Unit\Form;
+
+use Drupal\Core\Form\FormState;
+use Drupal\KernelTests\KernelTestBase;
+use Drupal\Tests\user\Traits\UserCreationTrait;
+
+use Drupal\foldershare\Constants;
+use Drupal\foldershare\Entity\FolderShare;
+use Drupal\foldershare\Form\UIFolderTableMenu;
+
+/**
+ * Tests the JSON response of the UIFolderTableMenu form.
+ *
+ * Javascript posts the folder table menu form with a 'json' response
+ * type to run commands in the background. The response always has
+ * 'messages', 'createdIds', and 'redirect' keys, and its status code is
+ * 200 on success, 403 if access is denied, and 400 for other errors.
+ *
+ * @group foldershare
+ *
+ * @coversDefaultClass \Drupal\foldershare\Form\UIFolderTableMenu
+ */
+class UIFolderTableMenuJsonTest extends KernelTestBase {
+
+  use UserCreationTrait;
+
+  /**
+   * {@inheritdoc}
+   */
+  public static $modules = [
+    'system',
+    'user',
+    'datetime',
+    'field',
+    'file',
+    'filter',
+    'image',
+    'link',
+    'media',
+    'options',
+    'text',
+    'views',
+    'foldershare',
+  ];
+
+  /*---------------------------------------------------------------------
+   * Setup
+   *---------------------------------------------------------------------*/
+
+  /**
+   * Set up a test.
+   */
+  public function setUp() {
+    parent::setUp();
+
+    $this->installSchema('system', ['sequences']);
+    $this->installSchema('foldershare', ['foldershare_usage']);
+    $this->installEntitySchema('user');
+    $this->installEntitySchema('file');
+    $this->installEntitySchema(FolderShare::ENTITY_TYPE_ID);
+    $this->installConfig(['foldershare']);
+
+    // User 1 bypasses permissions, so create it first and test as others.
+    $this->createUser();
+    $this->setCurrentUser($this->createUser([
+      Constants::ADMINISTER_PERMISSION,
+    ]));
+  }
+
+  /*---------------------------------------------------------------------
+   * Utilities
+   *---------------------------------------------------------------------*/
+
+  /**
+   * Validates and submits the form with a JSON response type.
+   *
+   * @param string $commandId
+   *   The command plugin ID.
+   * @param int[] $selectionIds
+   *   (optional, default = []) The selected entity IDs.
+   * @param array $parameters
+   *   (optional, default = []) Further command parameters.
+   *
+   * @return array
+   *   Returns an array with the response's status code and decoded content.
+   */
+  private function submitJson(
+    string $commandId,
+    array $selectionIds = [],
+    array $parameters = []) {
+
+    $uiClass = 'foldershare-folder-table-menu';
+    $formState = new FormState();
+    $formState->addBuildInfo('args', [-1]);
+    $formState->setValues([
+      $uiClass . '-commandname'   => $commandId,
+      $uiClass . '-selection'     => json_encode($selectionIds),
+      $uiClass . '-parentId'      => '',
+      $uiClass . '-destinationId' => '',
+      $uiClass . '-configuration' => json_encode($parameters),
+      $uiClass . '-response'      => 'json',
+    ]);
+
+    $formObject = UIFolderTableMenu::create(\Drupal::getContainer());
+    $form = [];
+    $formObject->validateForm($form, $formState);
+    $formObject->submitForm($form, $formState);
+
+    $response = $formState->getResponse();
+    $this->assertNotNull($response, 'Correctly found a JSON response');
+
+    return [
+      $response->getStatusCode(),
+      json_decode($response->getContent(), TRUE),
+    ];
+  }
+
+  /*---------------------------------------------------------------------
+   * Tests
+   *---------------------------------------------------------------------*/
+
+  /**
+   * Tests that a successful command returns its created IDs.
+   */
+  public function testCreatedIds() {
+    list($status, $content) = $this->submitJson(
+      'foldersharecommand_new_folder',
+      [],
+      ['name' => 'Reports']);
+
+    $this->assertEquals(200, $status);
+    $this->assertEmpty($content['messages']['error']);
+    $this->assertEquals('', $content['redirect']);
+    $this->assertCount(1, $content['createdIds']);
+
+    $folder = FolderShare::load($content['createdIds'][0]);
+    $this->assertEquals('Reports', $folder->getName());
+  }
+
+  /**
+   * Tests that parameters the command does not define are dropped.
+   */
+  public function testUnknownParametersDropped() {
+    list($status, $content) = $this->submitJson(
+      'foldersharecommand_new_folder',
+      [],
+      [
+        'name'     => 'Reports',
+        'parentId' => 12345,
+        'bogus'    => 'value',
+      ]);
+
+    $this->assertEquals(200, $status);
+
+    $folder = FolderShare::load($content['createdIds'][0]);
+    $this->assertTrue($folder->isRootFolder());
+  }
+
+  /**
+   * Tests that a failed command returns its error message.
+   */
+  public function testCommandError() {
+    FolderShare::createRootFolder('Reports');
+
+    list($status, $content) = $this->submitJson(
+      'foldersharecommand_new_folder',
+      [],
+      ['name' => 'Reports']);
+
+    $this->assertEquals(400, $status);
+    $this->assertNotEmpty($content['messages']['error']);
+    $this->assertEmpty($content['createdIds']);
+  }
+
+  /**
+   * Tests that a name in use is numbered when renaming is allowed.
+   *
+   * Folder tree uploads create folders this way, so that a dropped folder
+   * with the same name as an existing folder is still uploaded.
+   */
+  public function testAllowRename() {
+    FolderShare::createRootFolder('Reports');
+
+    list($status, $content) = $this->submitJson(
+      'foldersharecommand_new_folder',
+      [],
+      [
+        'name'        => 'Reports',
+        'allowRename' => TRUE,
+      ]);
+
+    $this->assertEquals(200, $status);
+    $this->assertCount(1, $content['createdIds']);
+
+    $folder = FolderShare::load($content['createdIds'][0]);
+    $this->assertNotEquals('Reports', $folder->getName());
+    $this->assertStringStartsWith('Reports', $folder->getName());
+  }
+
+  /**
+   * Tests that an unrecognized command returns an error.
+   */
+  public function testUnknownCommand() {
+    list($status, $content) = $this->submitJson('foldersharecommand_bogus');
+
+    $this->assertEquals(400, $status);
+    $this->assertNotEmpty($content['messages']['error']);
+    $this->assertEmpty($content['createdIds']);
+  }
+
+  /**
+   * Tests that a command without access returns a 403.
+   */
+  public function testAccessDenied() {
+    $folder = FolderShare::createRootFolder('Reports');
+
+    $this->setCurrentUser($this->createUser([
+      Constants::VIEW_PERMISSION,
+    ]));
+
+    list($status, $content) = $this->submitJson(
+      'foldersharecommand_rename',
+      [(int) $folder->id()],
+      ['name' => 'Renamed']);
+
+    $this->assertEquals(403, $status);
+    $this->assertNotEmpty($content['messages']['error']);
+    $this->assertEquals('Reports', FolderShare::load($folder->id())->getName());
+  }
+
+  /**
+   * Tests that other commands with a form redirect to the form.
+   */
+  public function testConfigurationFormRedirect() {
+    $folder = FolderShare::createRootFolder('Reports');
+
+    list($status, $content) = $this->submitJson(
+      'foldersharecommand_change_owner',
+      [(int) $folder->id()],
+      ['uid' => 1]);
+
+    $this->assertEquals(200, $status);
+    $this->assertContains('/foldershare/command/', $content['redirect']);
+    $this->assertEquals(
+      $this->container->get('current_user')->id(),
+      FolderShare::load($folder->id())->getOwnerId());
+  }
+
+}